@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { main } from '../src/cli.js';
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,75 @@
+/**
+ * Build class representing a Podman Quadlet image build configuration
+ * Based on the Rust quadlet::Build struct
+ */
+
+import { validateLabel } from './label.js';
+
+export class Build {
+  constructor() {
+    // Resulting image
+    this.imageTag = [];
+
+    // Build context and Containerfile
+    this.setWorkingDirectory = null;
+    this.file = null;
+    this.target = null;
+
+    // Build arguments and metadata
+    this.buildArg = [];
+    this.label = [];
+    this.annotation = [];
+
+    // Network used during the build
+    this.network = [];
+
+    // Pull policy
+    this.pull = null;
+
+    // Additional Podman arguments
+    this.podmanArgs = null;
+  }
+
+  /**
+   * Add a tag for the built image with validation
+   */
+  addImageTag(tag) {
+    if (!tag || typeof tag !== 'string' || tag.trim() === '') {
+      throw new Error('Image tag must be a non-empty string');
+    }
+    this.imageTag.push(tag.trim());
+    return this;
+  }
+
+  /**
+   * Add a build argument with validation
+   */
+  addBuildArg(arg) {
+    if (!arg || typeof arg !== 'string' || arg.trim() === '') {
+      throw new Error('Build argument must be a non-empty string');
+    }
+    this.buildArg.push(arg.trim());
+    return this;
+  }
+
+  /**
+   * Add a label with validation
+   */
+  addLabel(label) {
+    this.label.push(validateLabel(label));
+    return this;
+  }
+
+  /**
+   * Validate the build configuration
+   */
+  validate() {
+    if (this.imageTag.length === 0) {
+      throw new Error('Image tag is required');
+    }
+
+    if (!this.file && !this.setWorkingDirectory) {
+      throw new Error('Build requires a file or a working directory');
+    }
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * PodletJS command-line interface
+ * Mirrors the subcommands and output options of the Rust podlet
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import minimist from 'minimist';
+import { PodletJS } from './index.js';
+import { loadEnvironment } from './interpolation.js';
+
+const SUBCOMMANDS = ['docker', 'podman', 'compose', 'systemd'];
+
+export const USAGE = `Usage: podletjs [options] <command>
+
+Generate Podman Quadlet files from a docker/podman run command or a compose file
+
+Commands:
+  docker run [args...]   Generate a .container file from a docker run command
+  podman run [args...]   Generate a .container file from a podman run command
+  compose [--pod] [--kube] <file>...
+                         Generate Quadlet files from compose files, later files
+                         are merged over earlier ones like docker compose -f,
+                         interpolating variables from the environment and .env
+                           --pod   group all services into a .pod file
+                           --kube  generate Kubernetes YAML and a .kube file
+  systemd <file>...      Generate .container files from services written by
+                         podman generate systemd --new or wrapping docker run
+
+Options:
+  -f, --file [dir]       Write the generated files into a directory (default: current directory)
+  -u, --unit-directory   Write the generated files into the Podman unit directory
+                         (/etc/containers/systemd as root, ~/.config/containers/systemd otherwise)
+      --overwrite        Overwrite existing files
+  -n, --name <name>      Name of the generated unit
+  -d, --description <text>
+                         Add a [Unit] Description
+  -i, --install          Add an [Install] section with WantedBy=default.target
+      --wanted-by <unit> Add an [Install] section with the given WantedBy target
+      --podman-version <version>
+                         Podman version the generated files must support (e.g. 4.6)
+      --strict           Fail instead of skipping settings that cannot be converted
+  -h, --help             Show this help
+`;
+
+/**
+ * Run the CLI with the given arguments
+ *
+ * @param {Array<string>} argv - Arguments without the node executable and script path
+ * @param {Object} io - Output streams and environment, overridable for tests
+ * @returns {Promise<number>} Process exit code
+ */
+export async function main(argv = process.argv.slice(2), io = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    env = process.env,
+    uid = typeof process.getuid === 'function' ? process.getuid() : null
+  } = io;
+
+  try {
+    const args = parseArgs(argv);
+
+    if (args.help || args._.length === 0) {
+      stdout.write(USAGE);
+      return args.help ? 0 : 1;
+    }
+
+    const files = generateFiles(args, env);
+    const directory = outputDirectory(args, { env, uid });
+
+    if (directory === null) {
+      stdout.write(formatFiles(files));
+      return 0;
+    }
+
+    await writeFiles(files, directory, args.overwrite);
+    for (const file of files) {
+      stdout.write(`Wrote ${path.join(directory, file.filename)}\n`);
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return 1;
+  }
+}
+
+/**
+ * Parse the global options, stopping at the subcommand
+ */
+export function parseArgs(argv) {
+  const args = minimist(argv, {
+    string: ['file', 'name', 'description', 'wanted-by', 'podman-version'],
+    boolean: ['unit-directory', 'overwrite', 'install', 'strict', 'help'],
+    alias: { f: 'file', u: 'unit-directory', n: 'name', d: 'description', i: 'install', h: 'help' },
+    stopEarly: true
+  });
+
+  // --file takes an optional directory, so `-f docker run ...` must not swallow the subcommand
+  if (SUBCOMMANDS.includes(args.file)) {
+    args._.unshift(args.file);
+    args.file = '';
+  }
+
+  if (args.file !== undefined && args['unit-directory']) {
+    throw new Error('--file and --unit-directory cannot be used together');
+  }
+
+  return args;
+}
+
+/**
+ * Generate the files requested by the subcommand
+ */
+function generateFiles(args, env) {
+  const [command, ...rest] = args._;
+  const podlet = new PodletJS();
+  const options = generationOptions(args);
+
+  switch (command) {
+    case 'docker':
+    case 'podman': {
+      if (rest[0] !== 'run') {
+        throw new Error(`Unsupported command '${command} ${rest[0] || ''}'. Only '${command} run' is supported`);
+      }
+
+      const container = command === 'podman'
+        ? podlet.podmanRunToContainer([command, ...rest])
+        : podlet.dockerRunToContainer([command, ...rest]);
+      const name = args.name || container.getDefaultName();
+      return [{
+        filename: `${name}.container`,
+        content: command === 'podman'
+          ? podlet.podmanRunToQuadlet(container, options)
+          : podlet.dockerRunToQuadlet(container, options)
+      }];
+    }
+
+    case 'compose': {
+      const composeArgs = minimist(rest, { boolean: ['pod', 'kube'] });
+      const composeFiles = composeArgs._;
+      if (composeFiles.length === 0) {
+        throw new Error('The compose command requires a compose file');
+      }
+
+      const yamlContent = composeFiles.map(file => fs.readFileSync(file, 'utf8'));
+      const workingDirectory = path.dirname(path.resolve(composeFiles[0]));
+      const environment = loadEnvironment(workingDirectory, env);
+      if (composeArgs.kube) {
+        return podlet.composeToKube(yamlContent, { ...options, environment, workingDirectory, files: composeFiles, name: args.name });
+      }
+      return podlet.composeToQuadlet(yamlContent, {
+        ...options,
+        files: composeFiles,
+        environment,
+        workingDirectory,
+        pod: composeArgs.pod ? (args.name || true) : false
+      });
+    }
+
+    case 'systemd': {
+      if (rest.length === 0) {
+        throw new Error('The systemd command requires a service unit file');
+      }
+      if (args.name && rest.length > 1) {
+        throw new Error('--name cannot be used with more than one service unit file');
+      }
+
+      return rest.map(file => {
+        // Parsed once, so its diagnostics are reported once
+        const unit = podlet.parseSystemdUnit(fs.readFileSync(file, 'utf8'), options);
+        return {
+          filename: `${args.name || unit.container.getDefaultName()}.container`,
+          content: podlet.systemdToQuadlet(unit, options)
+        };
+      });
+    }
+
+    default:
+      throw new Error(`Unknown command '${command}'. Expected one of: ${SUBCOMMANDS.join(', ')}`);
+  }
+}
+
+/**
+ * Build the Quadlet generation options from the global options
+ */
+function generationOptions(args) {
+  const options = {};
+
+  if (args.description) {
+    options.unit = { description: args.description };
+  }
+
+  if (args['wanted-by']) {
+    options.install = { wantedBy: [args['wanted-by']] };
+  } else if (args.install) {
+    options.install = { wantedBy: ['default.target'] };
+  }
+
+  if (args['podman-version']) {
+    options.podmanVersion = args['podman-version'];
+  }
+
+  if (args.strict) {
+    options.strict = true;
+  }
+
+  return options;
+}
+
+/**
+ * Resolve the directory to write files into, or null to print to stdout
+ */
+export function outputDirectory(args, { env = process.env, uid = null } = {}) {
+  if (args['unit-directory']) {
+    if (uid === 0) {
+      return '/etc/containers/systemd';
+    }
+    const configHome = env.XDG_CONFIG_HOME || path.join(env.HOME || os.homedir(), '.config');
+    return path.join(configHome, 'containers', 'systemd');
+  }
+
+  if (args.file !== undefined) {
+    return args.file || '.';
+  }
+
+  return null;
+}
+
+/**
+ * Format files for stdout, with a filename header when there are several
+ */
+function formatFiles(files) {
+  if (files.length === 1) {
+    return files[0].content;
+  }
+  return files.map(file => `# ${file.filename}\n${file.content}`).join('\n');
+}
+
+/**
+ * Write files into a directory, refusing to replace existing files unless overwrite is set
+ */
+async function writeFiles(files, directory, overwrite) {
+  await fs.promises.mkdir(directory, { recursive: true });
+
+  if (!overwrite) {
+    for (const file of files) {
+      const filePath = path.join(directory, file.filename);
+      if (fs.existsSync(filePath)) {
+        throw new Error(`File ${filePath} already exists, use --overwrite to replace it`);
+      }
+    }
+  }
+
+  for (const file of files) {
+    await fs.promises.writeFile(path.join(directory, file.filename), file.content);
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * Compose file loading
+ * Resolves the compose `include` and `extends` directives, reading the referenced files
+ * relative to the file that references them
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseComposeDocument, mergeCompose, mergeComposeFiles } from './compose-merge.js';
+import { interpolateString } from './interpolation.js';
+import { ComposeError } from './compose-source.js';
+
+// Top-level sections an included project contributes to
+const INCLUDED_SECTIONS = ['services', 'volumes', 'networks', 'secrets', 'configs'];
+
+/**
+ * Resolve the include and extends directives of a parsed compose document
+ *
+ * @param {Object} document - Parsed compose document
+ * @param {Object} options - Loading options
+ * @param {string} options.workingDirectory - Directory relative paths are resolved against
+ * @param {Object} options.environment - Variables interpolated in included file paths
+ * @returns {Object} Compose document without include and extends
+ */
+export function resolveComposeDocument(document, options = {}) {
+  const {
+    workingDirectory = process.cwd(),
+    environment = process.env,
+    filePath = null,
+    includeStack = [],
+    sources = null
+  } = options;
+  const context = { environment, sources, includeStack: filePath ? [...includeStack, filePath] : includeStack };
+
+  const resolved = resolveIncludes(document, workingDirectory, context);
+  if (resolved.services) {
+    resolved.services = resolveExtends(resolved.services, workingDirectory, filePath, context);
+  }
+  return resolved;
+}
+
+/**
+ * Read and parse a compose file, failing on anything but a mapping.
+ * The positions of included files are recorded, the ones of extended files would
+ * point at the base service instead of the extending one
+ */
+function readComposeFile(filePath, sources = null) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Compose file ${filePath} does not exist`);
+  }
+
+  const document = parseComposeDocument(fs.readFileSync(filePath, 'utf8'), { file: filePath, sources });
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ComposeError('Invalid compose file format', { file: filePath });
+  }
+  return document;
+}
+
+/**
+ * Add the resources of the included projects to the document
+ */
+function resolveIncludes(document, directory, context) {
+  const { include, ...resolved } = document;
+  if (!include) {
+    return resolved;
+  }
+
+  for (const entry of Array.isArray(include) ? include : [include]) {
+    const config = typeof entry === 'string' ? { path: entry } : entry;
+    const filePaths = (Array.isArray(config.path) ? config.path : [config.path])
+      .map(file => path.resolve(directory, interpolateString(String(file), context.environment)));
+    const projectDirectory = config.project_directory
+      ? path.resolve(directory, interpolateString(config.project_directory, context.environment))
+      : path.dirname(filePaths[0]);
+
+    for (const filePath of filePaths) {
+      if (context.includeStack.includes(filePath)) {
+        throw new Error(`Circular include of ${filePath}`);
+      }
+    }
+
+    const included = mergeComposeFiles(filePaths.map(filePath => resolveComposeDocument(readComposeFile(filePath, context.sources), {
+      workingDirectory: projectDirectory,
+      environment: context.environment,
+      filePath,
+      includeStack: context.includeStack,
+      sources: context.sources
+    })));
+
+    for (const section of INCLUDED_SECTIONS) {
+      for (const [name, value] of Object.entries(included[section] || {})) {
+        if (resolved[section] && Object.prototype.hasOwnProperty.call(resolved[section], name)) {
+          throw new Error(`${section}.${name} from included file ${filePaths[0]} conflicts with an existing definition`);
+        }
+        resolved[section] = {
+          ...resolved[section],
+          [name]: section === 'services' ? rebaseService(value, projectDirectory, directory) : value
+        };
+      }
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolve the extends directive of every service
+ */
+function resolveExtends(services, directory, filePath, context) {
+  const resolved = {};
+  for (const name of Object.keys(services)) {
+    resolved[name] = resolveService(name, services, directory, filePath, context, []);
+  }
+  return resolved;
+}
+
+/**
+ * Resolve a service, merging it over the service it extends
+ */
+function resolveService(name, services, directory, filePath, context, stack) {
+  const service = services[name];
+  if (!service || !service.extends) {
+    return service;
+  }
+
+  const config = typeof service.extends === 'string' ? { service: service.extends } : service.extends;
+  const reference = `${filePath || directory}#${name}`;
+  if (stack.includes(reference)) {
+    throw new ComposeError(`Circular extends for service '${name}'`, { path: `services.${name}.extends` });
+  }
+
+  let baseServices = services;
+  let baseDirectory = directory;
+  let baseFilePath = filePath;
+
+  if (config.file) {
+    baseFilePath = path.resolve(directory, interpolateString(String(config.file), context.environment));
+    baseServices = readComposeFile(baseFilePath).services || {};
+    baseDirectory = path.dirname(baseFilePath);
+  }
+
+  if (!config.service || !baseServices[config.service]) {
+    throw new ComposeError(`Service '${name}' extends unknown service '${config.service}'${config.file ? ` in ${config.file}` : ''}`, {
+      path: `services.${name}.extends`
+    });
+  }
+
+  const base = rebaseService(
+    resolveService(config.service, baseServices, baseDirectory, baseFilePath, context, [...stack, reference]),
+    baseDirectory,
+    directory
+  );
+
+  const { extends: _, ...local } = service;
+  return mergeCompose({ services: { [name]: base } }, { services: { [name]: local } }).services[name];
+}
+
+/**
+ * Rewrite the relative paths of a service defined in another directory
+ */
+function rebaseService(service, fromDirectory, toDirectory) {
+  if (!service || path.resolve(fromDirectory) === path.resolve(toDirectory)) {
+    return service;
+  }
+
+  const rebase = value => rebasePath(value, fromDirectory, toDirectory);
+  const rebased = { ...service };
+
+  if (typeof rebased.build === 'string') {
+    rebased.build = rebaseBuildContext(rebased.build, rebase);
+  } else if (rebased.build && rebased.build.context) {
+    rebased.build = { ...rebased.build, context: rebaseBuildContext(rebased.build.context, rebase) };
+  }
+
+  if (rebased.env_file) {
+    const envFiles = Array.isArray(rebased.env_file) ? rebased.env_file : [rebased.env_file];
+    rebased.env_file = envFiles.map(envFile => typeof envFile === 'string'
+      ? rebase(envFile)
+      : { ...envFile, path: rebase(envFile.path) });
+  }
+
+  if (Array.isArray(rebased.volumes)) {
+    rebased.volumes = rebased.volumes.map(volume => {
+      if (typeof volume === 'string') {
+        const [source, ...rest] = volume.split(':');
+        return rest.length > 0 && isRelativePath(source) ? [rebase(source), ...rest].join(':') : volume;
+      }
+      if (volume && volume.type === 'bind') {
+        return { ...volume, source: rebase(volume.source) };
+      }
+      return volume;
+    });
+  }
+
+  return rebased;
+}
+
+/**
+ * Rebase a build context unless it is a remote URL
+ */
+function rebaseBuildContext(context, rebase) {
+  return isRemoteBuildContext(context) ? context : rebase(context);
+}
+
+/**
+ * Whether a build context is a remote URL such as a git repository instead of a directory
+ */
+export function isRemoteBuildContext(context) {
+  return /^[a-z][a-z0-9+.-]*:\/\/|^git@/i.test(context);
+}
+
+/**
+ * Rewrite a path relative to one directory into a path relative to another
+ */
+function rebasePath(value, fromDirectory, toDirectory) {
+  if (typeof value !== 'string' || path.isAbsolute(value) || value.startsWith('~')) {
+    return value;
+  }
+
+  const relative = path.relative(toDirectory, path.resolve(fromDirectory, value));
+  if (relative === '') {
+    return '.';
+  }
+  return relative.startsWith('..') || path.isAbsolute(relative) ? relative : `./${relative}`;
+}
+
+/**
+ * Whether a volume source is a relative path, a bare name being a named volume
+ */
+function isRelativePath(value) {
+  return typeof value === 'string' && (value === '.' || value === '..' || /^\.\.?\//.test(value));
+}
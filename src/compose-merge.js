@@ -0,0 +1,298 @@
+/**
+ * Compose file merging
+ * Layers compose files on top of each other following the compose specification merge rules
+ */
+
+import yaml from 'yaml';
+import { ComposeError } from './compose-source.js';
+
+const RESET = Symbol('reset');
+const overrides = new WeakSet();
+
+/**
+ * YAML tags for !reset (drop the value) and !override (replace instead of merging)
+ */
+const customTags = [
+  { tag: '!reset', resolve: () => RESET },
+  { tag: '!reset', collection: 'seq', resolve: () => RESET },
+  { tag: '!reset', collection: 'map', resolve: () => RESET },
+  { tag: '!override', collection: 'seq', resolve: seq => markOverride(seq.toJSON()) },
+  { tag: '!override', collection: 'map', resolve: map => markOverride(map.toJSON()) }
+];
+
+// Service fields replaced as a whole instead of appended to
+const REPLACED_FIELDS = ['command', 'entrypoint', 'healthcheck.test'];
+
+// Service fields that are either a KEY=VALUE list or a mapping, merged by key
+const KEY_VALUE_FIELDS = {
+  'environment': '=',
+  'labels': '=',
+  'annotations': '=',
+  'sysctls': '=',
+  'extra_hosts': /[=:]/,
+  'build.args': '=',
+  'build.labels': '=',
+  'deploy.labels': '='
+};
+
+// Service fields that are either a list of names or a mapping of names to options
+const NAME_FIELDS = ['networks', 'depends_on'];
+
+// Service sequences holding unique resources, merged by their key
+const UNIQUE_FIELDS = {
+  'ports': portKey,
+  'volumes': mountTarget,
+  'devices': deviceTarget,
+  'tmpfs': item => String(item).split(':')[0],
+  'secrets': item => typeof item === 'string' ? item : (item.target || item.source),
+  'configs': item => typeof item === 'string' ? item : (item.target || item.source)
+};
+
+/**
+ * Parse a compose YAML document, honoring the !reset and !override tags
+ *
+ * @param {string} yamlContent - Compose YAML content
+ * @param {Object} options - Parsing options
+ * @param {string} options.file - Name of the compose file, reported in errors
+ * @param {ComposeSources} options.sources - Records the source positions of the document
+ * @returns {*} The parsed document
+ */
+export function parseComposeDocument(yamlContent, options = {}) {
+  const { file = null, sources = null } = options;
+  const lineCounter = new yaml.LineCounter();
+  const document = yaml.parseDocument(yamlContent, { customTags, merge: true, lineCounter });
+
+  if (document.errors.length > 0) {
+    const [error] = document.errors;
+    const [position] = error.linePos || [];
+    throw new ComposeError(`Invalid YAML: ${error.message.split(' at line ')[0]}`, {
+      file,
+      line: position ? position.line : null,
+      column: position ? position.col : null
+    });
+  }
+
+  if (sources) {
+    sources.add(document, lineCounter, file);
+  }
+  return document.toJS();
+}
+
+/**
+ * Merge an ordered list of parsed compose documents, later documents overriding earlier ones
+ */
+export function mergeComposeFiles(documents) {
+  return documents.reduce((merged, document) => mergeCompose(merged, document), {});
+}
+
+/**
+ * Merge an overriding compose document into a base document
+ */
+export function mergeCompose(base, override) {
+  return stripResets(mergeValue(base, override, []));
+}
+
+/**
+ * Merge two values at the given path of the compose document
+ */
+function mergeValue(base, override, path) {
+  if (override === RESET) {
+    return RESET;
+  }
+  if (override === undefined) {
+    return base;
+  }
+  if (base === undefined || base === null || isOverride(override)) {
+    return override;
+  }
+
+  const field = serviceField(path);
+
+  if (field !== null && REPLACED_FIELDS.includes(field)) {
+    return override;
+  }
+
+  if (field !== null && KEY_VALUE_FIELDS[field] && (Array.isArray(base) || Array.isArray(override))) {
+    return mergeKeyValues(base, override, KEY_VALUE_FIELDS[field]);
+  }
+
+  if (field !== null && NAME_FIELDS.includes(field) && (Array.isArray(base) || Array.isArray(override))) {
+    if (Array.isArray(base) && Array.isArray(override)) {
+      return appendUnique(base, override, item => item);
+    }
+    return mergeMappings(namesToMapping(base), namesToMapping(override), path);
+  }
+
+  if (Array.isArray(base) && Array.isArray(override)) {
+    const keyOf = field !== null && UNIQUE_FIELDS[field] ? UNIQUE_FIELDS[field] : item => JSON.stringify(item);
+    return appendUnique(base, override, keyOf);
+  }
+
+  if (isMapping(base) && isMapping(override)) {
+    return mergeMappings(base, override, path);
+  }
+
+  return override;
+}
+
+/**
+ * Merge two mappings key by key
+ */
+function mergeMappings(base, override, path) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = mergeValue(base[key], value, [...path, key]);
+  }
+  return merged;
+}
+
+/**
+ * Append the items of a sequence, replacing the items whose key already exists
+ */
+function appendUnique(base, override, keyOf) {
+  const merged = [...base];
+  for (const item of override) {
+    const index = merged.findIndex(existing => keyOf(existing) === keyOf(item));
+    if (index === -1) {
+      merged.push(item);
+    } else {
+      merged[index] = item;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge KEY=VALUE lists and mappings, keeping the list form when both sides are lists
+ */
+function mergeKeyValues(base, override, separator) {
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return appendUnique(base, override, item => String(item).split(separator)[0]);
+  }
+  return { ...keyValuesToMapping(base, separator), ...keyValuesToMapping(override, separator) };
+}
+
+/**
+ * Convert a KEY=VALUE list into a mapping, a bare KEY maps to null
+ */
+function keyValuesToMapping(value, separator) {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+
+  const mapping = {};
+  for (const item of value) {
+    const entry = String(item);
+    const match = entry.match(separator);
+    if (match) {
+      mapping[entry.slice(0, match.index)] = entry.slice(match.index + 1);
+    } else {
+      mapping[entry] = null;
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Convert a list of names into a mapping of names without options
+ */
+function namesToMapping(value) {
+  if (!Array.isArray(value)) {
+    return value;
+  }
+  return Object.fromEntries(value.map(name => [name, null]));
+}
+
+/**
+ * Unique key of a port, its host IP, published port, target port and protocol
+ */
+function portKey(port) {
+  if (port && typeof port === 'object') {
+    return [port.host_ip || '', port.published || '', port.target, port.protocol || 'tcp'].join(':');
+  }
+
+  let spec = String(port);
+  let protocol = 'tcp';
+  const protocolIndex = spec.lastIndexOf('/');
+  if (protocolIndex !== -1) {
+    protocol = spec.slice(protocolIndex + 1);
+    spec = spec.slice(0, protocolIndex);
+  }
+
+  const parts = spec.split(':');
+  const target = parts.pop();
+  const published = parts.pop() || '';
+  return [parts.join(':'), published, target, protocol].join(':');
+}
+
+/**
+ * Unique key of a volume, its mount target
+ */
+function mountTarget(volume) {
+  if (volume && typeof volume === 'object') {
+    return volume.target;
+  }
+  const parts = String(volume).split(':');
+  return parts.length === 1 ? parts[0] : parts[1];
+}
+
+/**
+ * Unique key of a device, its path in the container
+ */
+function deviceTarget(device) {
+  const parts = String(device).split(':');
+  return parts.length === 1 ? parts[0] : parts[1];
+}
+
+/**
+ * Path of the field inside a service, or null outside of services
+ */
+function serviceField(path) {
+  if (path[0] !== 'services' || path.length < 3) {
+    return null;
+  }
+  return path.slice(2).join('.');
+}
+
+/**
+ * Remove the keys reset with !reset
+ */
+function stripResets(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== RESET).map(stripResets);
+  }
+
+  if (isMapping(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== RESET) {
+        result[key] = stripResets(item);
+      }
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Remember that a value was tagged with !override
+ */
+function markOverride(value) {
+  overrides.add(value);
+  return value;
+}
+
+/**
+ * Whether a value was tagged with !override
+ */
+function isOverride(value) {
+  return value !== null && typeof value === 'object' && overrides.has(value);
+}
+
+/**
+ * Whether a value is a YAML mapping
+ */
+function isMapping(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -4,8 +4,63 @@
  * Based on the Rust implementation from podlet
  */
 
-import yaml from 'yaml';
+import path from 'path';
 import { Container } from './container.js';
+import { Build } from './build.js';
+import { Volume } from './volume.js';
+import { Network } from './network.js';
+import { joinArgs } from './shell-words.js';
+import { formatPort } from './port.js';
+import { interpolate, loadEnvironment } from './interpolation.js';
+import { parseComposeDocument, mergeComposeFiles } from './compose-merge.js';
+import { resolveComposeDocument, isRemoteBuildContext } from './compose-loader.js';
+import { Diagnostics } from './diagnostics.js';
+import { ComposeError, ComposeSources, ComposeValidationError, atComposePath } from './compose-source.js';
+
+// Service keys translated to the container, its units or its dependencies
+const SERVICE_KEYS = [
+  'image', 'build', 'container_name', 'command', 'entrypoint', 'ports', 'volumes',
+  'environment', 'env_file', 'labels', 'networks', 'hostname', 'user', 'working_dir',
+  'restart', 'security_opt', 'cap_add', 'cap_drop', 'devices', 'dns', 'read_only',
+  'init', 'tmpfs', 'privileged', 'tty', 'stdin_open', 'mem_limit', 'cpus',
+  'healthcheck', 'depends_on', 'platform'
+];
+
+// Service keys passed to podman run as PodmanArgs= arguments
+const PODMAN_ARGS_KEYS = ['privileged', 'tty', 'stdin_open', 'mem_limit', 'cpus', 'platform'];
+
+// Service sections whose settings are reported one by one
+const SERVICE_SECTIONS = ['deploy', 'develop'];
+
+// Settings read from the mappings of service keys, the others being reported one by one.
+// List items such as long form ports and the entries of keyed maps such as depends_on are checked each
+const SERVICE_SETTINGS = {
+  build: ['context', 'dockerfile', 'target', 'args', 'labels', 'network', 'pull', 'tags'],
+  healthcheck: ['test', 'interval', 'timeout', 'retries', 'start_period', 'disable'],
+  ports: ['target', 'published', 'host_ip', 'protocol'],
+  volumes: ['type', 'source', 'target', 'read_only', 'tmpfs'],
+  networks: ['ipv4_address', 'ipv6_address', 'aliases'],
+  depends_on: []
+};
+
+// Service keys mapping names to settings, like the networks a service joins
+const KEYED_SETTINGS = ['networks', 'depends_on'];
+
+// Top-level keys of a compose file
+const COMPOSE_KEYS = ['services', 'volumes', 'networks', 'configs', 'secrets', 'version', 'name'];
+
+// Restart policies of a service, on-failure taking an optional maximum number of retries
+const RESTART_POLICY = /^(no|always|unless-stopped|on-failure(:\d+)?)$/;
+
+/**
+ * Project name docker compose derives from the project directory when the compose `name` is not set
+ */
+function directoryProjectName(workingDirectory) {
+  const name = path.basename(path.resolve(workingDirectory)).toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '')
+    .replace(/^[^a-z0-9]+/, '');
+  return name || 'default';
+}
 
 /**
  * Main parser class for docker-compose files
@@ -17,89 +72,179 @@ export class ComposeParser {
   }
 
   /**
-   * Parse a compose YAML content into Container objects
+   * Parse a compose YAML content, or an ordered list of contents to merge, into Container objects
    */
-  parse(yamlContent) {
-    const compose = yaml.parse(yamlContent);
-    
-    if (!compose || typeof compose !== 'object') {
-      throw new Error('Invalid compose file format');
+  parse(yamlContent, options = {}) {
+    return this.parseProject(yamlContent, options).containers;
+  }
+
+  /**
+   * Parse a compose YAML content into a project description
+   * with the project name and its Container objects.
+   * A list of contents is merged in order like `docker compose -f a.yml -f b.yml`.
+   * Variables are interpolated from options.environment, defaulting to process.env.
+   * Files referenced by include and extends are resolved against options.workingDirectory,
+   * defaulting to the current directory.
+   * Keys without a Quadlet equivalent are reported to options.diagnostics, or to
+   * options.onDiagnostic and options.strict, with their compose path.
+   * The coverage of the project lists per service the keys mapped to native Quadlet keys,
+   * the keys passed as PodmanArgs= and the dropped keys.
+   * Errors are ComposeErrors giving the compose path and the file, line and column,
+   * the file names of the contents being given as options.files. Once the files are
+   * loaded, every service is checked and the errors of all services are thrown together
+   * as a ComposeValidationError.
+   */
+  parseProject(yamlContent, options = {}) {
+    const sources = new ComposeSources();
+    try {
+      return this._parseProject(yamlContent, options, sources);
+    } catch (error) {
+      throw sources.locateError(error);
     }
+  }
+
+  /**
+   * Parse a compose project, recording the source positions of its files
+   */
+  _parseProject(yamlContent, options, sources) {
+    const { environment = process.env, workingDirectory = process.cwd(), files = [] } = options;
+    const diagnostics = Diagnostics.from(options).withLocator(path => sources.locate(path));
+    const contents = Array.isArray(yamlContent) ? yamlContent : [yamlContent];
+    const documents = contents.map((content, index) => {
+      const file = files[index] || null;
+      const document = parseComposeDocument(content, { file, sources });
+      if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new ComposeError('Invalid compose file format', { file });
+      }
+      return resolveComposeDocument(document, { workingDirectory, environment, sources });
+    });
+    const compose = interpolate(mergeComposeFiles(documents), environment, '', diagnostics);
+
+    const errors = [];
+    // Like docker compose, networks and volumes are named after the project, so projects do not share them
+    const projectName = compose.name || directoryProjectName(workingDirectory);
+    const defaultNetwork = `${projectName}_default`;
 
-    this._validateCompose(compose);
+    this._validateCompose(compose, diagnostics, errors);
     
     const containers = {};
+    const coverage = {};
     
     // Parse services into containers
     if (compose.services) {
       for (const [serviceName, service] of Object.entries(compose.services)) {
-        containers[serviceName] = this._parseService(serviceName, service, compose);
+        const container = atComposePath(`services.${serviceName}`, () => this._parseService(serviceName, service, compose, errors, { defaultNetwork, workingDirectory }), errors);
+        if (!container) {
+          continue;
+        }
+        containers[serviceName] = container;
+        coverage[serviceName] = this._serviceCoverage(service);
+
+        // Like docker compose, services without networks join the project default network
+        if (!service.networks && !service.network_mode) {
+          this._parseNetworks(['default'], container, compose.networks, defaultNetwork);
+        }
       }
     }
 
-    return containers;
+    this._validateDependencies(compose.services, errors, diagnostics);
+
+    const project = {
+      name: compose.name || null,
+      containers,
+      volumes: atComposePath('volumes', () => this._parseComposeVolumes(compose.volumes, projectName), errors),
+      networks: atComposePath('networks', () => this._parseComposeNetworks(compose, containers, defaultNetwork, projectName), errors),
+      defaultNetwork,
+      coverage
+    };
+
+    if (errors.length > 0) {
+      throw new ComposeValidationError(errors.map(error => sources.locateError(error)));
+    }
+
+    return project;
+  }
+
+  /**
+   * Parse a compose file from filesystem, loading the .env file next to it
+   */
+  async parseFile(filePath, options = {}) {
+    return this.parseFiles([filePath], options);
   }
 
   /**
-   * Parse a compose file from filesystem
+   * Parse and merge an ordered list of compose files from filesystem,
+   * loading the .env file next to the first one
    */
-  async parseFile(filePath) {
+  async parseFiles(filePaths, options = {}) {
+    if (!Array.isArray(filePaths) || filePaths.length === 0) {
+      throw new Error('At least one compose file is required');
+    }
+
     const fs = await import('fs-extra');
-    const yamlContent = await fs.default.readFile(filePath, 'utf8');
-    return this.parse(yamlContent);
+    const yamlContents = await Promise.all(filePaths.map(filePath => fs.default.readFile(filePath, 'utf8')));
+    return this.parse(yamlContents, {
+      ...options,
+      files: filePaths,
+      environment: loadEnvironment(path.dirname(filePaths[0]), options.environment),
+      workingDirectory: path.dirname(path.resolve(filePaths[0]))
+    });
   }
 
   /**
-   * Parse a single service into a Container object
+   * Parse a single service into a Container object, adding the errors of its
+   * settings to the list so the other settings are still checked
    */
-  _parseService(serviceName, service, compose) {
+  _parseService(serviceName, service, compose, errors, { defaultNetwork = 'default', workingDirectory = process.cwd() } = {}) {
     const container = new Container();
+    const servicePath = `services.${serviceName}`;
     
     // Set image
-    if (service.image) {
-      container.setImage(service.image);
-    } else if (service.build) {
-      // For build context, use a build tag
+    if (service.build) {
+      // Built images come from a .build unit, which is tagged with the service image if given
+      container._build = atComposePath(`${servicePath}.build`, () => this._parseBuild(serviceName, service, workingDirectory), errors);
       container.setImage(`${serviceName}.build`);
+    } else if (service.image) {
+      atComposePath(`${servicePath}.image`, () => container.setImage(service.image), errors);
     } else {
-      throw new Error(`Service '${serviceName}' must have either 'image' or 'build'`);
+      errors.push(new ComposeError(`Service '${serviceName}' must have either 'image' or 'build'`, { path: servicePath }));
     }
 
     // Set container name
     if (service.container_name) {
-      container.setContainerName(service.container_name);
+      atComposePath(`${servicePath}.container_name`, () => container.setContainerName(service.container_name), errors);
     } else {
-      container.setContainerName(serviceName);
+      atComposePath(servicePath, () => container.setContainerName(serviceName), errors);
     }
 
     // Handle command/entrypoint
     if (service.command) {
       const cmd = Array.isArray(service.command) 
-        ? service.command.join(' ')
+        ? joinArgs(service.command)
         : service.command;
-      container.setExec(cmd);
+      atComposePath(`${servicePath}.command`, () => container.setExec(cmd), errors);
     }
 
     if (service.entrypoint) {
       const entrypoint = Array.isArray(service.entrypoint)
-        ? service.entrypoint.join(' ')
+        ? joinArgs(service.entrypoint)
         : service.entrypoint;
       container.entrypoint = entrypoint;
     }
 
     // Handle ports
     if (service.ports) {
-      this._parsePorts(service.ports, container);
+      this._parsePorts(service.ports, container, `${servicePath}.ports`, errors);
     }
 
     // Handle volumes
     if (service.volumes) {
-      this._parseVolumes(service.volumes, container, compose.volumes);
+      this._parseVolumes(service.volumes, container, compose.volumes, `${servicePath}.volumes`, errors);
     }
 
     // Handle environment
     if (service.environment) {
-      this._parseEnvironment(service.environment, container);
+      this._parseEnvironment(service.environment, container, `${servicePath}.environment`, errors);
     }
 
     // Handle env_file
@@ -110,12 +255,12 @@ export class ComposeParser {
 
     // Handle labels
     if (service.labels) {
-      this._parseLabels(service.labels, container);
+      this._parseLabels(service.labels, container, `${servicePath}.labels`, errors);
     }
 
     // Handle networks
     if (service.networks) {
-      this._parseNetworks(service.networks, container);
+      atComposePath(`${servicePath}.networks`, () => this._parseNetworks(service.networks, container, compose.networks, defaultNetwork), errors);
     }
 
     // Handle hostname
@@ -143,7 +288,9 @@ export class ComposeParser {
     // Handle restart policy
     if (service.restart) {
       // This will be handled in the Service section
-      container._restart = service.restart;
+      atComposePath(`${servicePath}.restart`, () => {
+        container._restart = this._parseRestart(service.restart);
+      }, errors);
     }
 
     // Handle security options
@@ -215,6 +362,11 @@ export class ComposeParser {
       this._addToPodmanArgs(container, '--cpus', String(service.cpus));
     }
 
+    // Handle platform, moved to the Arch= and OS= of .image units
+    if (service.platform) {
+      this._addToPodmanArgs(container, '--platform', String(service.platform));
+    }
+
     // Handle healthcheck
     if (service.healthcheck) {
       this._parseHealthcheck(service.healthcheck, container);
@@ -222,48 +374,131 @@ export class ComposeParser {
 
     // Handle depends_on (will be converted to systemd dependencies)
     if (service.depends_on) {
-      container._dependsOn = Array.isArray(service.depends_on) 
-        ? service.depends_on 
-        : Object.keys(service.depends_on);
+      container._dependsOn = dependencyNames(service.depends_on);
     }
 
     return container;
   }
 
   /**
-   * Parse ports configuration
+   * Check a restart policy, which becomes the Restart= key of the Service section
+   */
+  _parseRestart(restart) {
+    const policy = String(restart);
+    if (!RESTART_POLICY.test(policy)) {
+      throw new Error(`Restart policy must be "no", "always", "on-failure[:max-retries]" or "unless-stopped", got '${policy}'`);
+    }
+    return policy;
+  }
+
+  /**
+   * Parse a build section into a Build object
+   */
+  _parseBuild(serviceName, service, workingDirectory = process.cwd()) {
+    const build = new Build();
+    const config = typeof service.build === 'string'
+      ? { context: service.build }
+      : service.build;
+
+    if (!config || (!config.context && !config.dockerfile)) {
+      throw new Error(`Build of service '${serviceName}' must have a context or a dockerfile`);
+    }
+
+    build.addImageTag(service.image ? String(service.image) : `localhost/${serviceName}`);
+    if (Array.isArray(config.tags)) {
+      config.tags.forEach(tag => build.addImageTag(String(tag)));
+    }
+
+    if (config.context) {
+      // SetWorkingDirectory= only accepts an absolute path, while compose contexts are relative to the project
+      build.setWorkingDirectory = isRemoteBuildContext(config.context)
+        ? config.context
+        : path.resolve(workingDirectory, String(config.context));
+    }
+
+    if (config.dockerfile) {
+      build.file = config.dockerfile;
+    }
+
+    if (config.target) {
+      build.target = config.target;
+    }
+
+    if (config.args) {
+      if (Array.isArray(config.args)) {
+        // Array format: ["NODE_ENV=production", "VERSION"]
+        config.args.forEach(arg => build.addBuildArg(String(arg)));
+      } else if (typeof config.args === 'object') {
+        // Object format: { NODE_ENV: production }
+        for (const [key, value] of Object.entries(config.args)) {
+          build.addBuildArg(value === null || value === undefined ? key : `${key}=${value}`);
+        }
+      }
+    }
+
+    if (config.labels) {
+      if (Array.isArray(config.labels)) {
+        config.labels.forEach(label => build.addLabel(label));
+      } else if (typeof config.labels === 'object') {
+        for (const [key, value] of Object.entries(config.labels)) {
+          build.addLabel(`${key}=${value}`);
+        }
+      }
+    }
+
+    if (config.network) {
+      build.network.push(config.network);
+    }
+
+    if (config.pull) {
+      build.pull = 'always';
+    }
+
+    return build;
+  }
+
+  /**
+   * Parse ports configuration, attributing errors to the port at the compose path
+   * and adding them to the errors list if given
    */
-  _parsePorts(ports, container) {
+  _parsePorts(ports, container, path = 'ports', errors = null) {
     const portList = Array.isArray(ports) ? ports : [ports];
     
-    for (const port of portList) {
+    portList.forEach((port, index) => atComposePath(`${path}[${index}]`, () => {
       if (typeof port === 'string' || typeof port === 'number') {
         container.addPublishPort(String(port));
       } else if (typeof port === 'object') {
-        // Long form: { target: 80, published: 8080, protocol: tcp }
-        let portSpec = '';
-        if (port.published) {
-          portSpec += port.published + ':';
+        // Long form: { target: 80, published: 8080, host_ip: 127.0.0.1, protocol: tcp }.
+        // Podman publishes every port on the host, so mode is reported as dropped
+        if (port.target === undefined || port.target === null) {
+          throw new Error('Port in long form must have a target');
         }
-        portSpec += port.target;
-        if (port.protocol && port.protocol !== 'tcp') {
-          portSpec += '/' + port.protocol;
-        }
-        container.addPublishPort(portSpec);
+        container.addPublishPort(formatPort({
+          hostIp: port.host_ip ? String(port.host_ip) : null,
+          hostPort: port.published !== undefined && port.published !== null ? String(port.published) : null,
+          containerPort: String(port.target),
+          protocol: port.protocol ? String(port.protocol) : null
+        }));
       }
-    }
+    }, errors));
   }
 
   /**
-   * Parse volumes configuration
+   * Parse volumes configuration, attributing errors to the volume at the compose path
+   * and adding them to the errors list if given
    */
-  _parseVolumes(volumes, container, composeVolumes = {}) {
+  _parseVolumes(volumes, container, composeVolumes = {}, path = 'volumes', errors = null) {
     const volumeList = Array.isArray(volumes) ? volumes : [volumes];
     
-    for (const volume of volumeList) {
+    volumeList.forEach((volume, index) => atComposePath(`${path}[${index}]`, () => {
       if (typeof volume === 'string') {
         // Short form: "host:container" or "volume:container"
-        container.addVolume(volume);
+        const [source, ...rest] = volume.split(':');
+        if (rest.length > 0) {
+          container.addVolume([this._resolveVolumeSource(source, composeVolumes), ...rest].join(':'));
+        } else {
+          container.addVolume(volume);
+        }
       } else if (typeof volume === 'object') {
         // Long form: { type: bind, source: ./app, target: /app }
         let volumeSpec = '';
@@ -277,11 +512,11 @@ export class ComposeParser {
             }
           }
           container.tmpfs.push(tmpfsSpec);
-          continue;
+          return;
         }
         
         if (volume.source) {
-          volumeSpec += volume.source + ':';
+          volumeSpec += this._resolveVolumeSource(volume.source, composeVolumes) + ':';
         }
         volumeSpec += volume.target;
         
@@ -291,20 +526,90 @@ export class ComposeParser {
         
         container.addVolume(volumeSpec);
       }
+    }, errors));
+  }
+
+  /**
+   * Point a named volume at its generated .volume unit, so systemd
+   * creates the volume before starting the container
+   */
+  _resolveVolumeSource(source, composeVolumes) {
+    const definitions = composeVolumes || {};
+    if (!Object.prototype.hasOwnProperty.call(definitions, source)) {
+      // Bind mounts and volumes not declared at the top level are used as-is
+      return source;
+    }
+
+    const definition = definitions[source] || {};
+    if (definition.external) {
+      // External volumes already exist and are referenced by name
+      return definition.name || source;
+    }
+
+    return `${source}.volume`;
+  }
+
+  /**
+   * Parse top-level volumes into Volume objects, skipping external volumes.
+   * Like docker compose, volumes are named <project>_<volume> unless their definition gives a name.
+   */
+  _parseComposeVolumes(composeVolumes, projectName = 'default') {
+    const volumes = {};
+
+    for (const [volumeKey, definition] of Object.entries(composeVolumes || {})) {
+      const config = definition || {};
+      if (config.external) {
+        continue;
+      }
+
+      const volume = new Volume();
+      volume.setVolumeName(config.name || `${projectName}_${volumeKey}`);
+
+      if (config.driver) {
+        volume.driver = config.driver;
+      }
+
+      if (config.driver_opts) {
+        for (const [option, value] of Object.entries(config.driver_opts)) {
+          if (option === 'type') {
+            volume.type = String(value);
+          } else if (option === 'device') {
+            volume.device = String(value);
+          } else if (option === 'o') {
+            volume.options = String(value);
+          } else {
+            this._addToPodmanArgs(volume, '--opt', `${option}=${value}`);
+          }
+        }
+      }
+
+      if (config.labels) {
+        if (Array.isArray(config.labels)) {
+          config.labels.forEach(label => volume.addLabel(label));
+        } else if (typeof config.labels === 'object') {
+          for (const [key, value] of Object.entries(config.labels)) {
+            volume.addLabel(`${key}=${value}`);
+          }
+        }
+      }
+
+      volumes[volumeKey] = volume;
     }
+
+    return volumes;
   }
 
   /**
    * Parse environment variables
    */
-  _parseEnvironment(environment, container) {
+  _parseEnvironment(environment, container, path = 'environment', errors = null) {
     if (Array.isArray(environment)) {
       // Array format: ["NODE_ENV=production", "PORT=3000"]
-      environment.forEach(env => container.addEnvironment(env));
+      environment.forEach((env, index) => atComposePath(`${path}[${index}]`, () => container.addEnvironment(env), errors));
     } else if (typeof environment === 'object') {
       // Object format: { NODE_ENV: "production", PORT: 3000 }
       for (const [key, value] of Object.entries(environment)) {
-        container.addEnvironment(`${key}=${value}`);
+        atComposePath(`${path}.${key}`, () => container.addEnvironment(`${key}=${value}`), errors);
       }
     }
   }
@@ -312,14 +617,14 @@ export class ComposeParser {
   /**
    * Parse labels
    */
-  _parseLabels(labels, container) {
+  _parseLabels(labels, container, path = 'labels', errors = null) {
     if (Array.isArray(labels)) {
       // Array format: ["app=web", "version=1.0"]
-      labels.forEach(label => container.addLabel(label));
+      labels.forEach((label, index) => atComposePath(`${path}[${index}]`, () => container.addLabel(label), errors));
     } else if (typeof labels === 'object') {
       // Object format: { app: "web", version: "1.0" }
       for (const [key, value] of Object.entries(labels)) {
-        container.addLabel(`${key}=${value}`);
+        atComposePath(`${path}.${key}`, () => container.addLabel(`${key}=${value}`), errors);
       }
     }
   }
@@ -327,22 +632,25 @@ export class ComposeParser {
   /**
    * Parse networks configuration
    */
-  _parseNetworks(networks, container) {
+  _parseNetworks(networks, container, composeNetworks = {}, defaultNetwork = 'default') {
     if (Array.isArray(networks)) {
       networks.forEach(network => {
         if (typeof network === 'string') {
-          container.network.push(network);
+          container.network.push(this._resolveNetworkName(network, composeNetworks, defaultNetwork));
         }
       });
     } else if (typeof networks === 'object') {
       for (const [networkName, config] of Object.entries(networks)) {
-        let networkSpec = networkName;
+        let networkSpec = this._resolveNetworkName(networkName, composeNetworks, defaultNetwork);
         
         if (config && typeof config === 'object') {
           const options = [];
           if (config.ipv4_address) {
             options.push(`ip=${config.ipv4_address}`);
           }
+          if (config.ipv6_address) {
+            options.push(`ip6=${config.ipv6_address}`);
+          }
           if (config.aliases && config.aliases.length > 0) {
             config.aliases.forEach(alias => {
               container.networkAlias.push(alias);
@@ -358,6 +666,125 @@ export class ComposeParser {
     }
   }
 
+  /**
+   * Point a project network at its generated .network unit, the default network
+   * being generated as the project's <project>_default unit
+   */
+  _resolveNetworkName(networkName, composeNetworks, defaultNetwork) {
+    const definitions = composeNetworks || {};
+    const definition = definitions[networkName] || {};
+
+    if (definition.external) {
+      // External networks already exist and are referenced by name
+      return definition.name || networkName;
+    }
+
+    if (networkName === 'default') {
+      return `${defaultNetwork}.network`;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(definitions, networkName)) {
+      return `${networkName}.network`;
+    }
+
+    // Networks not declared at the top level are used as-is
+    return networkName;
+  }
+
+  /**
+   * Parse top-level networks into Network objects, skipping external networks.
+   * Like docker compose, the "default" network is created whenever a service uses it,
+   * keyed and named <project>_default, and the other networks are named <project>_<network>,
+   * unless their definition gives a name.
+   */
+  _parseComposeNetworks(compose, containers, defaultNetwork, projectName = 'default') {
+    const definitions = { ...(compose.networks || {}) };
+    const usesDefault = Object.values(containers)
+      .some(container => container.network.some(network => network.split(':')[0] === `${defaultNetwork}.network`));
+
+    if (usesDefault || definitions.default) {
+      const definition = definitions.default || {};
+      delete definitions.default;
+      definitions[defaultNetwork] = { name: defaultNetwork, ...definition };
+    }
+
+    const networks = {};
+
+    for (const [networkKey, definition] of Object.entries(definitions)) {
+      const config = definition || {};
+      if (config.external) {
+        continue;
+      }
+
+      const network = new Network();
+      network.setNetworkName(config.name || `${projectName}_${networkKey}`);
+
+      if (config.driver) {
+        network.driver = config.driver;
+      }
+
+      if (config.driver_opts) {
+        for (const [option, value] of Object.entries(config.driver_opts)) {
+          network.options.push(`${option}=${value}`);
+        }
+      }
+
+      if (config.ipam) {
+        this._parseIpam(config.ipam, network);
+      }
+
+      if (config.internal) {
+        network.internal = true;
+      }
+
+      if (config.enable_ipv6) {
+        network.ipv6 = true;
+      }
+
+      if (config.labels) {
+        if (Array.isArray(config.labels)) {
+          config.labels.forEach(label => network.addLabel(label));
+        } else if (typeof config.labels === 'object') {
+          for (const [key, value] of Object.entries(config.labels)) {
+            network.addLabel(`${key}=${value}`);
+          }
+        }
+      }
+
+      networks[networkKey] = network;
+    }
+
+    return networks;
+  }
+
+  /**
+   * Parse the IP address management of a network
+   */
+  _parseIpam(ipam, network) {
+    if (ipam.driver && ipam.driver !== 'default') {
+      network.ipamDriver = ipam.driver;
+    }
+
+    const configs = Array.isArray(ipam.config) ? ipam.config : [];
+    for (const config of configs) {
+      if (config.subnet) {
+        network.subnet.push(config.subnet);
+      }
+      if (config.gateway) {
+        network.gateway.push(config.gateway);
+      }
+      if (config.ip_range) {
+        network.ipRange.push(config.ip_range);
+      }
+    }
+
+    if (ipam.options) {
+      for (const [option, value] of Object.entries(ipam.options)) {
+        this._addToPodmanArgs(network, '--ipam-opt', `${option}=${value}`);
+      }
+    }
+  }
+
   /**
    * Parse security options
    */
@@ -375,6 +802,13 @@ export class ComposeParser {
     }
   }
 
+  /**
+   * Whether a security option has a native Quadlet key
+   */
+  _isNativeSecurityOption(opt) {
+    return opt === 'no-new-privileges:true' || opt.startsWith('label=disable');
+  }
+
   /**
    * Parse healthcheck configuration
    */
@@ -438,47 +872,171 @@ export class ComposeParser {
   }
 
   /**
-   * Validate compose file structure
+   * Validate compose file structure, adding the errors to the list.
+   * A file without services cannot be checked further and throws
    */
-  _validateCompose(compose) {
+  _validateCompose(compose, diagnostics = new Diagnostics(), errors = []) {
     if (!compose.services || Object.keys(compose.services).length === 0) {
-      throw new Error('Compose file must contain at least one service');
+      throw new ComposeError('Compose file must contain at least one service', { path: compose.services ? 'services' : null });
     }
 
     // Check for unsupported top-level features
     const unsupported = ['configs', 'secrets'];
     for (const feature of unsupported) {
       if (compose[feature] && Object.keys(compose[feature]).length > 0) {
-        throw new Error(`Compose feature '${feature}' is not yet supported`);
+        errors.push(new ComposeError(`Compose feature '${feature}' is not yet supported`, { path: feature }));
+      }
+    }
+
+    for (const key of Object.keys(compose)) {
+      if (!COMPOSE_KEYS.includes(key) && !key.startsWith('x-')) {
+        diagnostics.warn('unsupported-feature', `Compose key '${key}' is not supported - ignoring`, { path: key });
       }
     }
 
     // Validate each service
     for (const [serviceName, service] of Object.entries(compose.services)) {
-      this._validateService(serviceName, service);
+      this._validateService(serviceName, service, diagnostics);
     }
   }
 
   /**
-   * Validate a single service
+   * Validate a single service, reporting the keys it ignores.
+   * Its settings are checked while parsing it
    */
-  _validateService(serviceName, service) {
-    // Check for required fields
-    if (!service.image && !service.build) {
-      throw new Error(`Service '${serviceName}' must have either 'image' or 'build'`);
+  _validateService(serviceName, service, diagnostics = new Diagnostics()) {
+    // Check for unsupported features
+    for (const feature of this._unsupportedFeatures(service)) {
+      diagnostics.warn('unsupported-feature', `Service '${serviceName}' uses unsupported feature '${feature}' - ignoring`, {
+        service: serviceName,
+        path: `services.${serviceName}.${feature}`
+      });
     }
+  }
 
-    // Check for unsupported features
-    const unsupported = [
-      'external_links', 'links', 'network_mode', 
-      'secrets', 'configs', 'deploy'
-    ];
-    
-    for (const feature of unsupported) {
-      if (service[feature]) {
-        console.warn(`Warning: Service '${serviceName}' uses unsupported feature '${feature}' - ignoring`);
+  /**
+   * Check that service dependencies have no cycles, since systemd cannot order units
+   * waiting for each other. Dependencies outside the project are reported as warnings,
+   * their units being possibly defined elsewhere
+   */
+  _validateDependencies(services, errors, diagnostics = new Diagnostics()) {
+    for (const [serviceName, service] of Object.entries(services)) {
+      const dependsOn = (service && service.depends_on) || [];
+      dependencyNames(dependsOn).forEach((dependency, index) => {
+        if (!Object.prototype.hasOwnProperty.call(services, dependency)) {
+          diagnostics.warn('undefined-dependency', `Service '${serviceName}' depends on undefined service '${dependency}'`, {
+            service: serviceName,
+            path: `services.${serviceName}.depends_on${Array.isArray(dependsOn) ? `[${index}]` : `.${dependency}`}`,
+            lossy: false
+          });
+        }
+      });
+    }
+
+    // Depth-first search, a dependency still on the stack closing a cycle
+    const visited = new Set();
+    const stack = [];
+    const visit = serviceName => {
+      if (stack.includes(serviceName)) {
+        const cycle = [...stack.slice(stack.indexOf(serviceName)), serviceName];
+        errors.push(new ComposeError(`Dependency cycle: ${cycle.join(' -> ')}`, { path: `services.${serviceName}.depends_on` }));
+        return;
+      }
+      if (visited.has(serviceName) || !Object.prototype.hasOwnProperty.call(services, serviceName)) {
+        return;
+      }
+
+      visited.add(serviceName);
+      stack.push(serviceName);
+      const service = services[serviceName];
+      dependencyNames((service && service.depends_on) || []).forEach(visit);
+      stack.pop();
+    };
+    Object.keys(services).forEach(visit);
+  }
+
+  /**
+   * Keys of a service that are not translated, x- keys being extensions for other tools.
+   * The settings of a section such as deploy are listed one by one, like deploy.resources,
+   * as are the settings translated keys leave out, like healthcheck.start_interval
+   */
+  _unsupportedFeatures(service) {
+    const features = [];
+
+    for (const [key, value] of Object.entries(service)) {
+      if (key.startsWith('x-') || isUnset(value)) {
+        continue;
+      }
+
+      if (SERVICE_KEYS.includes(key)) {
+        features.push(...this._unsupportedSettings(key, value));
+        continue;
+      }
+
+      if (SERVICE_SECTIONS.includes(key) && typeof value === 'object' && Object.keys(value).length > 0) {
+        features.push(...Object.keys(value).map(setting => `${key}.${setting}`));
+      } else {
+        features.push(key);
       }
     }
+
+    return features;
+  }
+
+  /**
+   * Settings left out of a translated service key, with their path below the service
+   * like ports[0].app_protocol or depends_on.db.condition
+   */
+  _unsupportedSettings(key, value) {
+    const supported = SERVICE_SETTINGS[key];
+    if (!supported || typeof value !== 'object') {
+      return [];
+    }
+
+    let mappings = [[key, value]];
+    if (Array.isArray(value)) {
+      mappings = value.map((item, index) => [`${key}[${index}]`, item]);
+    } else if (KEYED_SETTINGS.includes(key)) {
+      mappings = Object.entries(value).map(([name, entry]) => [`${key}.${name}`, entry]);
+    }
+
+    return mappings
+      .filter(([, settings]) => settings && typeof settings === 'object' && !Array.isArray(settings))
+      .flatMap(([path, settings]) => Object.entries(settings)
+        .filter(([setting, setValue]) => !supported.includes(setting) && !setting.startsWith('x-') && !isUnset(setValue))
+        .map(([setting]) => `${path}.${setting}`));
+  }
+
+  /**
+   * Sort the keys of a service by how they are translated: to native Quadlet keys,
+   * sections and units, to PodmanArgs= arguments, or dropped, settings left out of
+   * a translated key being listed as dropped on their own
+   */
+  _serviceCoverage(service) {
+    const coverage = { native: [], podmanArgs: [], dropped: this._unsupportedFeatures(service) };
+
+    for (const [key, value] of Object.entries(service)) {
+      if (!SERVICE_KEYS.includes(key) || isUnset(value)) {
+        continue;
+      }
+
+      if (key === 'security_opt') {
+        // Security options without a native key are passed as PodmanArgs=
+        const opts = Array.isArray(value) ? value : [value];
+        if (opts.some(opt => this._isNativeSecurityOption(opt))) {
+          coverage.native.push(key);
+        }
+        if (opts.some(opt => !this._isNativeSecurityOption(opt))) {
+          coverage.podmanArgs.push(key);
+        }
+      } else if (PODMAN_ARGS_KEYS.includes(key)) {
+        coverage.podmanArgs.push(key);
+      } else {
+        coverage.native.push(key);
+      }
+    }
+
+    return coverage;
   }
 
   /**
@@ -497,4 +1055,18 @@ export class ComposeParser {
       extensions: false
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Whether a compose value leaves its setting unset
+ */
+function isUnset(value) {
+  return value === null || value === undefined || value === false;
+}
+
+/**
+ * Names of the services in a depends_on list or map
+ */
+function dependencyNames(dependsOn) {
+  return Array.isArray(dependsOn) ? dependsOn.map(String) : Object.keys(dependsOn);
+}
@@ -0,0 +1,145 @@
+/**
+ * Compose source positions
+ * Maps compose paths such as services.web.ports[0] to the file, line and column
+ * defining them, so parse errors and diagnostics point into the compose files
+ */
+
+import { isMap, isSeq, isScalar } from 'yaml';
+import { ConversionError, describeLocation } from './diagnostics.js';
+
+/**
+ * Error in a compose file, located by its compose path and source position
+ */
+export class ComposeError extends Error {
+  /**
+   * @param {string} reason - Description of the problem
+   * @param {Object} location - Where the problem is
+   * @param {string} location.path - Compose path, such as services.web.ports[1]
+   * @param {string} location.file - Compose file name
+   * @param {number} location.line - Line in the file, starting at 1
+   * @param {number} location.column - Column in the line, starting at 1
+   */
+  constructor(reason, location = {}) {
+    const { path = null, file = null, line = null, column = null } = location;
+    super(`${path ? `${path}: ` : ''}${reason}${describeLocation({ file, line, column })}`);
+    this.name = 'ComposeError';
+    this.reason = reason;
+    this.path = path;
+    this.file = file;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Every error found in a compose project, collected across all services
+ * so a broken file can be fixed in one pass
+ */
+export class ComposeValidationError extends AggregateError {
+  /**
+   * @param {Array<ComposeError>} errors - The errors, in the order of the compose file
+   */
+  constructor(errors) {
+    super(errors, errors.length === 1
+      ? errors[0].message
+      : `Compose project has ${errors.length} errors:\n${errors.map(error => `  ${error.message}`).join('\n')}`);
+    this.name = 'ComposeValidationError';
+  }
+}
+
+export class ComposeSources {
+  constructor() {
+    this.positions = new Map();
+  }
+
+  /**
+   * Record the positions of the keys and sequence items of a parsed YAML document,
+   * a later document defining the same path taking precedence like in a merge
+   *
+   * @param {Document} document - Document from yaml.parseDocument
+   * @param {LineCounter} lineCounter - Line counter the document was parsed with
+   * @param {string} file - Name of the compose file
+   */
+  add(document, lineCounter, file = null) {
+    const record = (path, node) => {
+      const { line, col } = lineCounter.linePos(node.range[0]);
+      this.positions.set(path, { file, line, column: col });
+    };
+
+    const walk = (node, path) => {
+      if (isMap(node)) {
+        for (const pair of node.items) {
+          // Merge keys point at anchors defined elsewhere in the file
+          if (!isScalar(pair.key) || pair.key.value === '<<' || !pair.key.range) {
+            continue;
+          }
+          const key = String(pair.key.value);
+          const itemPath = path ? `${path}.${key}` : key;
+          record(itemPath, pair.key);
+          walk(pair.value, itemPath);
+        }
+      } else if (isSeq(node)) {
+        node.items.forEach((item, index) => {
+          if (item && item.range) {
+            record(`${path}[${index}]`, item);
+            walk(item, `${path}[${index}]`);
+          }
+        });
+      }
+    };
+
+    walk(document.contents, '');
+  }
+
+  /**
+   * Position of a compose path, or of its closest parent with a known position
+   *
+   * @param {string} path - Compose path, such as services.web.ports[1]
+   * @returns {Object|null} The file, line and column
+   */
+  locate(path) {
+    let current = path || '';
+    while (current) {
+      if (this.positions.has(current)) {
+        return this.positions.get(current);
+      }
+      const parent = current.replace(/(\[\d+\]|\.?[^.[]*)$/, '');
+      if (parent === current) {
+        break;
+      }
+      current = parent;
+    }
+    return null;
+  }
+
+  /**
+   * Add the source position of its compose path to an error, other errors being left as is
+   */
+  locateError(error) {
+    if (!(error instanceof ComposeError) || error.line !== null || !error.path) {
+      return error;
+    }
+    return new ComposeError(error.reason, { path: error.path, ...this.locate(error.path) });
+  }
+}
+
+/**
+ * Run a parsing step, attributing its errors to a compose path.
+ * Given a list of errors, the error is added to it instead of thrown and
+ * the step returns undefined, strict mode ConversionErrors still being thrown
+ */
+export function atComposePath(path, parse, errors = null) {
+  try {
+    return parse();
+  } catch (error) {
+    if (error instanceof ConversionError) {
+      throw error;
+    }
+    const composeError = error instanceof ComposeError ? error : new ComposeError(error.message, { path });
+    if (!errors) {
+      throw composeError;
+    }
+    errors.push(composeError);
+    return undefined;
+  }
+}
@@ -0,0 +1,606 @@
+/**
+ * ComposeWriter - Converts Container objects back to a compose file
+ * Reverse of ComposeParser, keeping Podman-only fields under x-podman extension keys
+ */
+
+import yaml from 'yaml';
+import { splitArgs, joinArgs } from './shell-words.js';
+
+// Networks that are a network mode rather than a network to join
+const NETWORK_MODES = /^(host|none|bridge|private|slirp4netns|pasta|container:.+|ns:.+)$/;
+
+// Podman-only fields kept under x-podman, with their extension key
+const X_PODMAN_FIELDS = [
+  ['environmentHost', 'env_host'],
+  ['securityLabelNested', 'security_label_nested'],
+  ['mask', 'mask'],
+  ['unmask', 'unmask'],
+  ['uidMap', 'uidmaps'],
+  ['gidMap', 'gidmaps'],
+  ['subUidMap', 'subuidname'],
+  ['subGidMap', 'subgidname'],
+  ['timezone', 'timezone'],
+  ['healthOnFailure', 'health_on_failure'],
+  ['healthStartupCmd', 'health_startup_cmd'],
+  ['healthStartupInterval', 'health_startup_interval'],
+  ['healthStartupRetries', 'health_startup_retries'],
+  ['healthStartupSuccess', 'health_startup_success'],
+  ['healthStartupTimeout', 'health_startup_timeout'],
+  ['healthLogDestination', 'health_log_destination'],
+  ['healthMaxLogCount', 'health_max_log_count'],
+  ['healthMaxLogSize', 'health_max_log_size'],
+  ['pod', 'pod'],
+  ['autoUpdate', 'auto_update'],
+  ['secret', 'secrets'],
+  ['rootfs', 'rootfs']
+];
+
+// PodmanArgs flags with a compose equivalent
+const PODMAN_ARGS_FIELDS = {
+  '--privileged': { key: 'privileged' },
+  '--tty': { key: 'tty' },
+  '-t': { key: 'tty' },
+  '--interactive': { key: 'stdin_open' },
+  '-i': { key: 'stdin_open' },
+  '--memory': { key: 'mem_limit', value: true },
+  '-m': { key: 'mem_limit', value: true },
+  '--cpus': { key: 'cpus', value: true, number: true },
+  '--security-opt': { key: 'security_opt', value: true, list: true },
+  '--platform': { key: 'platform', value: true }
+};
+
+/**
+ * Main writer class for compose files
+ */
+export class ComposeWriter {
+  /**
+   * Serialize containers into a compose YAML document
+   *
+   * @param {Container|Array<Container>|Object} containers - A container, a list of containers
+   *   named after their container name, or a map of service names to containers
+   * @param {Object} options - Writing options
+   * @param {string} options.name - Compose project name
+   * @returns {string} Compose file content
+   */
+  write(containers, options = {}) {
+    return yaml.stringify(this.toCompose(containers, options));
+  }
+
+  /**
+   * Convert containers into a compose document object
+   *
+   * @param {Container|Array<Container>|Object} containers - Containers to convert
+   * @param {Object} options - Writing options
+   * @returns {Object} Compose document
+   */
+  toCompose(containers, options = {}) {
+    const compose = {};
+    if (options.name) {
+      compose.name = options.name;
+    }
+
+    const services = {};
+    const volumes = {};
+    const networks = {};
+
+    for (const [serviceName, container] of this._serviceEntries(containers)) {
+      services[serviceName] = this._writeService(serviceName, container, { volumes, networks });
+    }
+
+    compose.services = services;
+    if (Object.keys(volumes).length > 0) {
+      compose.volumes = volumes;
+    }
+    if (Object.keys(networks).length > 0) {
+      compose.networks = networks;
+    }
+
+    return compose;
+  }
+
+  /**
+   * Name the containers, failing on duplicate service names
+   */
+  _serviceEntries(containers) {
+    if (!containers || typeof containers !== 'object') {
+      throw new Error('Containers must be a Container, an array or an object of Containers');
+    }
+
+    if (!Array.isArray(containers) && typeof containers.getDefaultName !== 'function') {
+      return Object.entries(containers);
+    }
+
+    const entries = [];
+    for (const container of Array.isArray(containers) ? containers : [containers]) {
+      const serviceName = container.getDefaultName();
+      if (entries.some(([name]) => name === serviceName)) {
+        throw new Error(`Duplicate service name '${serviceName}'`);
+      }
+      entries.push([serviceName, container]);
+    }
+    return entries;
+  }
+
+  /**
+   * Convert a container into a compose service
+   */
+  _writeService(serviceName, container, resources) {
+    const service = {};
+    const extensions = {};
+
+    // Image or build
+    if (container._build) {
+      const { image, build } = this._writeBuild(serviceName, container._build);
+      if (image) {
+        service.image = image;
+      }
+      service.build = build;
+    } else if (container.image) {
+      service.image = container.image;
+    }
+
+    if (container.containerName && container.containerName !== serviceName) {
+      service.container_name = container.containerName;
+    }
+
+    if (container.entrypoint) {
+      service.entrypoint = splitArgs(container.entrypoint);
+    }
+
+    if (container.exec) {
+      service.command = splitArgs(container.exec);
+    }
+
+    // Networking
+    this._setList(service, 'ports', container.publishPort);
+    this._setList(service, 'expose', container.exposeHostPort);
+    this._writeNetworks(container, service, resources.networks, extensions);
+    this._setList(service, 'extra_hosts', container.addHost);
+
+    if (container.hostName) {
+      service.hostname = container.hostName;
+    }
+
+    this._setList(service, 'dns', container.dns);
+    this._setList(service, 'dns_opt', container.dnsOption);
+    this._setList(service, 'dns_search', container.dnsSearch);
+
+    // Storage
+    this._writeVolumes(container, service, resources.volumes, extensions);
+    this._setList(service, 'tmpfs', container.tmpfs);
+    this._setList(service, 'devices', container.addDevice);
+
+    // Environment and metadata
+    this._setMapping(service, 'environment', container.environment);
+    this._setList(service, 'env_file', container.environmentFile);
+    this._setMapping(service, 'labels', container.label);
+    this._setMapping(service, 'annotations', container.annotation);
+
+    // Security
+    if (container.user || container.group) {
+      service.user = container.group ? `${container.user || ''}:${container.group}` : container.user;
+    }
+    this._setList(service, 'group_add', container.groupAdd);
+    this._setList(service, 'cap_add', container.addCapability);
+    this._setList(service, 'cap_drop', container.dropCapability);
+    this._setList(service, 'security_opt', this._securityOptions(container));
+
+    if (container.userNS) {
+      service.userns_mode = container.userNS;
+    }
+
+    if (container.readOnly) {
+      service.read_only = true;
+      if (!container.readOnlyTmpfs) {
+        extensions.read_only_tmpfs = false;
+      }
+    }
+
+    // Runtime
+    if (container.runInit) {
+      service.init = true;
+    }
+
+    if (container.workingDir) {
+      service.working_dir = container.workingDir;
+    }
+
+    if (container.shmSize) {
+      service.shm_size = container.shmSize;
+    }
+
+    if (container.stopSignal) {
+      service.stop_signal = container.stopSignal;
+    }
+
+    if (container.stopTimeout) {
+      service.stop_grace_period = /^\d+$/.test(String(container.stopTimeout))
+        ? `${container.stopTimeout}s`
+        : container.stopTimeout;
+    }
+
+    if (container.pull) {
+      if (['always', 'missing', 'never'].includes(container.pull)) {
+        service.pull_policy = container.pull;
+      } else {
+        extensions.pull = container.pull;
+      }
+    }
+
+    if (container._restart) {
+      service.restart = container._restart;
+    }
+
+    // Resource limits
+    if (container.pidsLimit) {
+      service.pids_limit = this._number(container.pidsLimit);
+    }
+    this._setMapping(service, 'sysctls', container.sysctl);
+    this._writeUlimits(container, service);
+
+    // Logging
+    if (container.logDriver || container.logOpt.length > 0) {
+      service.logging = {};
+      if (container.logDriver) {
+        service.logging.driver = container.logDriver;
+      }
+      this._setMapping(service.logging, 'options', container.logOpt);
+    }
+
+    // Health checks
+    const healthcheck = this._writeHealthcheck(container);
+    if (healthcheck) {
+      service.healthcheck = healthcheck;
+    }
+
+    if (container._dependsOn && container._dependsOn.length > 0) {
+      service.depends_on = [...container._dependsOn];
+    }
+
+    if (container.notify && container.notify !== 'conmon') {
+      extensions.sdnotify = container.notify;
+    }
+
+    this._writePodmanArgs(container, service, extensions);
+
+    for (const [field, key] of X_PODMAN_FIELDS) {
+      const value = container[field];
+      if (value !== null && value !== false && !(Array.isArray(value) && value.length === 0)) {
+        extensions[key] = Array.isArray(value) ? [...value] : value;
+      }
+    }
+
+    if (Object.keys(extensions).length > 0) {
+      service['x-podman'] = extensions;
+    }
+
+    return service;
+  }
+
+  /**
+   * Convert a .build unit back into the service image and build section
+   */
+  _writeBuild(serviceName, build) {
+    const [tag, ...tags] = build.imageTag;
+    const config = {};
+
+    config.context = build.setWorkingDirectory || '.';
+    if (build.file) {
+      config.dockerfile = build.file;
+    }
+    if (build.target) {
+      config.target = build.target;
+    }
+    if (build.buildArg.length > 0) {
+      config.args = this._keyValues(build.buildArg);
+    }
+    if (build.label.length > 0) {
+      config.labels = this._keyValues(build.label);
+    }
+    if (build.network.length > 0) {
+      config.network = build.network[0];
+    }
+    if (build.pull) {
+      config.pull = true;
+    }
+    if (tags.length > 0) {
+      config.tags = tags;
+    }
+
+    // The parser tags images of services without an image as localhost/<service>
+    const image = tag && tag !== `localhost/${serviceName}` ? tag : null;
+    const isContextOnly = Object.keys(config).length === 1;
+    return { image, build: isContextOnly ? config.context : config };
+  }
+
+  /**
+   * Write the service networks, declaring the networks of generated .network units
+   */
+  _writeNetworks(container, service, networks, extensions) {
+    const joined = [];
+
+    for (const network of container.network) {
+      if (NETWORK_MODES.test(network)) {
+        service.network_mode = network;
+        continue;
+      }
+
+      const [reference, options = ''] = network.split(/:(.*)/s);
+      const name = reference.endsWith('.network') ? reference.slice(0, -'.network'.length) : reference;
+      if (reference.endsWith('.network') && name !== 'default') {
+        networks[name] = {};
+      }
+
+      const config = {};
+      for (const option of options.split(',').filter(Boolean)) {
+        const [key, value] = option.split(/=(.*)/s);
+        if (key === 'ip') {
+          config.ipv4_address = value;
+        } else if (key === 'ip6') {
+          config.ipv6_address = value;
+        }
+      }
+      joined.push([name, config]);
+    }
+
+    // IP= and IP6= apply to the only network the container joins
+    if (joined.length === 1) {
+      if (container.ip) {
+        joined[0][1].ipv4_address = container.ip;
+      }
+      if (container.ip6) {
+        joined[0][1].ipv6_address = container.ip6;
+      }
+    } else {
+      if (container.ip) {
+        extensions.ip = container.ip;
+      }
+      if (container.ip6) {
+        extensions.ip6 = container.ip6;
+      }
+    }
+
+    if (container.networkAlias.length > 0) {
+      if (joined.length === 0) {
+        extensions.network_aliases = [...container.networkAlias];
+      }
+      joined.forEach(([, config]) => { config.aliases = [...container.networkAlias]; });
+    }
+
+    if (joined.length === 0) {
+      return;
+    }
+
+    if (joined.every(([, config]) => Object.keys(config).length === 0)) {
+      service.networks = joined.map(([name]) => name);
+    } else {
+      service.networks = Object.fromEntries(
+        joined.map(([name, config]) => [name, Object.keys(config).length > 0 ? config : null])
+      );
+    }
+  }
+
+  /**
+   * Write the service volumes and mounts, declaring the volumes of generated .volume units
+   */
+  _writeVolumes(container, service, volumes, extensions) {
+    const serviceVolumes = container.volume.map(volume => {
+      const [source, ...rest] = volume.split(':');
+      if (rest.length > 0 && source.endsWith('.volume')) {
+        const name = source.slice(0, -'.volume'.length);
+        volumes[name] = {};
+        return [name, ...rest].join(':');
+      }
+      return volume;
+    });
+
+    const mounts = [];
+    for (const mount of container.mount) {
+      const volume = this._mountToVolume(mount);
+      if (volume) {
+        serviceVolumes.push(volume);
+      } else {
+        mounts.push(mount);
+      }
+    }
+
+    this._setList(service, 'volumes', serviceVolumes);
+    if (mounts.length > 0) {
+      extensions.mounts = mounts;
+    }
+  }
+
+  /**
+   * Convert a Mount= value into the long volume syntax, or null when compose cannot express it
+   */
+  _mountToVolume(mount) {
+    const volume = {};
+
+    for (const option of mount.split(',')) {
+      const [key, value] = option.split(/=(.*)/s);
+      if (key === 'type' && ['bind', 'volume', 'tmpfs'].includes(value)) {
+        volume.type = value;
+      } else if (['source', 'src'].includes(key)) {
+        volume.source = value;
+      } else if (['target', 'destination', 'dst'].includes(key)) {
+        volume.target = value;
+      } else if (['ro', 'readonly'].includes(key)) {
+        volume.read_only = value === undefined || value === 'true';
+      } else if (key === 'tmpfs-size') {
+        volume.tmpfs = { size: value };
+      } else {
+        return null;
+      }
+    }
+
+    return volume.type && volume.target ? volume : null;
+  }
+
+  /**
+   * Security options compose can express
+   */
+  _securityOptions(container) {
+    const options = [];
+    if (container.noNewPrivileges) {
+      options.push('no-new-privileges:true');
+    }
+    if (container.securityLabelDisable) {
+      options.push('label=disable');
+    }
+    if (container.securityLabelType) {
+      options.push(`label=type:${container.securityLabelType}`);
+    }
+    if (container.securityLabelLevel) {
+      options.push(`label=level:${container.securityLabelLevel}`);
+    }
+    if (container.securityLabelFileType) {
+      options.push(`label=filetype:${container.securityLabelFileType}`);
+    }
+    if (container.seccompProfile) {
+      options.push(`seccomp=${container.seccompProfile}`);
+    }
+    return options;
+  }
+
+  /**
+   * Write Ulimit= values such as nofile=1024:2048 as compose ulimits
+   */
+  _writeUlimits(container, service) {
+    if (container.ulimit.length === 0) {
+      return;
+    }
+
+    service.ulimits = {};
+    for (const ulimit of container.ulimit) {
+      const [name, limits = ''] = ulimit.split(/=(.*)/s);
+      const [soft, hard] = limits.split(':');
+      service.ulimits[name] = hard === undefined
+        ? this._number(soft)
+        : { soft: this._number(soft), hard: this._number(hard) };
+    }
+  }
+
+  /**
+   * Write the health check fields as a compose healthcheck
+   */
+  _writeHealthcheck(container) {
+    if (container.healthCmd === 'none') {
+      return { disable: true };
+    }
+
+    const healthcheck = {};
+    if (container.healthCmd) {
+      healthcheck.test = this._healthcheckTest(container.healthCmd);
+    }
+    if (container.healthInterval) {
+      healthcheck.interval = container.healthInterval;
+    }
+    if (container.healthTimeout) {
+      healthcheck.timeout = container.healthTimeout;
+    }
+    if (container.healthRetries) {
+      healthcheck.retries = this._number(container.healthRetries);
+    }
+    if (container.healthStartPeriod) {
+      healthcheck.start_period = container.healthStartPeriod;
+    }
+
+    return Object.keys(healthcheck).length > 0 ? healthcheck : null;
+  }
+
+  /**
+   * Write a health command as a compose test. Commands starting with CMD or CMD-SHELL,
+   * like the list form joined by the compose parser, go back to the list form since
+   * compose would run a string test with the shell, taking CMD as the program
+   */
+  _healthcheckTest(healthCmd) {
+    const [, kind, command] = healthCmd.trim().match(/^(CMD|CMD-SHELL)\s+(.*)$/s) || [];
+    if (kind === 'CMD') {
+      return [kind, ...splitArgs(command)];
+    }
+    if (kind === 'CMD-SHELL') {
+      return [kind, command];
+    }
+    // The string form runs the command with the container shell, like HealthCmd=
+    return healthCmd;
+  }
+
+  /**
+   * Write the PodmanArgs flags compose has keys for, keeping the rest under x-podman
+   */
+  _writePodmanArgs(container, service, extensions) {
+    if (!container.podmanArgs) {
+      return;
+    }
+
+    const args = splitArgs(container.podmanArgs);
+    const remaining = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const [flag, inlineValue] = args[i].split(/=(.*)/s);
+      const field = PODMAN_ARGS_FIELDS[flag];
+
+      if (!field || (field.value && inlineValue === undefined && i + 1 >= args.length)) {
+        remaining.push(args[i]);
+        continue;
+      }
+
+      if (!field.value) {
+        if (inlineValue !== undefined && inlineValue !== 'true') {
+          remaining.push(args[i]);
+        } else {
+          service[field.key] = true;
+        }
+        continue;
+      }
+
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (field.list) {
+        service[field.key] = [...(service[field.key] || []), value];
+      } else {
+        service[field.key] = field.number ? this._number(value) : value;
+      }
+    }
+
+    if (remaining.length > 0) {
+      extensions.podman_args = joinArgs(remaining);
+    }
+  }
+
+  /**
+   * Set a list key when the list is not empty
+   */
+  _setList(target, key, values) {
+    if (values.length > 0) {
+      target[key] = [...values];
+    }
+  }
+
+  /**
+   * Set a mapping key from KEY=VALUE values when there are any
+   */
+  _setMapping(target, key, values) {
+    if (values.length > 0) {
+      target[key] = this._keyValues(values);
+    }
+  }
+
+  /**
+   * Convert KEY=VALUE values into a mapping, a bare KEY mapping to null
+   */
+  _keyValues(values) {
+    const mapping = {};
+    for (const value of values) {
+      const [key, ...rest] = String(value).split('=');
+      mapping[key] = rest.length > 0 ? rest.join('=') : null;
+    }
+    return mapping;
+  }
+
+  /**
+   * Convert numeric strings into numbers, compose expects integers for limits
+   */
+  _number(value) {
+    return /^-?\d+(\.\d+)?$/.test(String(value)) ? Number(value) : value;
+  }
+}
@@ -2,6 +2,11 @@
  * Container class representing a Podman Quadlet container configuration
  * Based on the Rust quadlet::Container struct
  */
+
+import { RunGenerator } from './run-generator.js';
+import { parsePort } from './port.js';
+import { validateLabel } from './label.js';
+
 export class Container {
   constructor() {
     // Basic container properties
@@ -25,6 +30,7 @@ export class Container {
     this.exposeHostPort = [];
     this.ip = null;
     this.ip6 = null;
+    this.addHost = [];
     
     // DNS configuration
     this.dns = [];
@@ -79,6 +85,9 @@ export class Container {
     this.healthStartupSuccess = null;
     this.healthStartupTimeout = null;
     this.healthTimeout = null;
+    this.healthLogDestination = null;
+    this.healthMaxLogCount = null;
+    this.healthMaxLogSize = null;
     
     // Systemd integration
     this.notify = 'conmon';
@@ -163,33 +172,11 @@ export class Container {
   }
 
   /**
-   * Add a published port with validation
+   * Add a published port with validation, such as 127.0.0.1:8080:80, [::1]:53:53/udp or 8000-8010:8000-8010
    */
   addPublishPort(port) {
-    if (!port || typeof port !== 'string' || port.trim() === '') {
-      throw new Error('Port must be a non-empty string');
-    }
-    
-    const trimmedPort = port.trim();
-    
-    // Validate port format (host:container or just container port, optionally with protocol)
-    const portPattern = /^(\d+:)?\d+(\/(?:tcp|udp|sctp))?$/;
-    if (!portPattern.test(trimmedPort)) {
-      throw new Error('Port must be in format "host:container" or "container", optionally with protocol "/tcp", "/udp", or "/sctp"');
-    }
-    
-    // Check port ranges (1-65535)
-    // Remove protocol suffix for validation
-    const portForValidation = trimmedPort.replace(/\/(?:tcp|udp|sctp)$/, '');
-    const ports = portForValidation.split(':');
-    for (const p of ports) {
-      const portNum = parseInt(p, 10);
-      if (portNum < 1 || portNum > 65535) {
-        throw new Error(`Port ${portNum} is out of valid range (1-65535)`);
-      }
-    }
-    
-    this.publishPort.push(trimmedPort);
+    parsePort(port);
+    this.publishPort.push(port.trim());
     return this;
   }
 
@@ -207,6 +194,11 @@ export class Container {
     if (!trimmedEnv.includes('=')) {
       throw new Error('Environment variable must be in format "KEY=value"');
     }
+
+    const key = trimmedEnv.slice(0, trimmedEnv.indexOf('='));
+    if (key === '' || /\s/.test(key)) {
+      throw new Error(`Environment variable name '${key}' must not be empty or contain whitespace`);
+    }
     
     this.environment.push(trimmedEnv);
     return this;
@@ -235,18 +227,7 @@ export class Container {
    * Add a label with validation
    */
   addLabel(label) {
-    if (!label || typeof label !== 'string' || label.trim() === '') {
-      throw new Error('Label must be a non-empty string');
-    }
-    
-    const trimmedLabel = label.trim();
-    
-    // Validate label format (key=value)
-    if (!trimmedLabel.includes('=')) {
-      throw new Error('Label must be in format "key=value"');
-    }
-    
-    this.label.push(trimmedLabel);
+    this.label.push(validateLabel(label));
     return this;
   }
 
@@ -267,7 +248,7 @@ export class Container {
     }
     
     // Extract name from image (similar to Rust image_to_name function)
-    const imageParts = this.image.split('/');
+    const imageParts = (this.image || this.rootfs || '').split('/');
     const imageName = imageParts[imageParts.length - 1];
     
     // Remove tag if present
@@ -279,29 +260,31 @@ export class Container {
    * Validate the container configuration
    */
   validate() {
-    if (!this.image) {
+    if (!this.image && !this.rootfs) {
       throw new Error('Image is required');
     }
     
     // Validate ports
     for (const port of this.publishPort) {
       try {
-        const ports = port.split(':');
-        for (const p of ports) {
-          const portNum = parseInt(p, 10);
-          if (isNaN(portNum) || portNum < 1 || portNum > 65535) {
-            throw new Error(`Invalid port: ${port}`);
-          }
-        }
+        parsePort(port);
       } catch (e) {
-        if (e.message.startsWith('Invalid port:')) {
-          throw e;
-        }
-        throw new Error(`Invalid port format: ${port}`);
+        throw new Error(`Invalid port: ${port}`);
       }
     }
   }
 
+  /**
+   * Generate the docker or podman run command reproducing this container
+   *
+   * @param {Object} options - Generation options
+   * @param {string} options.engine - 'podman' (default) or 'docker'
+   * @returns {string} Shell-quoted run command
+   */
+  toRunCommand(options = {}) {
+    return RunGenerator.generateCommand(this, options);
+  }
+
   /**
    * Create a deep copy of the container
    */
@@ -346,6 +329,9 @@ export class Container {
     cloned.healthStartupRetries = this.healthStartupRetries;
     cloned.healthStartupSuccess = this.healthStartupSuccess;
     cloned.healthStartupTimeout = this.healthStartupTimeout;
+    cloned.healthLogDestination = this.healthLogDestination;
+    cloned.healthMaxLogCount = this.healthMaxLogCount;
+    cloned.healthMaxLogSize = this.healthMaxLogSize;
     cloned.notify = this.notify;
     cloned.stopSignal = this.stopSignal;
     cloned.stopTimeout = this.stopTimeout;
@@ -368,6 +354,7 @@ export class Container {
     cloned.networkAlias = [...this.networkAlias];
     cloned.publishPort = [...this.publishPort];
     cloned.exposeHostPort = [...this.exposeHostPort];
+    cloned.addHost = [...this.addHost];
     cloned.dns = [...this.dns];
     cloned.dnsOption = [...this.dnsOption];
     cloned.dnsSearch = [...this.dnsSearch];
@@ -0,0 +1,98 @@
+/**
+ * Conversion diagnostics
+ * Collects what a conversion could not translate, such as compose keys without a
+ * Quadlet equivalent, so library users can inspect it or fail on lossy conversions
+ */
+
+/**
+ * Describe a source position as a message suffix, such as " (compose.yml line 12, column 7)"
+ */
+export function describeLocation({ file = null, line = null, column = null } = {}) {
+  const position = line !== null ? `line ${line}${column !== null ? `, column ${column}` : ''}` : '';
+  const description = [file, position].filter(Boolean).join(' ');
+  return description ? ` (${description})` : '';
+}
+
+/**
+ * Error thrown in strict mode on the first lossy diagnostic
+ */
+export class ConversionError extends Error {
+  constructor(diagnostic) {
+    super(`${diagnostic.message}${describeLocation(diagnostic)}`);
+    this.name = 'ConversionError';
+    this.code = diagnostic.code;
+    this.diagnostic = diagnostic;
+  }
+}
+
+export class Diagnostics {
+  /**
+   * @param {Object} options - Reporting options
+   * @param {Function} options.onDiagnostic - Called with every diagnostic instead of printing a console warning
+   * @param {boolean} options.strict - Throw a ConversionError on the first lossy diagnostic
+   */
+  constructor(options = {}) {
+    this.list = [];
+    this.onDiagnostic = options.onDiagnostic || null;
+    this.strict = Boolean(options.strict);
+    this.locate = null;
+  }
+
+  /**
+   * The collector given as options.diagnostics, or a new one built from the options
+   */
+  static from(options = {}) {
+    return options.diagnostics instanceof Diagnostics ? options.diagnostics : new Diagnostics(options);
+  }
+
+  /**
+   * A collector reporting to this one that adds the source position of the diagnostic paths
+   *
+   * @param {Function} locate - Returns the file, line and column of a path, or null
+   * @returns {Diagnostics} The locating collector
+   */
+  withLocator(locate) {
+    const located = Object.create(this);
+    located.locate = locate;
+    return located;
+  }
+
+  /**
+   * Report a warning
+   *
+   * @param {string} code - Stable identifier of the kind of warning, such as 'unsupported-feature'
+   * @param {string} message - Human readable description
+   * @param {Object} details - Where the warning comes from
+   * @param {string} details.service - Compose service or container the warning is about
+   * @param {string} details.path - Location in the input, such as services.web.deploy.resources
+   * @param {boolean} details.lossy - Whether part of the input is dropped, true by default
+   * @returns {Object} The diagnostic
+   */
+  warn(code, message, details = {}) {
+    const position = (details.path && this.locate && this.locate(details.path)) || {};
+    const diagnostic = {
+      severity: 'warning',
+      code,
+      message,
+      service: details.service || null,
+      path: details.path || null,
+      file: position.file || null,
+      line: position.line || null,
+      column: position.column || null,
+      lossy: details.lossy !== false
+    };
+    this.list.push(diagnostic);
+
+    if (this.onDiagnostic) {
+      this.onDiagnostic(diagnostic);
+    }
+    if (this.strict && diagnostic.lossy) {
+      throw new ConversionError(diagnostic);
+    }
+    if (!this.onDiagnostic) {
+      console.warn(`Warning: ${message}`);
+    }
+
+    return diagnostic;
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Image class representing a Podman Quadlet image pull configuration
+ * Based on the Rust quadlet::Image struct
+ */
+export class Image {
+  constructor() {
+    // Image to pull
+    this.image = null;
+    this.allTags = false;
+
+    // Platform of the pulled image
+    this.arch = null;
+    this.os = null;
+    this.variant = null;
+
+    // Registry access
+    this.authFile = null;
+    this.certDir = null;
+    this.creds = null;
+    this.decryptionKey = null;
+    this.tlsVerify = null;
+
+    // Additional names for the pulled image
+    this.imageTag = [];
+
+    // Additional Podman arguments
+    this.podmanArgs = null;
+  }
+
+  /**
+   * Set the image to pull with validation
+   */
+  setImage(image) {
+    if (!image || typeof image !== 'string' || image.trim() === '') {
+      throw new Error('Image must be a non-empty string');
+    }
+    this.image = image.trim();
+    return this;
+  }
+
+  /**
+   * Set the platform from an os/arch[/variant] string such as linux/arm64/v8
+   */
+  setPlatform(platform) {
+    if (!platform || typeof platform !== 'string' || platform.trim() === '') {
+      throw new Error('Platform must be a non-empty string');
+    }
+
+    const [os, arch, variant] = platform.trim().split('/');
+    if (!os || !arch) {
+      throw new Error('Platform must be in format "os/arch" or "os/arch/variant"');
+    }
+
+    this.os = os;
+    this.arch = arch;
+    this.variant = variant || null;
+    return this;
+  }
+
+  /**
+   * Validate the image configuration
+   */
+  validate() {
+    if (!this.image) {
+      throw new Error('Image is required');
+    }
+  }
+}
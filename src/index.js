@@ -4,98 +4,714 @@
  */
 
 import { Container } from './container.js';
+import { Pod } from './pod.js';
+import { Build } from './build.js';
+import { Volume } from './volume.js';
+import { Image } from './image.js';
+import { Network } from './network.js';
+import { Kube } from './kube.js';
 import { QuadletGenerator } from './quadlet-generator.js';
 import { ComposeParser } from './compose-parser.js';
+import { ComposeWriter } from './compose-writer.js';
+import { KubeGenerator } from './kube-generator.js';
+import { KubeParser } from './kube-parser.js';
+import { RunParser } from './run-parser.js';
+import { QuadletParser } from './quadlet-parser.js';
+import { RunGenerator } from './run-generator.js';
+import { InspectParser } from './inspect-parser.js';
+import { SystemdParser } from './systemd-parser.js';
+import { Diagnostics, ConversionError } from './diagnostics.js';
+import { ComposeError, ComposeValidationError } from './compose-source.js';
+import { joinArgs, splitArgs } from './shell-words.js';
+import { loadEnvironment } from './interpolation.js';
+import path from 'path';
 import composerize from 'composerize';
 import yaml from 'yaml';
 
 /**
  * Main PodletJS class - entry point for all transformations
+ *
+ * Conversions report what they cannot translate as diagnostics with a severity, code,
+ * message, service and input path. They are printed as console warnings unless an
+ * options.onDiagnostic callback is given, listed in this.diagnostics after each conversion,
+ * and options.strict turns the lossy ones into a thrown ConversionError.
  */
 export class PodletJS {
   constructor() {
     this.composeParser = new ComposeParser();
+    this.runParser = new RunParser();
+    this.composeWriter = new ComposeWriter();
+    this.inspectParser = new InspectParser();
     this.quadletGenerator = new QuadletGenerator();
+
+    // Diagnostics of the last conversion
+    this.diagnostics = [];
   }
 
   /**
-   * Parse a docker run command and generate a Quadlet file
+   * Parse a docker run command and generate a Quadlet file, --restart becoming Restart=
+   * 
+   * @param {string|Array|Container} command - Docker run command as string or array of arguments,
+   *   or the container returned by dockerRunToContainer
+   * @param {Object} options - Additional options for generation
+   * @param {boolean} options.imageUnits - Also generate a .image unit pulling the image,
+   *   returning the files as an array of objects with filename and content
+   * @param {Object} options.imageOptions - Image fields (platform, arch, os, variant, allTags,
+   *   authFile, certDir, creds, decryptionKey, tlsVerify) for the generated .image units
+   * @param {Function} options.onDiagnostic - Called with each diagnostic instead of printing a warning
+   * @param {boolean} options.strict - Throw a ConversionError instead of dropping settings
+   * @returns {string|Array} Generated Quadlet file content, or the files with imageUnits
+   */
+  dockerRunToQuadlet(command, options = {}) {
+    const container = command instanceof Container ? command : this.dockerRunToContainer(command);
+    options = this._withDiagnostics({
+      ...options,
+      service: this._restartServiceConfig(container, options.service)
+    });
+    return options.imageUnits
+      ? this._containerFilesWithImage(container, options)
+      : this.containerToQuadlet(container, options);
+  }
+
+  /**
+   * Parse a docker run command and generate Kubernetes YAML with a .kube Quadlet file
    * 
    * @param {string|Array} command - Docker run command as string or array of arguments
    * @param {Object} options - Additional options for generation
+   * @param {string} options.name - Name of the Kubernetes object and files, defaults to the container name
+   * @param {string} options.kind - 'Pod' (default) or 'Deployment'
+   * @param {string} options.workingDirectory - Directory relative bind mounts are resolved against
+   * @returns {Array} Array of objects with filename and content
+   */
+  dockerRunToKube(command, options = {}) {
+    const container = this.dockerRunToContainer(command);
+    return this.containersToKube(options.name || container.getDefaultName(), [container], options);
+  }
+
+  /**
+   * Parse a podman run command and generate a Quadlet file
+   * 
+   * Podman-only flags such as --sdnotify, --rootfs, --secret, --mask and the
+   * io.containers.autoupdate label map to their dedicated Quadlet keys, --pod joins
+   * an existing pod through PodmanArgs= since Pod= only references .pod units
+   * 
+   * @param {string|Array|Container} command - Podman run command as string or array of arguments,
+   *   or the container returned by podmanRunToContainer
+   * @param {Object} options - Additional options for generation, see dockerRunToQuadlet
+   * @returns {string|Array} Generated Quadlet file content, or the files with imageUnits
+   */
+  podmanRunToQuadlet(command, options = {}) {
+    return this.dockerRunToQuadlet(command, options);
+  }
+
+  /**
+   * Migrate a systemd service written by `podman generate systemd --new`, or a hand-written
+   * service wrapping `docker run`, to a Quadlet file
+   * 
+   * The container comes from the ExecStart= run command, the options podman adds to
+   * track the container and the docker lifecycle steps are dropped and the remaining [Unit],
+   * [Service] and [Install] settings are kept, the given unit, service and install options
+   * taking precedence. Engine steps without a Quadlet equivalent are skipped with a warning
+   * 
+   * @param {string|Object} content - Service unit file content, or the unit returned by parseSystemdUnit
+   * @param {Object} options - Additional options for generation
    * @returns {string} Generated Quadlet file content
    */
-  dockerRunToQuadlet(command, options = {}) {
-    const composeObject = this.parseDockerRun(command);
-    // Get the first service from the compose object and convert to Container
-    const serviceName = Object.keys(composeObject.services)[0];
-    const serviceConfig = composeObject.services[serviceName];
-    const container = this.composeParser._parseService(serviceName, serviceConfig, composeObject);
-    return this.containerToQuadlet(container, options);
+  systemdToQuadlet(content, options = {}) {
+    options = this._withDiagnostics(options);
+    const parsed = typeof content === 'string' ? this.parseSystemdUnit(content, options) : content;
+    return this.containerToQuadlet(parsed.container, this._mergeSystemdOptions(parsed, options));
+  }
+
+  /**
+   * Convert `docker inspect` or `podman container inspect` output into Quadlet files
+   * 
+   * Environment variables and labels set by the image or the engine are left out,
+   * exactly when the image inspect output is given, otherwise by well-known names
+   * 
+   * @param {string|Array|Object} json - Container inspect JSON text or the parsed output
+   * @param {Object} options - Additional options for generation
+   * @param {string|Array|Object} options.image - `docker image inspect` output of the images
+   * @returns {Array} Array of objects with filename and content, one per inspected container
+   */
+  inspectToQuadlet(json, options = {}) {
+    options = this._withDiagnostics(options);
+    return this.inspectToContainers(json, options).map(container => ({
+      filename: `${container.getDefaultName()}.container`,
+      content: this.containerToQuadlet(container, {
+        ...options,
+        service: this._restartServiceConfig(container, options.service)
+      })
+    }));
   }
 
   /**
    * Parse a compose file and generate Quadlet files
    * 
-   * @param {string} yamlContent - Compose file YAML content
+   * @param {string|Array<string>} yamlContent - Compose file YAML content, or a list of contents merged in order
    * @param {Object} options - Additional options for generation
+   * @param {boolean|string} options.pod - Group all services into a single .pod file,
+   *   named after the compose `name` field or the given string
+   * @param {string} options.podmanVersion - Podman version the generated files must support
+   * @param {Object} options.environment - Variables for interpolation, defaults to process.env
+   * @param {string} options.workingDirectory - Directory include and extends files are resolved against,
+   *   its name naming the <project>_default network when the compose `name` is not set
+   * @param {Array<string>} options.files - File names of the contents, reported in errors and diagnostics
+   * @param {boolean} options.imageUnits - Generate a .image unit per distinct image and point
+   *   the containers at it, so images are pulled before the containers start
+   * @param {Object} options.imageOptions - Image fields for the generated .image units
+   * @param {Function} options.onDiagnostic - Called with each diagnostic, such as an unsupported
+   *   service key at services.web.deploy.resources, instead of printing a warning
+   * @param {boolean} options.strict - Throw a ConversionError instead of ignoring unsupported keys
    * @returns {Array} Array of objects with filename and content
    */
   composeToQuadlet(yamlContent, options = {}) {
-    const servicesObject = this.composeParser.parse(yamlContent);
+    options = this._withDiagnostics(options);
+    const { podmanVersion } = options;
+    const project = this._parseComposeProject(yamlContent, options);
+    const pod = options.pod ? this._createPod(project, options.pod) : null;
+    // In pod mode every unit is prefixed with the pod name, so projects can share a unit directory
+    const unitName = name => pod ? `${pod.podName}-${name}` : name;
+    const unitNames = {
+      volume: unitName,
+      network: name => pod && name === project.defaultNetwork ? unitName('default') : unitName(name)
+    };
     const results = [];
+
+    // Services sharing an image reference share its .image unit
+    const images = options.imageUnits
+      ? this._createImageUnits(
+        Object.values(project.containers).filter(container => !container._build),
+        options.imageOptions,
+        options.diagnostics
+      )
+      : [];
     
-    for (const [serviceName, container] of Object.entries(servicesObject)) {
+    for (const [serviceName, container] of Object.entries(project.containers)) {
+      if (pod) {
+        this._renameUnitReferences(container, project, unitNames);
+        this._joinPod(container, pod);
+      }
+
+      if (container._build) {
+        // The image is produced by the .build unit generated next to the container
+        container.image = `${unitName(serviceName)}.build`;
+      }
+
       // Handle dependencies through systemd Unit configuration
       let unitConfig = options.unit || {};
       
       if (container._dependsOn && container._dependsOn.length > 0) {
         unitConfig = {
           ...unitConfig,
-          after: [...(unitConfig.after || []), ...container._dependsOn.map(dep => `${dep}.service`)],
-          wants: [...(unitConfig.wants || []), ...container._dependsOn.map(dep => `${dep}.service`)]
+          after: [...(unitConfig.after || []), ...container._dependsOn.map(dep => `${unitName(dep)}.service`)],
+          wants: [...(unitConfig.wants || []), ...container._dependsOn.map(dep => `${unitName(dep)}.service`)]
         };
       }
 
       // Handle restart policy through Service configuration
-      let serviceConfig = options.service || {};
-      if (container._restart) {
-        const restartMap = {
-          'no': 'no',
-          'always': 'always',
-          'on-failure': 'on-failure',
-          'unless-stopped': 'unless-stopped'
-        };
-        const restart = restartMap[container._restart];
-        if (restart !== undefined) {
-          serviceConfig = { ...serviceConfig, Restart: restart };
-        }
-      }
+      const serviceConfig = this._restartServiceConfig(container, options.service);
 
       const content = this.containerToQuadlet(container, {
         ...options,
         name: serviceName,
         unit: Object.keys(unitConfig).length > 0 ? unitConfig : options.unit,
-        service: Object.keys(serviceConfig).length > 0 ? serviceConfig : options.service
+        service: serviceConfig
       });
 
       results.push({
-        filename: `${serviceName}.container`,
+        filename: `${unitName(serviceName)}.container`,
         content: content
       });
+
+      if (container._build) {
+        results.push({
+          filename: `${unitName(serviceName)}.build`,
+          content: this.buildToQuadlet(container._build, { podmanVersion })
+        });
+      }
+    }
+
+    for (const { name, image } of images) {
+      results.push({
+        filename: `${name}.image`,
+        content: this.imageToQuadlet(image, { podmanVersion })
+      });
+    }
+
+    for (const [volumeName, volume] of Object.entries(project.volumes)) {
+      results.push({
+        filename: `${unitNames.volume(volumeName)}.volume`,
+        content: this.volumeToQuadlet(volume, { podmanVersion })
+      });
+    }
+
+    for (const [networkName, network] of Object.entries(project.networks)) {
+      results.push({
+        filename: `${unitNames.network(networkName)}.network`,
+        content: this.networkToQuadlet(network, { podmanVersion })
+      });
+    }
+
+    if (pod) {
+      // The pod collects the ports of every container, so it is generated last
+      results.unshift({
+        filename: `${pod.podName}.pod`,
+        content: this.podToQuadlet(pod, { unit: options.unit, install: options.install, podmanVersion })
+      });
     }
     
     return results;
   }
 
+  /**
+   * Convert a Pod object to Quadlet file content
+   * 
+   * @param {Pod} pod - Pod configuration
+   * @param {Object} options - Generation options
+   * @returns {string} Generated Quadlet file content
+   */
+  podToQuadlet(pod, options = {}) {
+    pod.validate();
+
+    return QuadletGenerator.generatePodFile(pod, options);
+  }
+
+  /**
+   * Convert a Build object to Quadlet file content
+   * 
+   * @param {Build} build - Build configuration
+   * @param {Object} options - Generation options
+   * @returns {string} Generated Quadlet file content
+   */
+  buildToQuadlet(build, options = {}) {
+    build.validate();
+
+    return QuadletGenerator.generateBuildFile(build, options);
+  }
+
+  /**
+   * Convert an Image object to Quadlet file content
+   * 
+   * @param {Image} image - Image configuration
+   * @param {Object} options - Generation options
+   * @returns {string} Generated Quadlet file content
+   */
+  imageToQuadlet(image, options = {}) {
+    image.validate();
+
+    return QuadletGenerator.generateImageFile(image, options);
+  }
+
+  /**
+   * Convert a Volume object to Quadlet file content
+   * 
+   * @param {Volume} volume - Volume configuration
+   * @param {Object} options - Generation options
+   * @returns {string} Generated Quadlet file content
+   */
+  volumeToQuadlet(volume, options = {}) {
+    return QuadletGenerator.generateVolumeFile(volume, options);
+  }
+
+  /**
+   * Convert a Network object to Quadlet file content
+   * 
+   * @param {Network} network - Network configuration
+   * @param {Object} options - Generation options
+   * @returns {string} Generated Quadlet file content
+   */
+  networkToQuadlet(network, options = {}) {
+    network.validate();
+
+    return QuadletGenerator.generateNetworkFile(network, options);
+  }
+
+  /**
+   * Convert a Kube object to Quadlet file content
+   * 
+   * @param {Kube} kube - Kube configuration
+   * @param {Object} options - Generation options
+   * @returns {string} Generated Quadlet file content
+   */
+  kubeUnitToQuadlet(kube, options = {}) {
+    kube.validate();
+
+    return QuadletGenerator.generateKubeFile(kube, options);
+  }
+
+  /**
+   * Parse a compose project with the interpolation, file and diagnostics options of a conversion
+   */
+  _parseComposeProject(yamlContent, options) {
+    return this.composeParser.parseProject(yamlContent, {
+      environment: options.environment,
+      workingDirectory: options.workingDirectory,
+      files: options.files,
+      diagnostics: options.diagnostics
+    });
+  }
+
+  /**
+   * Create the pod that groups all services of a compose project
+   */
+  _createPod(project, podOption) {
+    const podName = typeof podOption === 'string' ? podOption : project.name;
+    if (!podName) {
+      throw new Error("Generating a pod requires the compose 'name' field or a pod name in the 'pod' option");
+    }
+
+    return new Pod().setPodName(podName);
+  }
+
+  /**
+   * Point the references of a container to the volume and network units of the project
+   * at their renamed units, unitNames giving the new name of each unit type
+   */
+  _renameUnitReferences(container, project, unitNames) {
+    const rename = (spec, type, units) => {
+      const [reference, ...options] = spec.split(':');
+      const name = reference.slice(0, -`.${type}`.length);
+      return reference.endsWith(`.${type}`) && Object.prototype.hasOwnProperty.call(units, name)
+        ? [`${unitNames[type](name)}.${type}`, ...options].join(':')
+        : spec;
+    };
+
+    container.volume = container.volume.map(spec => rename(spec, 'volume', project.volumes));
+    container.network = container.network.map(spec => rename(spec, 'network', project.networks));
+  }
+
+  /**
+   * Link a container to a pod, moving the settings podman only
+   * accepts at the pod level from the container to the pod
+   */
+  _joinPod(container, pod) {
+    container.publishPort.forEach(port => pod.addPublishPort(port));
+    container.publishPort = [];
+
+    container.network.forEach(network => pod.addNetwork(network));
+    container.network = [];
+
+    container.setPod(`${pod.podName}.pod`);
+  }
+
+  /**
+   * Generate the .container file of a container and the .image unit pulling its image
+   */
+  _containerFilesWithImage(container, options) {
+    const name = container.getDefaultName();
+    const images = this._createImageUnits([container], options.imageOptions, options.diagnostics);
+
+    return [
+      {
+        filename: `${name}.container`,
+        content: this.containerToQuadlet(container, options)
+      },
+      ...images.map(({ name: imageName, image }) => ({
+        filename: `${imageName}.image`,
+        content: this.imageToQuadlet(image, { podmanVersion: options.podmanVersion })
+      }))
+    ];
+  }
+
+  /**
+   * Create one .image unit per distinct image reference and point the containers at it,
+   * moving the pull options of their PodmanArgs to the image
+   *
+   * @returns {Array<Object>} The unit names and Image objects in order of first use
+   */
+  _createImageUnits(containers, imageOptions = {}, diagnostics = new Diagnostics()) {
+    const units = new Map();
+    const usedNames = new Set();
+    if (imageOptions.creds) {
+      this._warnCredentials(diagnostics, 'creds image option', null);
+      imageOptions = { ...imageOptions, creds: undefined };
+    }
+
+    for (const container of containers) {
+      if (!container.image || /\.(image|build)$/.test(container.image)) {
+        continue;
+      }
+
+      const pullOptions = this._takePullOptions(container, diagnostics);
+      let unit = units.get(container.image);
+      if (!unit) {
+        const image = new Image().setImage(container.image);
+        this._applyImageOptions(image, { ...imageOptions, ...pullOptions });
+        unit = { name: this._imageUnitName(container.image, usedNames), image, pullOptions };
+        units.set(container.image, unit);
+      } else if (JSON.stringify(pullOptions) !== JSON.stringify(unit.pullOptions)) {
+        diagnostics.warn('conflicting-pull-options', `Containers pulling ${container.image} use different pull options, using the ones of the first container`, {
+          service: container.containerName
+        });
+      }
+
+      container.image = `${unit.name}.image`;
+    }
+
+    return [...units.values()].map(({ name, image }) => ({ name, image }));
+  }
+
+  /**
+   * Remove the pull options such as --platform and --authfile from the PodmanArgs of a container.
+   * Credentials given with --creds are dropped instead of written to the unit file
+   */
+  _takePullOptions(container, diagnostics = new Diagnostics()) {
+    const pullOptions = {};
+    if (!container.podmanArgs) {
+      return pullOptions;
+    }
+
+    const valueOptions = {
+      '--platform': 'platform',
+      '--arch': 'arch',
+      '--os': 'os',
+      '--variant': 'variant',
+      '--authfile': 'authFile',
+      '--decryption-key': 'decryptionKey'
+    };
+    const args = splitArgs(container.podmanArgs);
+    const kept = [];
+
+    for (let index = 0; index < args.length; index++) {
+      const arg = args[index];
+      if (valueOptions[arg] && index + 1 < args.length) {
+        pullOptions[valueOptions[arg]] = args[++index];
+      } else if (arg === '--creds' && index + 1 < args.length) {
+        index++;
+        this._warnCredentials(diagnostics, '--creds', container.containerName);
+      } else if (arg === '--tls-verify' || arg === '--tls-verify=false') {
+        pullOptions.tlsVerify = arg === '--tls-verify';
+      } else {
+        kept.push(arg);
+      }
+    }
+
+    container.podmanArgs = kept.length > 0 ? joinArgs(kept) : null;
+    return pullOptions;
+  }
+
+  /**
+   * Report registry credentials left out of the generated units, which every user can read
+   */
+  _warnCredentials(diagnostics, source, service) {
+    diagnostics.warn('plain-text-credentials', `Registry credentials of the ${source} are not written to the world-readable ` +
+      '.image unit, log in with `podman login --authfile <file>` and set the authFile image option (AuthFile=) instead', {
+      service
+    });
+  }
+
+  /**
+   * Set the given fields of an image, a platform setting the os, arch and variant
+   */
+  _applyImageOptions(image, imageOptions) {
+    for (const [field, value] of Object.entries(imageOptions)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (field === 'platform') {
+        image.setPlatform(value);
+      } else if (field in image && field !== 'image') {
+        image[field] = value;
+      } else {
+        throw new Error(`Unknown image option '${field}'`);
+      }
+    }
+  }
+
+  /**
+   * Name a .image unit after the image, adding the tag or a number when the name is taken
+   */
+  _imageUnitName(reference, usedNames) {
+    const [repository] = reference.split('@');
+    const lastSegment = repository.split('/').pop();
+    const [base, tag] = lastSegment.split(':');
+    const sanitize = value => value.replace(/[^\w.-]/g, '-');
+
+    let name = sanitize(base);
+    if (usedNames.has(name) && tag) {
+      name = sanitize(`${base}-${tag}`);
+    }
+
+    let candidate = name;
+    for (let number = 2; usedNames.has(candidate); number++) {
+      candidate = `${name}-${number}`;
+    }
+
+    usedNames.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Add the diagnostics collector of the conversion to the options, reusing the one of a
+   * calling conversion or creating it from options.onDiagnostic and options.strict
+   */
+  _withDiagnostics(options) {
+    const diagnostics = Diagnostics.from(options);
+    this.diagnostics = diagnostics.list;
+    return { ...options, diagnostics };
+  }
+
+  /**
+   * Merge the systemd options of a parsed unit with the given generation options
+   */
+  _mergeSystemdOptions(parsed, options) {
+    const merged = { ...options };
+    for (const section of ['unit', 'service', 'install']) {
+      if (parsed[section] || options[section]) {
+        merged[section] = { ...parsed[section], ...options[section] };
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Map the restart policy of a compose service, run command or inspected container to Service configuration
+   */
+  _restartServiceConfig(container, serviceOptions) {
+    const serviceConfig = serviceOptions || {};
+    if (!container._restart) {
+      return serviceOptions;
+    }
+
+    const restartMap = {
+      'no': 'no',
+      'always': 'always',
+      'on-failure': 'on-failure',
+      'unless-stopped': 'unless-stopped'
+    };
+    // The retry count of on-failure:N has no Restart= equivalent
+    const restart = restartMap[String(container._restart).split(':')[0]];
+    return restart !== undefined ? { ...serviceConfig, Restart: restart } : serviceOptions;
+  }
+
+  /**
+   * Parse a compose file and generate Kubernetes YAML with a .kube Quadlet file
+   * 
+   * @param {string|Array<string>} yamlContent - Compose file YAML content, or a list of contents merged in order
+   * @param {Object} options - Additional options for generation
+   * @param {string} options.name - Name of the Kubernetes object and files, defaults to the compose `name` field
+   * @param {string} options.kind - 'Pod' (default) or 'Deployment'
+   * @param {Object} options.environment - Variables for interpolation, defaults to process.env
+   * @param {string} options.workingDirectory - Directory include and extends files
+   *   and relative bind mounts are resolved against
+   * @returns {Array} Array of objects with filename and content
+   */
+  composeToKube(yamlContent, options = {}) {
+    options = this._withDiagnostics(options);
+    const project = this._parseComposeProject(yamlContent, options);
+    const name = options.name || project.name;
+    if (!name) {
+      throw new Error("Generating Kubernetes YAML requires the compose 'name' field or the 'name' option");
+    }
+
+    const containers = Object.values(project.containers).map(container => {
+      if (container._build) {
+        // Kubernetes cannot reference .build units, use the tag of the built image instead
+        container.image = container._build.imageTag[0];
+      }
+      return container;
+    });
+
+    return this.containersToKube(name, containers, options);
+  }
+
+  /**
+   * Convert Kubernetes YAML into a .kube Quadlet file playing it and the supporting Quadlet files
+   * 
+   * The YAML is kept as is next to the .kube file, which publishes the host ports, lists the
+   * ConfigMaps referenced but not defined in the YAML and requires a .volume unit per
+   * PersistentVolumeClaim. Objects podman kube play does not support are skipped with a warning
+   * 
+   * @param {string} yamlContent - Kubernetes YAML, one or more documents
+   * @param {Object} options - Additional options for generation
+   * @param {string} options.name - Name of the .kube and YAML files, defaults to the first workload name
+   * @returns {Array} Array of objects with filename and content
+   */
+  kubeToQuadlet(yamlContent, options = {}) {
+    options = this._withDiagnostics(options);
+    const { podmanVersion } = options;
+    const { name, kube, volumes } = KubeParser.parse(yamlContent, options);
+
+    // Quadlet only adds volume dependencies for .container units
+    let unit = options.unit;
+    const volumeServices = Object.keys(volumes).map(volumeName => `${volumeName}-volume.service`);
+    if (volumeServices.length > 0) {
+      unit = {
+        ...unit,
+        requires: [...((unit && unit.requires) || []), ...volumeServices],
+        after: [...((unit && unit.after) || []), ...volumeServices]
+      };
+    }
+
+    const results = [
+      {
+        filename: `${name}.yaml`,
+        content: yamlContent
+      },
+      {
+        filename: `${name}.kube`,
+        content: this.kubeUnitToQuadlet(kube, { unit, service: options.service, install: options.install, podmanVersion })
+      }
+    ];
+
+    for (const [volumeName, volume] of Object.entries(volumes)) {
+      results.push({
+        filename: `${volumeName}.volume`,
+        content: this.volumeToQuadlet(volume, { podmanVersion })
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Convert Container objects to Kubernetes YAML and a .kube Quadlet file running it
+   * 
+   * @param {string} name - Name of the Kubernetes object and files
+   * @param {Array<Container>} containers - Container configurations
+   * @param {Object} options - Generation options
+   * @returns {Array} Array of objects with filename and content
+   */
+  containersToKube(name, containers, options = {}) {
+    options = this._withDiagnostics(options);
+    containers.forEach(container => container.validate());
+
+    const manifest = options.kind === 'Deployment'
+      ? KubeGenerator.generateDeployment(name, containers, options)
+      : KubeGenerator.generatePod(name, containers, options);
+
+    const kube = new Kube().setYaml(`${name}.yaml`);
+
+    return [
+      {
+        filename: `${name}.yaml`,
+        content: KubeGenerator.generateYaml(manifest)
+      },
+      {
+        filename: `${name}.kube`,
+        content: this.kubeUnitToQuadlet(kube, {
+          unit: options.unit,
+          service: options.service,
+          install: options.install,
+          podmanVersion: options.podmanVersion
+        })
+      }
+    ];
+  }
+
   /**
    * Convert a Container object to Quadlet file content
    * 
    * @param {Container} container - Container configuration
    * @param {Object} options - Generation options
+   * @param {string} options.podmanVersion - Podman version the file must support, newer keys
+   *   are moved to PodmanArgs=
    * @returns {string} Generated Quadlet file content
    */
   containerToQuadlet(container, options = {}) {
+    options = this._withDiagnostics(options);
+
     // Validate container using container's own validate method
     container.validate();
 
@@ -112,7 +728,7 @@ export class PodletJS {
   parseDockerRun(command) {
     // Convert array to string if needed
     if (Array.isArray(command)) {
-      command = command.join(' ');
+      command = joinArgs(command);
     }
     
     const composeYaml = composerize(command);
@@ -120,17 +736,132 @@ export class PodletJS {
     return yaml.parse(composeYaml);
   }
 
+  /**
+   * Convert a docker or podman run command into a Container object
+   * 
+   * @param {string|Array} command - Docker or podman run command as string or array of arguments
+   * @returns {Container} Parsed container configuration
+   */
+  dockerRunToContainer(command) {
+    return this.runParser.parse(command);
+  }
+
+  /**
+   * Convert a podman run command into a Container object
+   * 
+   * @param {string|Array} command - Podman run command as string or array of arguments
+   * @returns {Container} Parsed container configuration
+   */
+  podmanRunToContainer(command) {
+    return this.dockerRunToContainer(command);
+  }
+
+  /**
+   * Convert container inspect output into Container objects
+   * 
+   * @param {string|Array|Object} json - Container inspect JSON text or the parsed output
+   * @param {Object} options - Parsing options
+   * @param {string|Array|Object} options.image - `docker image inspect` output of the images
+   * @returns {Array<Container>} One container per inspected container
+   */
+  inspectToContainers(json, options = {}) {
+    options = this._withDiagnostics(options);
+    return this.inspectParser.parse(json, options);
+  }
+
   /**
    * Parse a compose file into Container objects
    * 
-   * @param {string} yamlContent - Compose YAML content
+   * @param {string|Array<string>} yamlContent - Compose YAML content, or a list of contents merged in order
+   * @param {Object} options - Parsing options
+   * @param {Object} options.environment - Variables for interpolation, defaults to process.env
    * @returns {Object} Map of service names to Container objects
    */
-  parseCompose(yamlContent) {
-    const services = this.composeParser.parse(yamlContent);
+  parseCompose(yamlContent, options = {}) {
+    const services = this.composeParser.parse(yamlContent, this._withDiagnostics(options));
     return Object.values(services);
   }
 
+  /**
+   * Report how the keys of each compose service are translated, so a migration can be
+   * reviewed without comparing the compose file and the Quadlet files by hand
+   * 
+   * @param {string|Array<string>} yamlContent - Compose YAML content, or a list of contents merged in order
+   * @param {Object} options - Parsing options, see composeToQuadlet
+   * @returns {Object} Map of service names to the compose keys mapped to native Quadlet keys,
+   *   sections and units (native), passed as PodmanArgs= (podmanArgs) and dropped (dropped)
+   */
+  composeCoverage(yamlContent, options = {}) {
+    options = this._withDiagnostics(options);
+    return this._parseComposeProject(yamlContent, options).coverage;
+  }
+
+  /**
+   * Check a compose project without generating any file, collecting the errors of
+   * all services instead of stopping at the first one. Conversions throw the same
+   * errors together as a ComposeValidationError
+   * 
+   * @param {string|Array<string>} yamlContent - Compose YAML content, or a list of contents merged in order
+   * @param {Object} options - Parsing options, see composeToQuadlet
+   * @returns {Object} Whether the project is valid, its errors, ComposeErrors giving the
+   *   compose path, file, line and column of each bad port, setting, name or dependency,
+   *   and its warnings, diagnostics such as dropped keys that are returned instead of printed
+   */
+  validate(yamlContent, options = {}) {
+    options = this._withDiagnostics({ onDiagnostic: () => {}, ...options });
+    const warnings = options.diagnostics.list;
+    try {
+      this._parseComposeProject(yamlContent, options);
+    } catch (error) {
+      if (error instanceof ComposeValidationError) {
+        return { valid: false, errors: error.errors, warnings };
+      }
+      // Files that cannot be loaded, such as invalid YAML, stop the check
+      if (error instanceof ComposeError || error instanceof ConversionError) {
+        return { valid: false, errors: [error], warnings };
+      }
+      throw error;
+    }
+    return { valid: true, errors: [], warnings };
+  }
+
+  /**
+   * Convert containers back into a compose file
+   * 
+   * @param {Container|Array<Container>|Object} containers - A container, a list of containers
+   *   or a map of service names to containers, as returned by ComposeParser.parse
+   * @param {Object} options - Writing options
+   * @param {string} options.name - Compose project name
+   * @returns {string} Compose file YAML content
+   */
+  containersToCompose(containers, options = {}) {
+    return this.composeWriter.write(containers, options);
+  }
+
+  /**
+   * Parse an existing .container Quadlet file
+   * 
+   * @param {string} content - Quadlet file content
+   * @returns {Object} The container with the unit, service, install, globals and passthrough
+   *   options, ready to be passed back to containerToQuadlet(result.container, result)
+   */
+  parseQuadlet(content) {
+    return QuadletParser.parse(content);
+  }
+
+  /**
+   * Parse a systemd service that runs a container
+   * 
+   * @param {string} content - Service unit file content
+   * @param {Object} options - Parsing options, see dockerRunToQuadlet for the diagnostics options
+   * @returns {Object} The container with the unit, service, install and globals options,
+   *   ready to be passed to containerToQuadlet(result.container, result), and the
+   *   untranslated Exec*= entries
+   */
+  parseSystemdUnit(content, options = {}) {
+    return SystemdParser.parse(content, this._withDiagnostics(options));
+  }
+
   /**
    * Parse a docker run command and generate a Quadlet file (alias for dockerRunToQuadlet)
    * 
@@ -143,16 +874,39 @@ export class PodletJS {
   }
 
   /**
-   * Parse a compose file and generate Quadlet files (alias for composeToQuadlet)
+   * Parse a compose file and generate Quadlet files (alias for composeToQuadlet),
+   * interpolating variables from the .env file next to it
    * 
-   * @param {string} filePath - Path to compose file
+   * @param {string|Array<string>} filePath - Path to compose file, or a list of paths merged in order
    * @param {Object} options - Additional options for generation
    * @returns {Object} Map of service names to Quadlet file content
    */
   async fromCompose(filePath, options = {}) {
     const fs = await import('fs-extra');
-    const yamlContent = await fs.readFile(filePath, 'utf8');
-    return this.composeToQuadlet(yamlContent, options);
+    const filePaths = Array.isArray(filePath) ? filePath : [filePath];
+    const yamlContents = await Promise.all(filePaths.map(file => fs.readFile(file, 'utf8')));
+    return this.composeToQuadlet(yamlContents, {
+      ...options,
+      files: filePaths,
+      environment: loadEnvironment(path.dirname(filePaths[0]), options.environment),
+      workingDirectory: path.dirname(path.resolve(filePaths[0]))
+    });
+  }
+
+  /**
+   * Read a saved `docker inspect` or `podman container inspect` JSON file and
+   * generate Quadlet files (alias for inspectToQuadlet), no running engine required
+   * 
+   * @param {string} filePath - Path to the inspect JSON file
+   * @param {Object} options - Additional options for generation
+   * @param {string} options.imageFile - Path to a saved `docker image inspect` JSON file
+   * @returns {Array} Array of objects with filename and content
+   */
+  async fromInspect(filePath, options = {}) {
+    const fs = await import('fs-extra');
+    const json = await fs.readFile(filePath, 'utf8');
+    const image = options.imageFile ? await fs.readFile(options.imageFile, 'utf8') : options.image;
+    return this.inspectToQuadlet(json, { ...options, image });
   }
 
 }
@@ -167,8 +921,26 @@ export function createPodlet() {
 // Export all classes and types for direct use
 export {
   Container,
+  Pod,
+  Build,
+  Volume,
+  Image,
+  Network,
+  Kube,
   QuadletGenerator,
-  ComposeParser
+  KubeGenerator,
+  ComposeParser,
+  ComposeWriter,
+  RunParser,
+  RunGenerator,
+  QuadletParser,
+  InspectParser,
+  SystemdParser,
+  KubeParser,
+  Diagnostics,
+  ConversionError,
+  ComposeError,
+  ComposeValidationError
 };
 
 
@@ -0,0 +1,382 @@
+/**
+ * Container inspect parser
+ * Reconstructs Container configurations from `docker inspect` / `podman container inspect` JSON
+ * by rebuilding the run arguments and parsing them with RunParser
+ */
+
+import { RunParser } from './run-parser.js';
+import { formatPort } from './port.js';
+import { Diagnostics } from './diagnostics.js';
+
+// Environment variables the engine adds to every container
+const RUNTIME_ENV = ['HOSTNAME', 'HOME', 'container'];
+const DEFAULT_PATH = '/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin';
+
+// Labels the image build or the engine adds
+const IMAGE_LABEL_PREFIXES = ['org.opencontainers.image.', 'io.buildah.', 'io.containers.capabilities', 'PODMAN_SYSTEMD_UNIT'];
+
+// Networks containers join when no network is given
+const DEFAULT_NETWORKS = ['default', 'bridge', 'podman', 'slirp4netns', 'pasta', 'private'];
+
+/**
+ * Main parser class for container inspect output
+ */
+export class InspectParser {
+  constructor() {
+    this.runParser = new RunParser();
+  }
+
+  /**
+   * Parse container inspect output into Container objects
+   *
+   * @param {string|Array|Object} inspect - Inspect JSON text, the parsed array or a single container object
+   * @param {Object} options - Parsing options
+   * @param {string|Array|Object} options.image - `docker image inspect` output of the images, whose
+   *   environment, labels, command, entrypoint, user and working directory are left out.
+   *   Containers whose image is not given keep them, which is reported to options.diagnostics
+   * @returns {Array<Container>} One container per inspected container
+   */
+  parse(inspect, options = {}) {
+    const containers = this._toArray(inspect, 'Container inspect');
+    if (containers.length === 0) {
+      throw new Error('Container inspect output contains no containers');
+    }
+
+    const diagnostics = Diagnostics.from(options);
+    const images = options.image ? this._toArray(options.image, 'Image inspect') : [];
+    return containers.map(details => {
+      const image = this._findImage(details, images);
+      const container = this.parseContainer(details, image);
+      if (!image) {
+        const name = container.getDefaultName();
+        diagnostics.warn('unfiltered-image-defaults', `Container '${name}' keeps the environment, labels and command of its image ` +
+          `${container.image}, pass its \`docker image inspect\` output as the image option to leave them out`, {
+          service: name,
+          lossy: false
+        });
+      }
+      return container;
+    });
+  }
+
+  /**
+   * Parse the inspect object of a single container
+   *
+   * @param {Object} details - Inspect object of the container
+   * @param {Object} image - Inspect object of its image, if known
+   * @returns {Container} Reconstructed container configuration
+   */
+  parseContainer(details, image = null) {
+    if (!details || typeof details !== 'object' || !details.Config) {
+      throw new Error('Invalid container inspect object: missing Config');
+    }
+
+    const config = details.Config;
+    const hostConfig = details.HostConfig || {};
+    const imageConfig = (image && (image.Config || image.ContainerConfig)) || {};
+    const args = ['podman', 'run'];
+    const add = (flag, value) => args.push(flag, String(value));
+
+    const name = (details.Name || '').replace(/^\//, '');
+    if (name) {
+      add('--name', name);
+    }
+
+    // Environment and labels, without the ones from the image or the engine
+    const imageEnv = imageConfig.Env || [];
+    for (const env of config.Env || []) {
+      if (!imageEnv.includes(env) && !this._isRuntimeEnv(env, config)) {
+        add('--env', env);
+      }
+    }
+
+    const imageLabels = imageConfig.Labels || {};
+    for (const [key, value] of Object.entries(config.Labels || {})) {
+      if (imageLabels[key] !== value && !IMAGE_LABEL_PREFIXES.some(prefix => key.startsWith(prefix))) {
+        add('--label', `${key}=${value}`);
+      }
+    }
+
+    // Ports
+    for (const [containerPort, bindings] of Object.entries(hostConfig.PortBindings || {})) {
+      for (const binding of bindings || [{}]) {
+        add('--publish', this._portSpec(containerPort, binding));
+      }
+    }
+
+    // Storage
+    const binds = hostConfig.Binds || [];
+    binds.forEach(bind => add('--volume', bind));
+    const boundTargets = binds.map(bind => bind.split(':')[1]);
+    for (const mount of details.Mounts || []) {
+      if (!boundTargets.includes(mount.Destination)) {
+        const volume = this._mountSpec(mount);
+        if (volume) {
+          add('--volume', volume);
+        }
+      }
+    }
+
+    for (const [target, tmpfsOptions] of Object.entries(hostConfig.Tmpfs || {})) {
+      add('--tmpfs', tmpfsOptions ? `${target}:${tmpfsOptions}` : target);
+    }
+
+    for (const device of hostConfig.Devices || []) {
+      const permissions = device.CgroupPermissions && device.CgroupPermissions !== 'rwm' ? `:${device.CgroupPermissions}` : '';
+      add('--device', `${device.PathOnHost}:${device.PathInContainer}${permissions}`);
+    }
+
+    // Networking
+    this._networkArgs(details, hostConfig).forEach(([flag, value]) => add(flag, value));
+
+    if (config.Hostname && !this._isGeneratedHostname(config.Hostname, details)) {
+      add('--hostname', config.Hostname);
+    }
+    (hostConfig.Dns || []).forEach(dns => add('--dns', dns));
+    (hostConfig.DnsOptions || []).forEach(option => add('--dns-option', option));
+    (hostConfig.DnsSearch || []).forEach(search => add('--dns-search', search));
+    (hostConfig.ExtraHosts || []).forEach(host => add('--add-host', host));
+
+    // Security
+    (hostConfig.CapAdd || []).forEach(cap => add('--cap-add', cap));
+    (hostConfig.CapDrop || []).forEach(cap => add('--cap-drop', cap));
+    (hostConfig.SecurityOpt || []).forEach(opt => add('--security-opt', opt));
+    if (hostConfig.Privileged) {
+      args.push('--privileged');
+    }
+    if (hostConfig.ReadonlyRootfs) {
+      args.push('--read-only');
+    }
+    if (config.User && config.User !== imageConfig.User) {
+      add('--user', config.User);
+    }
+
+    // Runtime
+    if (config.WorkingDir && config.WorkingDir !== (imageConfig.WorkingDir || '/')) {
+      add('--workdir', config.WorkingDir);
+    }
+    if (hostConfig.Init) {
+      args.push('--init');
+    }
+    if (hostConfig.Memory) {
+      add('--memory', hostConfig.Memory);
+    }
+    if (hostConfig.NanoCpus) {
+      add('--cpus', hostConfig.NanoCpus / 1e9);
+    }
+    if (config.StopSignal && config.StopSignal !== imageConfig.StopSignal && !['SIGTERM', '15'].includes(config.StopSignal)) {
+      add('--stop-signal', config.StopSignal);
+    }
+
+    this._healthcheckArgs(config.Healthcheck, imageConfig.Healthcheck).forEach(([flag, value]) => {
+      if (value === undefined) {
+        args.push(flag);
+      } else {
+        add(flag, value);
+      }
+    });
+
+    // Entrypoint, image and command
+    const entrypoint = this._commandArray(config.Entrypoint);
+    const hasCustomEntrypoint = entrypoint.length > 0 && !this._sameCommand(entrypoint, imageConfig.Entrypoint);
+    if (hasCustomEntrypoint) {
+      add('--entrypoint', entrypoint.length === 1 ? entrypoint[0] : JSON.stringify(entrypoint));
+    }
+
+    const imageName = config.Image || details.ImageName || details.Image;
+    if (!imageName) {
+      throw new Error(`Container '${name || details.Id}' has no image`);
+    }
+    args.push(imageName);
+
+    const command = this._commandArray(config.Cmd);
+    if (command.length > 0 && (hasCustomEntrypoint || !this._sameCommand(command, imageConfig.Cmd))) {
+      args.push(...command);
+    }
+
+    const container = this.runParser.parse(args);
+
+    const restart = hostConfig.RestartPolicy && hostConfig.RestartPolicy.Name;
+    if (restart && restart !== 'no') {
+      container._restart = restart;
+    }
+
+    return container;
+  }
+
+  /**
+   * Accept JSON text, an array or a single object
+   */
+  _toArray(value, description) {
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`${description} output is not valid JSON: ${error.message}`);
+      }
+    }
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error(`${description} output must be a JSON array or object`);
+    }
+    return Array.isArray(parsed) ? parsed : [parsed];
+  }
+
+  /**
+   * Find the inspected image of a container by its ID or name
+   */
+  _findImage(details, images) {
+    if (images.length === 1) {
+      return images[0];
+    }
+    const imageName = details.Config && details.Config.Image;
+    return images.find(image => image.Id === details.Image
+      || (image.RepoTags || []).includes(imageName)
+      || (image.Names || []).includes(imageName)) || null;
+  }
+
+  /**
+   * Whether an environment variable is one the engine sets itself
+   */
+  _isRuntimeEnv(env, config) {
+    const [name, value] = env.split(/=(.*)/s);
+    if (RUNTIME_ENV.includes(name) || (name === 'PATH' && value === DEFAULT_PATH)) {
+      return true;
+    }
+    return name === 'TERM' && value === 'xterm' && config.Tty;
+  }
+
+  /**
+   * Whether the hostname is the short container ID the engine assigns by default
+   */
+  _isGeneratedHostname(hostname, details) {
+    return typeof details.Id === 'string' && details.Id.startsWith(hostname);
+  }
+
+  /**
+   * Build a --publish value from a port binding, IPv6 host addresses being bracketed
+   */
+  _portSpec(containerPort, binding) {
+    const [port, protocol = 'tcp'] = containerPort.split('/');
+    return formatPort({
+      hostIp: binding.HostIp && !['0.0.0.0', '::'].includes(binding.HostIp) ? binding.HostIp : null,
+      hostPort: binding.HostPort || null,
+      containerPort: port,
+      protocol
+    });
+  }
+
+  /**
+   * Build a --volume value from a mount that was not given as a bind, skipping anonymous volumes
+   */
+  _mountSpec(mount) {
+    const options = mount.RW === false ? ':ro' : '';
+    if (mount.Type === 'bind') {
+      return `${mount.Source}:${mount.Destination}${options}`;
+    }
+    if (mount.Type === 'volume' && mount.Name && !/^[0-9a-f]{64}$/.test(mount.Name)) {
+      return `${mount.Name}:${mount.Destination}${options}`;
+    }
+    return null;
+  }
+
+  /**
+   * Build the network arguments, leaving out the networks used by default
+   */
+  _networkArgs(details, hostConfig) {
+    const args = [];
+    const mode = hostConfig.NetworkMode || '';
+    const networks = (details.NetworkSettings && details.NetworkSettings.Networks) || {};
+    const name = (details.Name || '').replace(/^\//, '');
+    const shortId = typeof details.Id === 'string' ? details.Id.slice(0, 12) : null;
+
+    if (['host', 'none'].includes(mode) || mode.startsWith('container:') || mode.startsWith('ns:')) {
+      return [['--network', mode]];
+    }
+
+    for (const [networkName, settings] of Object.entries(networks)) {
+      if (DEFAULT_NETWORKS.includes(networkName)) {
+        continue;
+      }
+      args.push(['--network', networkName]);
+      for (const alias of (settings && settings.Aliases) || []) {
+        if (alias !== name && alias !== shortId) {
+          args.push(['--network-alias', alias]);
+        }
+      }
+    }
+
+    return args;
+  }
+
+  /**
+   * Build the health check arguments unless they are the image health check
+   */
+  _healthcheckArgs(healthcheck, imageHealthcheck) {
+    if (!healthcheck || !Array.isArray(healthcheck.Test) || healthcheck.Test.length === 0) {
+      return [];
+    }
+    if (imageHealthcheck && JSON.stringify(healthcheck) === JSON.stringify(imageHealthcheck)) {
+      return [];
+    }
+
+    const [kind, ...test] = healthcheck.Test;
+    if (kind === 'NONE') {
+      return [['--no-healthcheck']];
+    }
+
+    const command = kind === 'CMD-SHELL' ? test.join(' ') : JSON.stringify(test);
+    const args = [['--health-cmd', command]];
+    if (healthcheck.Interval) {
+      args.push(['--health-interval', this._duration(healthcheck.Interval)]);
+    }
+    if (healthcheck.Timeout) {
+      args.push(['--health-timeout', this._duration(healthcheck.Timeout)]);
+    }
+    if (healthcheck.StartPeriod) {
+      args.push(['--health-start-period', this._duration(healthcheck.StartPeriod)]);
+    }
+    if (healthcheck.Retries) {
+      args.push(['--health-retries', healthcheck.Retries]);
+    }
+    return args;
+  }
+
+  /**
+   * Convert a duration in nanoseconds into a duration string such as 30s
+   */
+  _duration(value) {
+    if (typeof value !== 'number') {
+      return String(value);
+    }
+    const milliseconds = value / 1e6;
+    if (milliseconds % 1000 !== 0) {
+      return `${milliseconds}ms`;
+    }
+    const seconds = milliseconds / 1000;
+    if (seconds % 3600 === 0) {
+      return `${seconds / 3600}h`;
+    }
+    if (seconds % 60 === 0) {
+      return `${seconds / 60}m`;
+    }
+    return `${seconds}s`;
+  }
+
+  /**
+   * Normalize a command given as an array, a string or null
+   */
+  _commandArray(command) {
+    if (!command) {
+      return [];
+    }
+    return Array.isArray(command) ? command : [command];
+  }
+
+  /**
+   * Whether a command equals the image command
+   */
+  _sameCommand(command, imageCommand) {
+    return JSON.stringify(command) === JSON.stringify(this._commandArray(imageCommand));
+  }
+}
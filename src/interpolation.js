@@ -0,0 +1,245 @@
+/**
+ * Compose variable interpolation
+ * Implements the compose specification interpolation syntax and .env files
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Diagnostics } from './diagnostics.js';
+import { ComposeError } from './compose-source.js';
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*/;
+const BRACED_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?+])([\s\S]*))?$/;
+
+/**
+ * Interpolate every string value of a parsed compose file.
+ * Mapping keys are left untouched, like docker compose does.
+ * Unset variables are reported to the diagnostics with their location, such as services.web.image.
+ */
+export function interpolate(value, environment = process.env, location = '', diagnostics = new Diagnostics()) {
+  if (typeof value === 'string') {
+    try {
+      return interpolateString(value, environment, { diagnostics, location });
+    } catch (error) {
+      throw new ComposeError(error.message, { path: location || null });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolate(item, environment, `${location}[${index}]`, diagnostics));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolate(item, environment, location ? `${location}.${key}` : key, diagnostics);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Interpolate $VAR, ${VAR}, ${VAR:-default}, ${VAR-default}, ${VAR:?error},
+ * ${VAR?error}, ${VAR:+replacement}, ${VAR+replacement} and $$ escapes in a string.
+ * The context gives the diagnostics unset variables are reported to and the location of the string.
+ */
+export function interpolateString(value, environment = process.env, context = {}) {
+  let result = '';
+  let i = 0;
+
+  while (i < value.length) {
+    const char = value[i];
+
+    if (char !== '$') {
+      result += char;
+      i++;
+      continue;
+    }
+
+    const next = value[i + 1];
+
+    if (next === '$') {
+      result += '$';
+      i += 2;
+    } else if (next === '{') {
+      const end = findClosingBrace(value, i + 2);
+      if (end === -1) {
+        throw new Error(`Invalid interpolation format for "${value}"`);
+      }
+      result += substitute(value.slice(i + 2, end), value, environment, context);
+      i = end + 1;
+    } else {
+      const match = NAME_PATTERN.exec(value.slice(i + 1));
+      if (!match) {
+        throw new Error(`Invalid interpolation format for "${value}", use $$ for a literal $`);
+      }
+      result += lookup(match[0], environment, context);
+      i += 1 + match[0].length;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse the content of a .env file into a variable map.
+ * Unquoted and double quoted values are interpolated with the variables defined
+ * above them and the environment, single quoted values are taken literally.
+ */
+export function parseEnvFile(content, environment = process.env) {
+  const variables = {};
+  const lines = content.split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)(?:\s*=\s*(.*))?$/.exec(trimmed);
+    if (!match) {
+      throw new Error(`Invalid line ${index + 1} in .env file: ${line}`);
+    }
+
+    const [, name, raw] = match;
+    if (raw === undefined) {
+      // A bare name only documents a variable expected from the environment
+      return;
+    }
+
+    const scope = { ...variables, ...environment };
+
+    if (raw.startsWith("'")) {
+      const end = raw.indexOf("'", 1);
+      if (end === -1) {
+        throw new Error(`Unterminated single quote on line ${index + 1} in .env file`);
+      }
+      variables[name] = raw.slice(1, end);
+    } else if (raw.startsWith('"')) {
+      const end = findClosingQuote(raw);
+      if (end === -1) {
+        throw new Error(`Unterminated double quote on line ${index + 1} in .env file`);
+      }
+      const unescaped = raw.slice(1, end).replace(/\\([nrt"\\])/g, (escape, code) => (
+        { n: '\n', r: '\r', t: '\t' }[code] || code
+      ));
+      variables[name] = interpolateString(unescaped, scope);
+    } else {
+      variables[name] = interpolateString(raw.replace(/\s+#.*$/, '').trim(), scope);
+    }
+  });
+
+  return variables;
+}
+
+/**
+ * Build the interpolation environment of a project directory: the variables of its
+ * .env file, overridden by the given environment like docker compose does
+ */
+export function loadEnvironment(directory, environment = process.env) {
+  const envPath = path.join(directory, '.env');
+  if (!fs.existsSync(envPath)) {
+    return environment;
+  }
+
+  return { ...parseEnvFile(fs.readFileSync(envPath, 'utf8'), environment), ...environment };
+}
+
+/**
+ * Resolve the content of a ${...} expression
+ */
+function substitute(expression, value, environment, context) {
+  const match = BRACED_PATTERN.exec(expression);
+  if (!match) {
+    throw new Error(`Invalid interpolation format for "${value}"`);
+  }
+
+  const [, name, operator, argument = ''] = match;
+  const isSet = environment[name] !== undefined && environment[name] !== null;
+  const current = isSet ? String(environment[name]) : '';
+  const isNonEmpty = isSet && current !== '';
+
+  switch (operator) {
+    case undefined:
+      return lookup(name, environment, context);
+    case ':-':
+      return isNonEmpty ? current : interpolateString(argument, environment, context);
+    case '-':
+      return isSet ? current : interpolateString(argument, environment, context);
+    case ':?':
+      if (!isNonEmpty) {
+        throw requiredError(name, argument, environment, context);
+      }
+      return current;
+    case '?':
+      if (!isSet) {
+        throw requiredError(name, argument, environment, context);
+      }
+      return current;
+    case ':+':
+      return isNonEmpty ? interpolateString(argument, environment, context) : '';
+    case '+':
+      return isSet ? interpolateString(argument, environment, context) : '';
+  }
+}
+
+/**
+ * Read a plain variable, defaulting to a blank string with a warning
+ */
+function lookup(name, environment, context) {
+  const current = environment[name];
+  if (current === undefined || current === null) {
+    const { diagnostics = new Diagnostics(), location = '' } = context;
+    const service = /^services\.([^.[]+)/.exec(location);
+    diagnostics.warn('unset-variable', `The "${name}" variable is not set, defaulting to a blank string`, {
+      service: service && service[1],
+      path: location,
+      lossy: false
+    });
+    return '';
+  }
+  return String(current);
+}
+
+/**
+ * Build the error of a ${VAR:?message} or ${VAR?message} expression
+ */
+function requiredError(name, argument, environment, context) {
+  const message = interpolateString(argument, environment, context);
+  return new Error(`Required variable ${name} is missing a value${message ? `: ${message}` : ''}`);
+}
+
+/**
+ * Find the } closing a ${ expression, skipping nested expressions
+ */
+function findClosingBrace(value, start) {
+  let depth = 0;
+  for (let i = start; i < value.length; i++) {
+    if (value[i] === '$' && value[i + 1] === '{') {
+      depth++;
+      i++;
+    } else if (value[i] === '}') {
+      if (depth === 0) {
+        return i;
+      }
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the double quote closing a .env value, skipping escaped quotes
+ */
+function findClosingQuote(raw) {
+  for (let i = 1; i < raw.length; i++) {
+    if (raw[i] === '\\') {
+      i++;
+    } else if (raw[i] === '"') {
+      return i;
+    }
+  }
+  return -1;
+}
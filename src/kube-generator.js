@@ -0,0 +1,364 @@
+/**
+ * KubeGenerator - Converts Container objects to Kubernetes YAML
+ * Based on the Rust podlet Kubernetes serialization logic
+ */
+
+import os from 'os';
+import path from 'path';
+import yaml from 'yaml';
+import { splitArgs } from './shell-words.js';
+import { parsePort as parsePublishedPort, portRange } from './port.js';
+
+export class KubeGenerator {
+  /**
+   * Generate a Pod manifest running all given containers
+   */
+  static generatePod(name, containers, options = {}) {
+    const { restartPolicy = null } = options;
+    const spec = this.generatePodSpec(containers, options);
+
+    const policy = restartPolicy || this.restartPolicy(containers);
+    if (policy) {
+      spec.restartPolicy = policy;
+    }
+
+    return {
+      apiVersion: 'v1',
+      kind: 'Pod',
+      metadata: {
+        name: this.toKubeName(name),
+        labels: { app: this.toKubeName(name) }
+      },
+      spec
+    };
+  }
+
+  /**
+   * Generate a Deployment manifest running all given containers
+   */
+  static generateDeployment(name, containers, options = {}) {
+    const { replicas = 1 } = options;
+    const kubeName = this.toKubeName(name);
+
+    return {
+      apiVersion: 'apps/v1',
+      kind: 'Deployment',
+      metadata: {
+        name: kubeName,
+        labels: { app: kubeName }
+      },
+      spec: {
+        replicas,
+        selector: { matchLabels: { app: kubeName } },
+        template: {
+          metadata: { labels: { app: kubeName } },
+          spec: this.generatePodSpec(containers, options)
+        }
+      }
+    };
+  }
+
+  /**
+   * Serialize a manifest to YAML
+   */
+  static generateYaml(manifest) {
+    return yaml.stringify(manifest);
+  }
+
+  /**
+   * Generate the pod spec shared by Pod and Deployment manifests,
+   * relative bind mounts being resolved against options.workingDirectory
+   */
+  static generatePodSpec(containers, options = {}) {
+    const spec = { containers: [] };
+    const volumes = new Map();
+
+    for (const container of containers) {
+      spec.containers.push(this.generateContainer(container, volumes, options));
+
+      if (container.hostName && !spec.hostname) {
+        spec.hostname = container.hostName;
+      }
+    }
+
+    if (volumes.size > 0) {
+      spec.volumes = [...volumes.values()];
+    }
+
+    return spec;
+  }
+
+  /**
+   * Generate a Kubernetes container, registering its volumes in the pod volume map
+   */
+  static generateContainer(container, volumes, options = {}) {
+    const kubeContainer = {
+      name: this.toKubeName(container.getDefaultName()),
+      image: container.image
+    };
+
+    // Entrypoint and command
+    if (container.entrypoint) {
+      kubeContainer.command = splitArgs(container.entrypoint);
+    }
+
+    if (container.exec) {
+      kubeContainer.args = splitArgs(container.exec);
+    }
+
+    if (container.workingDir) {
+      kubeContainer.workingDir = container.workingDir;
+    }
+
+    // Ports
+    const ports = container.publishPort.flatMap(port => this.parsePort(port));
+    if (ports.length > 0) {
+      kubeContainer.ports = ports;
+    }
+
+    // Environment variables
+    if (container.environment.length > 0) {
+      kubeContainer.env = container.environment.map(env => {
+        const index = env.indexOf('=');
+        return { name: env.slice(0, index), value: env.slice(index + 1) };
+      });
+    }
+
+    // Volumes and tmpfs mounts
+    const volumeMounts = [
+      ...container.volume.map(volume => this.generateVolumeMount(volume, volumes, options)),
+      ...container.tmpfs.map(tmpfs => this.generateTmpfsMount(tmpfs, volumes))
+    ];
+    if (volumeMounts.length > 0) {
+      kubeContainer.volumeMounts = volumeMounts;
+    }
+
+    // Health checks
+    const livenessProbe = this.generateProbe(container.healthCmd, {
+      interval: container.healthInterval,
+      timeout: container.healthTimeout,
+      retries: container.healthRetries,
+      startPeriod: container.healthStartPeriod
+    });
+    if (livenessProbe) {
+      kubeContainer.livenessProbe = livenessProbe;
+    }
+
+    const startupProbe = this.generateProbe(container.healthStartupCmd, {
+      interval: container.healthStartupInterval,
+      timeout: container.healthStartupTimeout,
+      retries: container.healthStartupRetries,
+      success: container.healthStartupSuccess
+    });
+    if (startupProbe) {
+      kubeContainer.startupProbe = startupProbe;
+    }
+
+    const securityContext = this.generateSecurityContext(container);
+    if (securityContext) {
+      kubeContainer.securityContext = securityContext;
+    }
+
+    return kubeContainer;
+  }
+
+  /**
+   * Convert a published port into Kubernetes container ports, one per port of a range.
+   * A host port range published to a single container port uses its first port
+   */
+  static parsePort(port) {
+    const { hostIp, hostPort, containerPort, protocol } = parsePublishedPort(port);
+    const hostPorts = hostPort ? portRange(hostPort) : [];
+
+    return portRange(containerPort).map((number, index) => {
+      const kubePort = { containerPort: number };
+      if (hostPorts[index] !== undefined) {
+        kubePort.hostPort = hostPorts[index];
+      }
+      if (hostIp) {
+        kubePort.hostIP = hostIp;
+      }
+      kubePort.protocol = (protocol || 'tcp').toUpperCase();
+      return kubePort;
+    });
+  }
+
+  /**
+   * Convert a volume spec into a volume mount, using a hostPath for bind mounts,
+   * a persistentVolumeClaim for named volumes and an emptyDir for anonymous volumes.
+   * Kubernetes only accepts absolute host paths, so relative sources are resolved
+   * against options.workingDirectory and ~ against the home directory
+   */
+  static generateVolumeMount(volumeSpec, volumes, options = {}) {
+    const { workingDirectory = process.cwd() } = options;
+    const [source, target, mountOptions = ''] = volumeSpec.split(':');
+    let volume;
+
+    if (target === undefined) {
+      volume = { name: this.toKubeName(`anonymous${source}`), emptyDir: {} };
+    } else if (/^[/.~]/.test(source)) {
+      const hostPath = source.startsWith('~')
+        ? path.join(os.homedir(), source.slice(1))
+        : path.resolve(workingDirectory, source);
+      volume = {
+        name: this.toKubeName(source.replace(/^[./~]+/, '') || 'root'),
+        hostPath: { path: hostPath }
+      };
+    } else {
+      const claimName = source.replace(/\.volume$/, '');
+      volume = {
+        name: this.toKubeName(claimName),
+        persistentVolumeClaim: { claimName }
+      };
+    }
+
+    if (!volumes.has(volume.name)) {
+      volumes.set(volume.name, volume);
+    }
+
+    const mount = { name: volume.name, mountPath: target === undefined ? source : target };
+    if (mountOptions.split(',').includes('ro')) {
+      mount.readOnly = true;
+    }
+    return mount;
+  }
+
+  /**
+   * Convert a tmpfs mount into a memory backed emptyDir
+   */
+  static generateTmpfsMount(tmpfsSpec, volumes) {
+    const [mountPath] = tmpfsSpec.split(':');
+    const name = this.toKubeName(`tmpfs${mountPath}`);
+
+    if (!volumes.has(name)) {
+      volumes.set(name, { name, emptyDir: { medium: 'Memory' } });
+    }
+
+    return { name, mountPath };
+  }
+
+  /**
+   * Convert a health check command and its timings into an exec probe
+   */
+  static generateProbe(healthCmd, timings = {}) {
+    if (!healthCmd || healthCmd.toLowerCase() === 'none') {
+      return null;
+    }
+
+    let command;
+    if (healthCmd.startsWith('CMD-SHELL ')) {
+      command = ['/bin/sh', '-c', healthCmd.slice('CMD-SHELL '.length)];
+    } else if (healthCmd.startsWith('CMD ')) {
+      command = splitArgs(healthCmd.slice('CMD '.length));
+    } else {
+      command = ['/bin/sh', '-c', healthCmd];
+    }
+
+    const probe = { exec: { command } };
+
+    if (timings.startPeriod) {
+      probe.initialDelaySeconds = this.durationToSeconds(timings.startPeriod);
+    }
+    if (timings.interval) {
+      probe.periodSeconds = this.durationToSeconds(timings.interval);
+    }
+    if (timings.timeout) {
+      probe.timeoutSeconds = this.durationToSeconds(timings.timeout);
+    }
+    if (timings.retries) {
+      probe.failureThreshold = parseInt(timings.retries, 10);
+    }
+    if (timings.success) {
+      probe.successThreshold = parseInt(timings.success, 10);
+    }
+
+    return probe;
+  }
+
+  /**
+   * Generate the container security context from capabilities and user settings
+   */
+  static generateSecurityContext(container) {
+    const context = {};
+
+    if (container.addCapability.length > 0 || container.dropCapability.length > 0) {
+      context.capabilities = {};
+      if (container.addCapability.length > 0) {
+        context.capabilities.add = [...container.addCapability];
+      }
+      if (container.dropCapability.length > 0) {
+        context.capabilities.drop = [...container.dropCapability];
+      }
+    }
+
+    // Kubernetes only accepts numeric IDs
+    if (container.user && /^\d+$/.test(String(container.user))) {
+      context.runAsUser = parseInt(container.user, 10);
+    }
+    if (container.group && /^\d+$/.test(String(container.group))) {
+      context.runAsGroup = parseInt(container.group, 10);
+    }
+
+    if (container.readOnly) {
+      context.readOnlyRootFilesystem = true;
+    }
+
+    if (container.noNewPrivileges) {
+      context.allowPrivilegeEscalation = false;
+    }
+
+    if (container.podmanArgs && /(^|\s)--privileged(\s|$)/.test(container.podmanArgs)) {
+      context.privileged = true;
+    }
+
+    return Object.keys(context).length > 0 ? context : null;
+  }
+
+  /**
+   * Derive the pod restart policy from the compose restart metadata
+   */
+  static restartPolicy(containers) {
+    const restartMap = {
+      'no': 'Never',
+      'always': 'Always',
+      'unless-stopped': 'Always',
+      'on-failure': 'OnFailure'
+    };
+
+    for (const container of containers) {
+      const restart = container._restart && restartMap[String(container._restart).split(':')[0]];
+      if (restart) {
+        return restart;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a Go style duration ("1m30s", "500ms", "10") to whole seconds, rounding up
+   */
+  static durationToSeconds(duration) {
+    if (typeof duration === 'number' || /^\d+$/.test(String(duration))) {
+      return parseInt(duration, 10);
+    }
+
+    const units = { h: 3600, m: 60, s: 1, ms: 0.001, us: 0.000001, ns: 0.000000001 };
+    let seconds = 0;
+    const pattern = /(\d+(?:\.\d+)?)(h|ms|m|s|us|ns)/g;
+    let match;
+    while ((match = pattern.exec(String(duration))) !== null) {
+      seconds += parseFloat(match[1]) * units[match[2]];
+    }
+    return Math.ceil(seconds);
+  }
+
+  /**
+   * Convert a name into a valid Kubernetes object name
+   */
+  static toKubeName(name) {
+    return String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9-]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'podlet';
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * KubeParser - Reads Kubernetes manifests for `podman kube play`
+ * Collects the .kube unit configuration and the supporting Quadlet units
+ * from Pod, Deployment, ConfigMap, Secret and PersistentVolumeClaim objects
+ */
+
+import yaml from 'yaml';
+import { Kube } from './kube.js';
+import { Volume } from './volume.js';
+import { Diagnostics } from './diagnostics.js';
+import { formatPort } from './port.js';
+
+// Objects running containers, with the path of their pod spec
+const WORKLOAD_KINDS = {
+  Pod: object => object.spec,
+  Deployment: object => object.spec && object.spec.template && object.spec.template.spec,
+  DaemonSet: object => object.spec && object.spec.template && object.spec.template.spec,
+  Job: object => object.spec && object.spec.template && object.spec.template.spec
+};
+
+// Other objects podman kube play creates
+const SUPPORTED_KINDS = ['ConfigMap', 'Secret', 'PersistentVolumeClaim', 'Service'];
+
+// PersistentVolumeClaim annotations podman kube play reads, and the Volume field they fill
+const VOLUME_ANNOTATIONS = {
+  'volume.podman.io/driver': 'driver',
+  'volume.podman.io/type': 'type',
+  'volume.podman.io/device': 'device',
+  'volume.podman.io/mount-options': 'options'
+};
+
+export class KubeParser {
+  /**
+   * Parse Kubernetes YAML into a .kube unit configuration and its volumes
+   *
+   * Host ports of the containers and node ports of NodePort services become
+   * PublishPort= entries, ConfigMaps referenced but not defined in the YAML
+   * become ConfigMap= entries, reported as files to provide, and PersistentVolumeClaims
+   * become .volume units. Objects podman kube play does not support are skipped with a warning
+   *
+   * @param {string} yamlContent - Kubernetes YAML, one or more documents
+   * @param {Object} options - Parsing options
+   * @param {string} options.name - Name of the .kube unit and YAML file, defaults to the first workload name
+   * @param {Diagnostics} options.diagnostics - Collector of the skipped objects
+   * @returns {Object} The unit name, the Kube configuration and the volumes by name
+   */
+  static parse(yamlContent, options = {}) {
+    const objects = this.parseObjects(yamlContent);
+    const workloads = objects.filter(object => WORKLOAD_KINDS[object.kind]);
+    if (workloads.length === 0) {
+      throw new Error('Kubernetes YAML contains no Pod, Deployment, DaemonSet or Job');
+    }
+
+    const diagnostics = Diagnostics.from(options);
+    const name = options.name || this.objectName(workloads[0]);
+    const kube = new Kube().setYaml(`${name}.yaml`);
+    const volumes = {};
+    const definedConfigMaps = objects
+      .filter(object => object.kind === 'ConfigMap')
+      .map(object => this.objectName(object));
+
+    for (const object of objects) {
+      if (WORKLOAD_KINDS[object.kind]) {
+        const podSpec = WORKLOAD_KINDS[object.kind](object) || {};
+        this.publishHostPorts(kube, podSpec);
+        this.referencedConfigMaps(podSpec)
+          .filter(configMap => !definedConfigMaps.includes(configMap) && !kube.configMap.includes(`${configMap}.yaml`))
+          .forEach(configMap => {
+            kube.configMap.push(`${configMap}.yaml`);
+            diagnostics.warn('missing-configmap', `ConfigMap '${configMap}' is not defined in the YAML, ` +
+              `provide it as ${configMap}.yaml next to the .kube unit or podman kube play fails when the unit starts`, {
+              path: `ConfigMap/${configMap}`,
+              lossy: false
+            });
+          });
+      } else if (object.kind === 'PersistentVolumeClaim') {
+        const volumeName = this.objectName(object);
+        volumes[volumeName] = this.claimToVolume(object);
+      } else if (object.kind === 'Service') {
+        this.publishNodePorts(kube, object, diagnostics);
+      } else if (!SUPPORTED_KINDS.includes(object.kind)) {
+        const objectName = this.objectName(object);
+        diagnostics.warn('unsupported-object', `${object.kind} '${objectName}' is not supported by podman kube play, skipped`, {
+          path: `${object.kind}/${objectName}`
+        });
+      }
+    }
+
+    return { name, kube, volumes };
+  }
+
+  /**
+   * Parse all YAML documents into Kubernetes objects, expanding List objects
+   */
+  static parseObjects(yamlContent) {
+    if (typeof yamlContent !== 'string') {
+      throw new Error('Kubernetes YAML content must be a string');
+    }
+
+    const objects = [];
+    for (const document of yaml.parseAllDocuments(yamlContent)) {
+      if (document.errors.length > 0) {
+        throw new Error(`Invalid Kubernetes YAML: ${document.errors[0].message}`);
+      }
+
+      const object = document.toJS();
+      if (object === null || object === undefined) {
+        continue;
+      }
+      if (typeof object !== 'object' || !object.kind) {
+        throw new Error('Invalid Kubernetes YAML: every document must be an object with a kind');
+      }
+
+      objects.push(...(object.kind === 'List' ? object.items || [] : [object]));
+    }
+
+    return objects;
+  }
+
+  /**
+   * Name of a Kubernetes object
+   */
+  static objectName(object) {
+    const name = object.metadata && object.metadata.name;
+    if (!name) {
+      throw new Error(`${object.kind} has no metadata.name`);
+    }
+    return name;
+  }
+
+  /**
+   * Publish the host ports of all containers of a pod spec, IPv6 host addresses being bracketed
+   */
+  static publishHostPorts(kube, podSpec) {
+    const containers = [...(podSpec.initContainers || []), ...(podSpec.containers || [])];
+
+    for (const container of containers) {
+      for (const port of container.ports || []) {
+        if (port.hostPort) {
+          this.addUnique(kube.publishPort, formatPort({
+            hostIp: port.hostIP || null,
+            hostPort: String(port.hostPort),
+            containerPort: String(port.containerPort),
+            protocol: port.protocol || null
+          }));
+        }
+      }
+    }
+  }
+
+  /**
+   * Publish the node ports of a NodePort service, other service types are skipped with a warning
+   */
+  static publishNodePorts(kube, service, diagnostics = new Diagnostics()) {
+    const serviceName = this.objectName(service);
+    const type = (service.spec && service.spec.type) || 'ClusterIP';
+    if (type !== 'NodePort') {
+      diagnostics.warn('unsupported-object', `Service '${serviceName}' of type ${type} is not supported by podman kube play, skipped`, {
+        path: `Service/${serviceName}.spec.type`
+      });
+      return;
+    }
+
+    for (const port of service.spec.ports || []) {
+      if (!port.nodePort) {
+        continue;
+      }
+      if (typeof port.targetPort === 'string') {
+        diagnostics.warn('unsupported-port', `Named target port '${port.targetPort}' of Service '${serviceName}' cannot be published, skipped`, {
+          path: `Service/${serviceName}.spec.ports`
+        });
+        continue;
+      }
+      this.addUnique(kube.publishPort, `${port.nodePort}:${port.targetPort || port.port}${this.protocolSuffix(port)}`);
+    }
+  }
+
+  /**
+   * Protocol suffix of a port, TCP being the default
+   */
+  static protocolSuffix(port) {
+    return port.protocol && port.protocol !== 'TCP' ? `/${port.protocol.toLowerCase()}` : '';
+  }
+
+  /**
+   * Names of the ConfigMaps a pod spec references from environment variables and volumes
+   */
+  static referencedConfigMaps(podSpec) {
+    const names = [];
+    const containers = [...(podSpec.initContainers || []), ...(podSpec.containers || [])];
+
+    for (const container of containers) {
+      for (const source of container.envFrom || []) {
+        if (source.configMapRef && source.configMapRef.name) {
+          this.addUnique(names, source.configMapRef.name);
+        }
+      }
+      for (const env of container.env || []) {
+        const ref = env.valueFrom && env.valueFrom.configMapKeyRef;
+        if (ref && ref.name) {
+          this.addUnique(names, ref.name);
+        }
+      }
+    }
+
+    for (const volume of podSpec.volumes || []) {
+      if (volume.configMap && volume.configMap.name) {
+        this.addUnique(names, volume.configMap.name);
+      }
+      for (const source of (volume.projected && volume.projected.sources) || []) {
+        if (source.configMap && source.configMap.name) {
+          this.addUnique(names, source.configMap.name);
+        }
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Build the volume of a PersistentVolumeClaim, named like the claim so podman kube play uses it
+   */
+  static claimToVolume(claim) {
+    const volume = new Volume().setVolumeName(this.objectName(claim));
+    const annotations = (claim.metadata && claim.metadata.annotations) || {};
+
+    for (const [annotation, field] of Object.entries(VOLUME_ANNOTATIONS)) {
+      if (annotations[annotation]) {
+        volume[field] = String(annotations[annotation]);
+      }
+    }
+
+    for (const [key, value] of Object.entries((claim.metadata && claim.metadata.labels) || {})) {
+      volume.addLabel(`${key}=${value}`);
+    }
+
+    return volume;
+  }
+
+  /**
+   * Add a value to a list unless it is already there
+   */
+  static addUnique(list, value) {
+    if (!list.includes(value)) {
+      list.push(value);
+    }
+  }
+}
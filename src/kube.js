@@ -0,0 +1,52 @@
+/**
+ * Kube class representing a Podman Quadlet kube configuration
+ * Based on the Rust quadlet::Kube struct
+ */
+export class Kube {
+  constructor() {
+    // Kubernetes YAML file played by `podman kube play`
+    this.yaml = null;
+
+    // ConfigMap YAML files
+    this.configMap = [];
+
+    // Network configuration
+    this.network = [];
+    this.publishPort = [];
+
+    // User namespace
+    this.userNS = null;
+
+    // Logging
+    this.logDriver = null;
+
+    // Auto update
+    this.autoUpdate = [];
+
+    // Working directory used to resolve relative paths in the YAML
+    this.setWorkingDirectory = null;
+
+    // Additional Podman arguments
+    this.podmanArgs = null;
+  }
+
+  /**
+   * Set the Kubernetes YAML file with validation
+   */
+  setYaml(file) {
+    if (!file || typeof file !== 'string' || file.trim() === '') {
+      throw new Error('Kubernetes YAML file must be a non-empty string');
+    }
+    this.yaml = file.trim();
+    return this;
+  }
+
+  /**
+   * Validate the kube configuration
+   */
+  validate() {
+    if (!this.yaml) {
+      throw new Error('Kubernetes YAML file is required');
+    }
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Labels
+ * Validates the `key=value` labels of containers, builds, volumes and networks
+ */
+
+/**
+ * Check that a label is a `key=value` pair with a key
+ *
+ * @param {string} label - Label, such as com.example.tier=web
+ * @returns {string} The label without surrounding whitespace
+ */
+export function validateLabel(label) {
+  if (!label || typeof label !== 'string' || label.trim() === '') {
+    throw new Error('Label must be a non-empty string');
+  }
+
+  const trimmedLabel = label.trim();
+  if (!trimmedLabel.includes('=')) {
+    throw new Error('Label must be in format "key=value"');
+  }
+
+  const key = trimmedLabel.slice(0, trimmedLabel.indexOf('='));
+  if (key === '' || /\s/.test(key)) {
+    throw new Error(`Label key '${key}' must not be empty or contain whitespace`);
+  }
+
+  return trimmedLabel;
+}
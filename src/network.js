@@ -0,0 +1,60 @@
+/**
+ * Network class representing a Podman Quadlet network configuration
+ * Based on the Rust quadlet::Network struct
+ */
+
+import { validateLabel } from './label.js';
+
+export class Network {
+  constructor() {
+    // Basic network properties
+    this.networkName = null;
+    this.driver = null;
+    this.options = [];
+
+    // IP address management
+    this.ipamDriver = null;
+    this.subnet = [];
+    this.gateway = [];
+    this.ipRange = [];
+
+    // Network behavior
+    this.internal = false;
+    this.ipv6 = false;
+    this.disableDns = false;
+
+    // Labels
+    this.label = [];
+
+    // Additional Podman arguments
+    this.podmanArgs = null;
+  }
+
+  /**
+   * Set the network name with validation
+   */
+  setNetworkName(name) {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Network name must be a non-empty string');
+    }
+    this.networkName = name.trim();
+    return this;
+  }
+
+  /**
+   * Add a label with validation
+   */
+  addLabel(label) {
+    this.label.push(validateLabel(label));
+    return this;
+  }
+
+  /**
+   * Validate the network configuration
+   */
+  validate() {
+    if (this.gateway.length > this.subnet.length || this.ipRange.length > this.subnet.length) {
+      throw new Error('Each gateway and IP range requires a subnet');
+    }
+  }
+}
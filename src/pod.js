@@ -0,0 +1,80 @@
+/**
+ * Pod class representing a Podman Quadlet pod configuration
+ * Based on the Rust quadlet::Pod struct
+ */
+
+import { parsePort } from './port.js';
+
+export class Pod {
+  constructor() {
+    // Basic pod properties
+    this.podName = null;
+
+    // Network configuration
+    this.network = [];
+    this.networkAlias = [];
+    this.publishPort = [];
+
+    // Volumes shared with every container in the pod
+    this.volume = [];
+
+    // Additional Podman arguments
+    this.podmanArgs = null;
+  }
+
+  /**
+   * Set the pod name with validation
+   */
+  setPodName(name) {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Pod name must be a non-empty string');
+    }
+
+    const namePattern = /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/;
+    const trimmedName = name.trim();
+
+    if (!namePattern.test(trimmedName)) {
+      throw new Error('Pod name must start with alphanumeric character and contain only alphanumeric characters, underscores, periods, and hyphens');
+    }
+
+    this.podName = trimmedName;
+    return this;
+  }
+
+  /**
+   * Add a published port with validation, skipping duplicates
+   */
+  addPublishPort(port) {
+    parsePort(port);
+
+    const trimmedPort = port.trim();
+    if (!this.publishPort.includes(trimmedPort)) {
+      this.publishPort.push(trimmedPort);
+    }
+    return this;
+  }
+
+  /**
+   * Add a network, skipping duplicates
+   */
+  addNetwork(network) {
+    if (!network || typeof network !== 'string' || network.trim() === '') {
+      throw new Error('Network must be a non-empty string');
+    }
+
+    const trimmedNetwork = network.trim();
+    if (!this.network.includes(trimmedNetwork)) {
+      this.network.push(trimmedNetwork);
+    }
+    return this;
+  }
+
+  /**
+   * Validate the pod configuration
+   */
+  validate() {
+    if (!this.podName) {
+      throw new Error('Pod name is required');
+    }
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Podman version compatibility for Quadlet files
+ * Based on the Rust podlet --podman-version downgrading logic
+ */
+
+import { Container } from './container.js';
+import { joinArgs } from './shell-words.js';
+import { Diagnostics } from './diagnostics.js';
+
+/**
+ * Oldest Podman version shipping Quadlet
+ */
+export const MINIMUM_VERSION = '4.4';
+
+/**
+ * First Podman version supporting each Quadlet unit type
+ */
+export const UNIT_TYPES = {
+  container: '4.4',
+  kube: '4.4',
+  network: '4.4',
+  volume: '4.4',
+  image: '4.8',
+  build: '5.0',
+  pod: '5.0'
+};
+
+/**
+ * First Podman version supporting each [Container] key that was added after Quadlet shipped.
+ * `args` converts the field into the equivalent podman run arguments for PodmanArgs=,
+ * keys without `args` cannot be expressed on older versions.
+ */
+export const CONTAINER_KEYS = [
+  { field: 'healthCmd', key: 'HealthCmd', since: '4.5', args: value => ['--health-cmd', value] },
+  { field: 'healthInterval', key: 'HealthInterval', since: '4.5', args: value => ['--health-interval', value] },
+  { field: 'healthOnFailure', key: 'HealthOnFailure', since: '4.5', args: value => ['--health-on-failure', value] },
+  { field: 'healthRetries', key: 'HealthRetries', since: '4.5', args: value => ['--health-retries', value] },
+  { field: 'healthStartPeriod', key: 'HealthStartPeriod', since: '4.5', args: value => ['--health-start-period', value] },
+  { field: 'healthStartupCmd', key: 'HealthStartupCmd', since: '4.5', args: value => ['--health-startup-cmd', value] },
+  { field: 'healthStartupInterval', key: 'HealthStartupInterval', since: '4.5', args: value => ['--health-startup-interval', value] },
+  { field: 'healthStartupRetries', key: 'HealthStartupRetries', since: '4.5', args: value => ['--health-startup-retries', value] },
+  { field: 'healthStartupSuccess', key: 'HealthStartupSuccess', since: '4.5', args: value => ['--health-startup-success', value] },
+  { field: 'healthStartupTimeout', key: 'HealthStartupTimeout', since: '4.5', args: value => ['--health-startup-timeout', value] },
+  { field: 'healthTimeout', key: 'HealthTimeout', since: '4.5', args: value => ['--health-timeout', value] },
+  { field: 'secret', key: 'Secret', since: '4.5', args: value => ['--secret', value] },
+  { field: 'sysctl', key: 'Sysctl', since: '4.5', args: value => ['--sysctl', value] },
+  { field: 'timezone', key: 'Timezone', since: '4.5', args: value => ['--tz', value] },
+  { field: 'workingDir', key: 'WorkingDir', since: '4.5', args: value => ['--workdir', value] },
+  { field: 'pidsLimit', key: 'PidsLimit', since: '4.6', args: value => ['--pids-limit', value] },
+  { field: 'ulimit', key: 'Ulimit', since: '4.6', args: value => ['--ulimit', value] },
+  { field: 'subUidMap', key: 'SubUIDMap', since: '4.6', args: value => ['--subuidname', value] },
+  { field: 'subGidMap', key: 'SubGIDMap', since: '4.6', args: value => ['--subgidname', value] },
+  { field: 'autoUpdate', key: 'AutoUpdate', since: '4.7', args: value => ['--label', `io.containers.autoupdate=${value}`] },
+  { field: 'dns', key: 'DNS', since: '4.7', args: value => ['--dns', value] },
+  { field: 'dnsOption', key: 'DNSOption', since: '4.7', args: value => ['--dns-option', value] },
+  { field: 'dnsSearch', key: 'DNSSearch', since: '4.7', args: value => ['--dns-search', value] },
+  { field: 'hostName', key: 'HostName', since: '4.7', args: value => ['--hostname', value] },
+  { field: 'pull', key: 'Pull', since: '4.7', args: value => ['--pull', value] },
+  { field: 'mask', key: 'Mask', since: '4.8', args: value => ['--security-opt', `mask=${value.join(':')}`] },
+  { field: 'unmask', key: 'Unmask', since: '4.8', args: value => ['--security-opt', `unmask=${Array.isArray(value) ? value.join(':') : value}`] },
+  { field: 'readOnlyTmpfs', key: 'ReadOnlyTmpfs', since: '4.8', args: () => ['--read-only-tmpfs=false'] },
+  { field: 'securityLabelNested', key: 'SecurityLabelNested', since: '4.8', args: () => ['--security-opt', 'label=nested'] },
+  { field: 'rootfs', key: 'Rootfs', since: '4.8' },
+  { field: 'addHost', key: 'AddHost', since: '5.0', args: value => ['--add-host', value] },
+  { field: 'entrypoint', key: 'Entrypoint', since: '5.0', args: value => ['--entrypoint', value] },
+  { field: 'groupAdd', key: 'GroupAdd', since: '5.0', args: value => ['--group-add', value] },
+  { field: 'notify', key: 'Notify=healthy', since: '5.0', args: () => ['--sdnotify=healthy'] },
+  { field: 'pod', key: 'Pod', since: '5.0' },
+  { field: 'shmSize', key: 'ShmSize', since: '5.0', args: value => ['--shm-size', value] },
+  { field: 'stopTimeout', key: 'StopTimeout', since: '5.0', args: value => ['--stop-timeout', value] },
+  { field: 'stopSignal', key: 'StopSignal', since: '5.1', args: value => ['--stop-signal', value] },
+  { field: 'logOpt', key: 'LogOpt', since: '5.2', args: value => ['--log-opt', value] },
+  { field: 'networkAlias', key: 'NetworkAlias', since: '5.2', args: value => ['--network-alias', value] },
+  { field: 'healthLogDestination', key: 'HealthLogDestination', since: '5.3', args: value => ['--health-log-destination', value] },
+  { field: 'healthMaxLogCount', key: 'HealthMaxLogCount', since: '5.3', args: value => ['--health-max-log-count', value] },
+  { field: 'healthMaxLogSize', key: 'HealthMaxLogSize', since: '5.3', args: value => ['--health-max-log-size', value] }
+];
+
+/**
+ * Parse a version such as "4.6", "v5.0.1" or 4.6 into [major, minor]
+ */
+export function parseVersion(version) {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.\d+)?$/.exec(String(version).trim());
+  if (!match) {
+    throw new Error(`Invalid Podman version '${version}', expected a version such as 4.6 or 5.0`);
+  }
+
+  const parsed = [parseInt(match[1], 10), parseInt(match[2] || '0', 10)];
+  if (compareVersions(parsed, MINIMUM_VERSION) < 0) {
+    throw new Error(`Quadlet requires Podman ${MINIMUM_VERSION} or newer, got ${version}`);
+  }
+  return parsed;
+}
+
+/**
+ * Compare two versions, returning a negative number, zero or a positive number
+ */
+export function compareVersions(a, b) {
+  const [aMajor, aMinor] = Array.isArray(a) ? a : parseVersionParts(a);
+  const [bMajor, bMinor] = Array.isArray(b) ? b : parseVersionParts(b);
+  return aMajor !== bMajor ? aMajor - bMajor : aMinor - bMinor;
+}
+
+/**
+ * Check that a unit type is supported by the target Podman version
+ */
+export function checkUnitType(unitType, version) {
+  const since = UNIT_TYPES[unitType];
+  if (since && compareVersions(parseVersion(version), since) < 0) {
+    throw new Error(`.${unitType} Quadlet files require Podman ${since} or newer, the target is Podman ${version}`);
+  }
+}
+
+/**
+ * Return a copy of the container that the target Podman version can read.
+ * Keys the version does not know are moved to PodmanArgs=, keys that cannot be
+ * expressed that way throw. The moved keys are reported to the diagnostics.
+ */
+export function downgradeContainer(container, version, diagnostics = new Diagnostics()) {
+  const target = parseVersion(version);
+  const downgraded = container.clone();
+  const defaults = new Container();
+  const args = [];
+
+  for (const entry of CONTAINER_KEYS) {
+    if (compareVersions(target, entry.since) >= 0 || !isSet(downgraded, entry.field)) {
+      continue;
+    }
+
+    if (!entry.args) {
+      throw new Error(`${entry.key}= requires Podman ${entry.since} or newer and has no equivalent for Podman ${version}`);
+    }
+
+    const value = downgraded[entry.field];
+    const values = Array.isArray(value) && !['mask', 'unmask'].includes(entry.field) ? value : [value];
+    values.forEach(item => args.push(...entry.args(item).map(String)));
+    downgraded[entry.field] = defaults[entry.field];
+
+    diagnostics.warn('podman-version-fallback', `${entry.key}= requires Podman ${entry.since} or newer, moved to PodmanArgs= for Podman ${version}`, {
+      service: container.containerName,
+      lossy: false
+    });
+  }
+
+  if (args.length > 0) {
+    downgraded.podmanArgs = [downgraded.podmanArgs, joinArgs(args)].filter(Boolean).join(' ');
+  }
+
+  return downgraded;
+}
+
+/**
+ * Whether a container field produces its Quadlet key
+ */
+function isSet(container, field) {
+  const value = container[field];
+
+  if (field === 'readOnlyTmpfs') {
+    return value === false;
+  }
+  if (field === 'notify') {
+    return value === 'healthy';
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return value !== null && value !== undefined && value !== false && value !== '';
+}
+
+/**
+ * Split a known good version string into [major, minor]
+ */
+function parseVersionParts(version) {
+  const [major, minor = '0'] = String(version).split('.');
+  return [parseInt(major, 10), parseInt(minor, 10)];
+}
@@ -0,0 +1,121 @@
+/**
+ * Published ports
+ * Parses and validates the `[[ip:][hostPort]:]containerPort[/protocol]` syntax of
+ * podman run --publish, PublishPort= and the compose short port syntax
+ */
+
+import net from 'net';
+
+const PROTOCOLS = ['tcp', 'udp', 'sctp'];
+
+const FORMAT_ERROR = 'Port must be in format "ip:host:container", "host:container" or "container", ' +
+  'where ports can be ranges like "8000-8010", IPv6 addresses are in brackets like "[::1]", ' +
+  'optionally with protocol "/tcp", "/udp", or "/sctp"';
+
+/**
+ * Split a published port into its host address, host port, container port and protocol
+ *
+ * @param {string} spec - Published port, such as 127.0.0.1:8080:80, [::1]:53:53/udp or 8000-8010:8000-8010
+ * @returns {Object} The hostIp (without brackets), hostPort and protocol, null when not given,
+ *   and the containerPort, ports being numbers or ranges as written
+ */
+export function parsePort(spec) {
+  if (!spec || typeof spec !== 'string' || spec.trim() === '') {
+    throw new Error('Port must be a non-empty string');
+  }
+
+  let rest = spec.trim();
+  let protocol = null;
+  const protocolIndex = rest.lastIndexOf('/');
+  if (protocolIndex !== -1) {
+    protocol = rest.slice(protocolIndex + 1);
+    rest = rest.slice(0, protocolIndex);
+    if (!PROTOCOLS.includes(protocol)) {
+      throw new Error(FORMAT_ERROR);
+    }
+  }
+
+  // IPv6 addresses contain colons, so they are written in brackets
+  let hostIp = null;
+  const bracketed = rest.match(/^\[([^\]]*)\]:(.*)$/);
+  if (bracketed) {
+    [, hostIp, rest] = bracketed;
+    if (!net.isIPv6(hostIp)) {
+      throw new Error(`Host address ${hostIp} is not a valid IPv6 address`);
+    }
+  }
+
+  const parts = rest.split(':');
+  if (parts.length > (hostIp === null ? 3 : 2)) {
+    throw new Error(FORMAT_ERROR);
+  }
+  if (parts.length === 3) {
+    hostIp = parts.shift();
+    if (!net.isIPv4(hostIp)) {
+      throw new Error(`Host address ${hostIp} is not a valid IPv4 address`);
+    }
+  }
+  const containerPort = parts.pop();
+  const hostPort = parts.length > 0 ? parts.pop() : null;
+
+  // The host port can only be left empty after a host address, a random port being picked
+  if (hostPort === '' && hostIp === null) {
+    throw new Error(FORMAT_ERROR);
+  }
+
+  const containerRange = portRange(containerPort);
+  const hostRange = hostPort ? portRange(hostPort) : null;
+  // A host port range can be published to a single container port, podman picking a free one
+  if (hostRange && containerRange.length > 1 && hostRange.length !== containerRange.length) {
+    throw new Error(`Host port range ${hostPort} and container port range ${containerPort} must have the same size`);
+  }
+
+  return { hostIp, hostPort: hostPort || null, containerPort, protocol };
+}
+
+/**
+ * Write a published port, bracketing IPv6 host addresses and omitting the default tcp protocol
+ *
+ * @param {Object} port - The hostIp, hostPort, containerPort and protocol, as returned by parsePort
+ * @returns {string} The published port
+ */
+export function formatPort({ hostIp = null, hostPort = null, containerPort, protocol = null }) {
+  let spec = '';
+  if (hostIp) {
+    spec += `${hostIp.includes(':') ? `[${hostIp}]` : hostIp}:${hostPort || ''}:`;
+  } else if (hostPort) {
+    spec += `${hostPort}:`;
+  }
+  spec += containerPort;
+  if (protocol && protocol.toLowerCase() !== 'tcp') {
+    spec += `/${protocol.toLowerCase()}`;
+  }
+  return spec;
+}
+
+/**
+ * Expand a port or port range such as 8000-8010 into port numbers, checking that they are valid
+ */
+export function portRange(range) {
+  const match = String(range).match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) {
+    throw new Error(FORMAT_ERROR);
+  }
+
+  const start = parseInt(match[1], 10);
+  const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+  for (const port of [start, end]) {
+    if (port < 1 || port > 65535) {
+      throw new Error(`Port ${port} is out of valid range (1-65535)`);
+    }
+  }
+  if (end < start) {
+    throw new Error(`Port range ${range} must not end before it starts`);
+  }
+
+  const ports = [];
+  for (let port = start; port <= end; port++) {
+    ports.push(port);
+  }
+  return ports;
+}
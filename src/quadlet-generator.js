@@ -2,13 +2,95 @@
  * QuadletGenerator - Converts Container objects to Quadlet file format
  * Based on the Rust quadlet serialization logic
  */
+
+import { checkUnitType, downgradeContainer } from './podman-version.js';
+import { Diagnostics } from './diagnostics.js';
+
 export class QuadletGenerator {
   /**
-   * Generate a complete Quadlet file from a container configuration
+   * Generate a complete Quadlet file from a container configuration, writing the
+   * passthrough keys QuadletParser keeps at the end of their section
    */
   static generateFile(container, options = {}) {
+    const { passthrough = [] } = options;
+    if (options.podmanVersion) {
+      container = downgradeContainer(container, options.podmanVersion, Diagnostics.from(options));
+    }
+
+    const section = this.generateContainerSection(container) + this.generatePassthroughKeys(passthrough, 'Container');
+    let output = this.wrapSection(section, options);
+
+    // Sections without an option, such as [Quadlet], follow the systemd sections
+    const otherSections = [...new Set(passthrough.map(entry => entry.section))].filter(name => name !== 'Container');
+    for (const name of otherSections) {
+      output += `\n[${name}]\n` + this.generatePassthroughKeys(passthrough, name);
+    }
+
+    return output;
+  }
+
+  /**
+   * Generate a complete .pod Quadlet file from a pod configuration
+   */
+  static generatePodFile(pod, options = {}) {
+    this.checkPodmanVersion('pod', options);
+    return this.wrapSection(this.generatePodSection(pod), options);
+  }
+
+  /**
+   * Generate a complete .build Quadlet file from a build configuration
+   */
+  static generateBuildFile(build, options = {}) {
+    this.checkPodmanVersion('build', options);
+    return this.wrapSection(this.generateBuildSection(build), options);
+  }
+
+  /**
+   * Generate a complete .image Quadlet file from an image configuration
+   */
+  static generateImageFile(image, options = {}) {
+    this.checkPodmanVersion('image', options);
+    return this.wrapSection(this.generateImageSection(image), options);
+  }
+
+  /**
+   * Generate a complete .volume Quadlet file from a volume configuration
+   */
+  static generateVolumeFile(volume, options = {}) {
+    this.checkPodmanVersion('volume', options);
+    return this.wrapSection(this.generateVolumeSection(volume), options);
+  }
+
+  /**
+   * Generate a complete .network Quadlet file from a network configuration
+   */
+  static generateNetworkFile(network, options = {}) {
+    this.checkPodmanVersion('network', options);
+    return this.wrapSection(this.generateNetworkSection(network), options);
+  }
+
+  /**
+   * Generate a complete .kube Quadlet file from a kube configuration
+   */
+  static generateKubeFile(kube, options = {}) {
+    this.checkPodmanVersion('kube', options);
+    return this.wrapSection(this.generateKubeSection(kube), options);
+  }
+
+  /**
+   * Throw when the target Podman version does not support the unit type
+   */
+  static checkPodmanVersion(unitType, options = {}) {
+    if (options.podmanVersion) {
+      checkUnitType(unitType, options.podmanVersion);
+    }
+  }
+
+  /**
+   * Surround a unit type section with the optional systemd sections
+   */
+  static wrapSection(section, options = {}) {
     const {
-      name = container.getDefaultName(),
       unit = null,
       service = null,
       install = null,
@@ -22,8 +104,8 @@ export class QuadletGenerator {
       output += this.generateUnitSection(unit) + '\n';
     }
 
-    // Add [Container] section
-    output += this.generateContainerSection(container);
+    // Add the unit type section ([Container], [Pod], ...)
+    output += section;
 
     // Add global args if provided
     if (globals && globals.podmanArgs) {
@@ -49,8 +131,10 @@ export class QuadletGenerator {
   static generateContainerSection(container) {
     let output = '[Container]\n';
 
-    // Required image field
-    output += `Image=${container.image}\n`;
+    // Image, unless the container runs from a root filesystem
+    if (container.image || !container.rootfs) {
+      output += `Image=${container.image}\n`;
+    }
 
     // Container name
     if (container.containerName) {
@@ -67,11 +151,26 @@ export class QuadletGenerator {
       output += `PublishPort=${port}\n`;
     });
 
+    // Exposed ports
+    container.exposeHostPort.forEach(port => {
+      output += `ExposeHostPort=${port}\n`;
+    });
+
     // Volumes
     container.volume.forEach(volume => {
       output += `Volume=${volume}\n`;
     });
 
+    // Mounts
+    container.mount.forEach(mount => {
+      output += `Mount=${mount}\n`;
+    });
+
+    // Devices
+    container.addDevice.forEach(device => {
+      output += `AddDevice=${device}\n`;
+    });
+
     // Environment variables
     container.environment.forEach(env => {
       output += `Environment=${this.escapeValue(env)}\n`;
@@ -102,6 +201,11 @@ export class QuadletGenerator {
       output += `NetworkAlias=${alias}\n`;
     });
 
+    // Host entries
+    container.addHost.forEach(host => {
+      output += `AddHost=${host}\n`;
+    });
+
     // Capabilities
     if (container.addCapability.length > 0) {
       output += `AddCapability=${container.addCapability.join(' ')}\n`;
@@ -286,6 +390,19 @@ export class QuadletGenerator {
       output += `HealthStartupTimeout=${container.healthStartupTimeout}\n`;
     }
 
+    // Health check log
+    if (container.healthLogDestination) {
+      output += `HealthLogDestination=${container.healthLogDestination}\n`;
+    }
+
+    if (container.healthMaxLogCount) {
+      output += `HealthMaxLogCount=${container.healthMaxLogCount}\n`;
+    }
+
+    if (container.healthMaxLogSize) {
+      output += `HealthMaxLogSize=${container.healthMaxLogSize}\n`;
+    }
+
     // Systemd integration
     if (container.notify && container.notify !== 'conmon') {
       if (container.notify === 'container') {
@@ -377,6 +494,308 @@ export class QuadletGenerator {
     return output;
   }
 
+  /**
+   * Generate the [Pod] section
+   */
+  static generatePodSection(pod) {
+    let output = '[Pod]\n';
+
+    if (pod.podName) {
+      output += `PodName=${pod.podName}\n`;
+    }
+
+    // Published ports
+    pod.publishPort.forEach(port => {
+      output += `PublishPort=${port}\n`;
+    });
+
+    // Networks
+    pod.network.forEach(network => {
+      output += `Network=${network}\n`;
+    });
+
+    // Network aliases
+    pod.networkAlias.forEach(alias => {
+      output += `NetworkAlias=${alias}\n`;
+    });
+
+    // Volumes
+    pod.volume.forEach(volume => {
+      output += `Volume=${volume}\n`;
+    });
+
+    // Additional Podman arguments
+    if (pod.podmanArgs) {
+      output += `PodmanArgs=${pod.podmanArgs}\n`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Generate the [Build] section
+   */
+  static generateBuildSection(build) {
+    let output = '[Build]\n';
+
+    // Image tags
+    build.imageTag.forEach(tag => {
+      output += `ImageTag=${tag}\n`;
+    });
+
+    // Build context and Containerfile
+    if (build.setWorkingDirectory) {
+      output += `SetWorkingDirectory=${build.setWorkingDirectory}\n`;
+    }
+
+    if (build.file) {
+      output += `File=${build.file}\n`;
+    }
+
+    if (build.target) {
+      output += `Target=${build.target}\n`;
+    }
+
+    // Build arguments
+    build.buildArg.forEach(arg => {
+      output += `BuildArg=${this.escapeValue(arg)}\n`;
+    });
+
+    // Labels
+    build.label.forEach(label => {
+      output += `Label=${this.escapeValue(label)}\n`;
+    });
+
+    // Annotations
+    build.annotation.forEach(annotation => {
+      output += `Annotation=${this.escapeValue(annotation)}\n`;
+    });
+
+    // Networks
+    build.network.forEach(network => {
+      output += `Network=${network}\n`;
+    });
+
+    // Pull policy
+    if (build.pull) {
+      output += `Pull=${build.pull}\n`;
+    }
+
+    // Additional Podman arguments
+    if (build.podmanArgs) {
+      output += `PodmanArgs=${build.podmanArgs}\n`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Generate the [Image] section
+   */
+  static generateImageSection(image) {
+    let output = '[Image]\n';
+
+    // Required image
+    output += `Image=${image.image}\n`;
+
+    if (image.allTags) {
+      output += 'AllTags=true\n';
+    }
+
+    // Platform
+    if (image.arch) {
+      output += `Arch=${image.arch}\n`;
+    }
+
+    if (image.os) {
+      output += `OS=${image.os}\n`;
+    }
+
+    if (image.variant) {
+      output += `Variant=${image.variant}\n`;
+    }
+
+    // Registry access
+    if (image.authFile) {
+      output += `AuthFile=${image.authFile}\n`;
+    }
+
+    if (image.certDir) {
+      output += `CertDir=${image.certDir}\n`;
+    }
+
+    if (image.creds) {
+      output += `Creds=${image.creds}\n`;
+    }
+
+    if (image.decryptionKey) {
+      output += `DecryptionKey=${image.decryptionKey}\n`;
+    }
+
+    if (image.tlsVerify !== null && image.tlsVerify !== undefined) {
+      output += `TLSVerify=${image.tlsVerify}\n`;
+    }
+
+    image.imageTag.forEach(tag => {
+      output += `ImageTag=${tag}\n`;
+    });
+
+    // Additional Podman arguments
+    if (image.podmanArgs) {
+      output += `PodmanArgs=${image.podmanArgs}\n`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Generate the [Volume] section
+   */
+  static generateVolumeSection(volume) {
+    let output = '[Volume]\n';
+
+    if (volume.volumeName) {
+      output += `VolumeName=${volume.volumeName}\n`;
+    }
+
+    if (volume.driver) {
+      output += `Driver=${volume.driver}\n`;
+    }
+
+    // Local driver options
+    if (volume.type) {
+      output += `Type=${volume.type}\n`;
+    }
+
+    if (volume.device) {
+      output += `Device=${volume.device}\n`;
+    }
+
+    if (volume.options) {
+      output += `Options=${volume.options}\n`;
+    }
+
+    // Labels
+    volume.label.forEach(label => {
+      output += `Label=${this.escapeValue(label)}\n`;
+    });
+
+    // Additional Podman arguments
+    if (volume.podmanArgs) {
+      output += `PodmanArgs=${volume.podmanArgs}\n`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Generate the [Network] section
+   */
+  static generateNetworkSection(network) {
+    let output = '[Network]\n';
+
+    if (network.networkName) {
+      output += `NetworkName=${network.networkName}\n`;
+    }
+
+    if (network.driver) {
+      output += `Driver=${network.driver}\n`;
+    }
+
+    network.options.forEach(option => {
+      output += `Options=${option}\n`;
+    });
+
+    // IP address management
+    if (network.ipamDriver) {
+      output += `IPAMDriver=${network.ipamDriver}\n`;
+    }
+
+    network.subnet.forEach(subnet => {
+      output += `Subnet=${subnet}\n`;
+    });
+
+    network.gateway.forEach(gateway => {
+      output += `Gateway=${gateway}\n`;
+    });
+
+    network.ipRange.forEach(range => {
+      output += `IPRange=${range}\n`;
+    });
+
+    // Network behavior
+    if (network.internal) {
+      output += 'Internal=true\n';
+    }
+
+    if (network.ipv6) {
+      output += 'IPv6=true\n';
+    }
+
+    if (network.disableDns) {
+      output += 'DisableDNS=true\n';
+    }
+
+    // Labels
+    network.label.forEach(label => {
+      output += `Label=${this.escapeValue(label)}\n`;
+    });
+
+    // Additional Podman arguments
+    if (network.podmanArgs) {
+      output += `PodmanArgs=${network.podmanArgs}\n`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Generate the [Kube] section
+   */
+  static generateKubeSection(kube) {
+    let output = '[Kube]\n';
+
+    // Required YAML file
+    output += `Yaml=${kube.yaml}\n`;
+
+    kube.configMap.forEach(configMap => {
+      output += `ConfigMap=${configMap}\n`;
+    });
+
+    // Published ports
+    kube.publishPort.forEach(port => {
+      output += `PublishPort=${port}\n`;
+    });
+
+    // Networks
+    kube.network.forEach(network => {
+      output += `Network=${network}\n`;
+    });
+
+    if (kube.userNS) {
+      output += `UserNS=${kube.userNS}\n`;
+    }
+
+    if (kube.logDriver) {
+      output += `LogDriver=${kube.logDriver}\n`;
+    }
+
+    kube.autoUpdate.forEach(autoUpdate => {
+      output += `AutoUpdate=${autoUpdate}\n`;
+    });
+
+    if (kube.setWorkingDirectory) {
+      output += `SetWorkingDirectory=${kube.setWorkingDirectory}\n`;
+    }
+
+    // Additional Podman arguments
+    if (kube.podmanArgs) {
+      output += `PodmanArgs=${kube.podmanArgs}\n`;
+    }
+
+    return output;
+  }
+
   /**
    * Generate [Unit] section
    */
@@ -403,6 +822,8 @@ export class QuadletGenerator {
       output += `Before=${unit.before.join(' ')}\n`;
     }
     
+    output += this.generateSystemdKeys(unit, ['description', 'Description', 'wants', 'requires', 'after', 'before']);
+    
     return output;
   }
 
@@ -424,6 +845,10 @@ export class QuadletGenerator {
       output += `TimeoutStartSec=${service.timeoutStartSec || service.TimeoutStartSec}\n`;
     }
     
+    output += this.generateSystemdKeys(service, [
+      'restart', 'Restart', 'restartSec', 'RestartSec', 'timeoutStartSec', 'TimeoutStartSec'
+    ]);
+    
     return output;
   }
 
@@ -441,9 +866,40 @@ export class QuadletGenerator {
       output += `RequiredBy=${install.requiredBy.join(' ')}\n`;
     }
     
+    output += this.generateSystemdKeys(install, ['wantedBy', 'requiredBy']);
+    
     return output;
   }
 
+  /**
+   * Generate the other systemd keys of a section, given under their systemd name
+   * such as ExecStartPre, a list value repeating the key
+   */
+  static generateSystemdKeys(options, handledKeys) {
+    let output = '';
+
+    for (const [key, value] of Object.entries(options)) {
+      if (handledKeys.includes(key) || !/^[A-Z]/.test(key) || value === null || value === undefined) {
+        continue;
+      }
+      for (const item of Array.isArray(value) ? value : [value]) {
+        output += `${key}=${item}\n`;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Generate the passthrough keys of a section in their original order
+   */
+  static generatePassthroughKeys(passthrough, section) {
+    return passthrough
+      .filter(entry => entry.section === section)
+      .map(({ key, value }) => `${key}=${value}\n`)
+      .join('');
+  }
+
   /**
    * Escape values that might contain spaces or special characters
    */
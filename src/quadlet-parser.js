@@ -0,0 +1,366 @@
+/**
+ * QuadletParser - Reads Quadlet files back into Container objects
+ * Reverse of QuadletGenerator, following the systemd unit file syntax
+ */
+
+import { Container } from './container.js';
+import { splitArgs } from './shell-words.js';
+
+// [Container] keys and the Container field they fill:
+// - string: last value wins
+// - list: repeated keys append
+// - words: whitespace separated list, as written for capabilities
+// - quoted: quoted list, as written by QuadletGenerator.escapeValue
+// - colon: colon separated list
+// - bool: systemd boolean
+// - notify: Notify=true or healthy
+const CONTAINER_KEYS = {
+  Image: ['image', 'string'],
+  ContainerName: ['containerName', 'string'],
+  Exec: ['exec', 'string'],
+  PublishPort: ['publishPort', 'list'],
+  ExposeHostPort: ['exposeHostPort', 'list'],
+  Volume: ['volume', 'list'],
+  Mount: ['mount', 'list'],
+  AddDevice: ['addDevice', 'list'],
+  Environment: ['environment', 'quoted'],
+  EnvironmentFile: ['environmentFile', 'list'],
+  EnvironmentHost: ['environmentHost', 'bool'],
+  Label: ['label', 'quoted'],
+  Network: ['network', 'list'],
+  NetworkAlias: ['networkAlias', 'list'],
+  AddHost: ['addHost', 'list'],
+  AddCapability: ['addCapability', 'words'],
+  DropCapability: ['dropCapability', 'words'],
+  DNS: ['dns', 'list'],
+  DNSOption: ['dnsOption', 'list'],
+  DNSSearch: ['dnsSearch', 'list'],
+  NoNewPrivileges: ['noNewPrivileges', 'bool'],
+  SecurityLabelDisable: ['securityLabelDisable', 'bool'],
+  SecurityLabelFileType: ['securityLabelFileType', 'string'],
+  SecurityLabelLevel: ['securityLabelLevel', 'string'],
+  SecurityLabelNested: ['securityLabelNested', 'bool'],
+  SecurityLabelType: ['securityLabelType', 'string'],
+  SeccompProfile: ['seccompProfile', 'string'],
+  Mask: ['mask', 'colon'],
+  Unmask: ['unmask', 'string'],
+  User: ['user', 'string'],
+  Group: ['group', 'string'],
+  GroupAdd: ['groupAdd', 'list'],
+  UserNS: ['userNS', 'string'],
+  UIDMap: ['uidMap', 'list'],
+  GIDMap: ['gidMap', 'list'],
+  SubUIDMap: ['subUidMap', 'string'],
+  SubGIDMap: ['subGidMap', 'string'],
+  ReadOnly: ['readOnly', 'bool'],
+  ReadOnlyTmpfs: ['readOnlyTmpfs', 'bool'],
+  RunInit: ['runInit', 'bool'],
+  WorkingDir: ['workingDir', 'string'],
+  HostName: ['hostName', 'string'],
+  Timezone: ['timezone', 'string'],
+  ShmSize: ['shmSize', 'string'],
+  Tmpfs: ['tmpfs', 'list'],
+  HealthCmd: ['healthCmd', 'string'],
+  HealthInterval: ['healthInterval', 'string'],
+  HealthOnFailure: ['healthOnFailure', 'string'],
+  HealthRetries: ['healthRetries', 'string'],
+  HealthStartPeriod: ['healthStartPeriod', 'string'],
+  HealthTimeout: ['healthTimeout', 'string'],
+  HealthStartupCmd: ['healthStartupCmd', 'string'],
+  HealthStartupInterval: ['healthStartupInterval', 'string'],
+  HealthStartupRetries: ['healthStartupRetries', 'string'],
+  HealthStartupSuccess: ['healthStartupSuccess', 'string'],
+  HealthStartupTimeout: ['healthStartupTimeout', 'string'],
+  HealthLogDestination: ['healthLogDestination', 'string'],
+  HealthMaxLogCount: ['healthMaxLogCount', 'string'],
+  HealthMaxLogSize: ['healthMaxLogSize', 'string'],
+  Notify: ['notify', 'notify'],
+  StopSignal: ['stopSignal', 'string'],
+  StopTimeout: ['stopTimeout', 'string'],
+  Pod: ['pod', 'string'],
+  LogDriver: ['logDriver', 'string'],
+  LogOpt: ['logOpt', 'list'],
+  Annotation: ['annotation', 'quoted'],
+  PidsLimit: ['pidsLimit', 'string'],
+  Ulimit: ['ulimit', 'list'],
+  Sysctl: ['sysctl', 'list'],
+  AutoUpdate: ['autoUpdate', 'string'],
+  Pull: ['pull', 'string'],
+  Secret: ['secret', 'list'],
+  Rootfs: ['rootfs', 'string'],
+  Entrypoint: ['entrypoint', 'string'],
+  IP: ['ip', 'string'],
+  IP6: ['ip6', 'string'],
+  PodmanArgs: ['podmanArgs', 'args']
+};
+
+// Systemd keys with the option name QuadletGenerator reads them from
+const UNIT_KEYS = {
+  Description: ['description', 'string'],
+  Wants: ['wants', 'words'],
+  Requires: ['requires', 'words'],
+  After: ['after', 'words'],
+  Before: ['before', 'words']
+};
+
+const SERVICE_KEYS = {
+  Restart: ['restart', 'string'],
+  RestartSec: ['restartSec', 'string'],
+  TimeoutStartSec: ['timeoutStartSec', 'string']
+};
+
+const INSTALL_KEYS = {
+  WantedBy: ['wantedBy', 'words'],
+  RequiredBy: ['requiredBy', 'words']
+};
+
+const TRUE_VALUES = ['1', 'yes', 'y', 'true', 't', 'on'];
+const FALSE_VALUES = ['0', 'no', 'n', 'false', 'f', 'off'];
+
+export class QuadletParser {
+  /**
+   * Parse a .container Quadlet file
+   *
+   * The result holds the container and the unit, service, install and globals
+   * options, so QuadletGenerator.generateFile(result.container, result) writes it back.
+   * Keys and sections without a Container field, such as CgroupsMode= or [Quadlet],
+   * are kept in result.passthrough and written back as they are
+   *
+   * @param {string} content - Quadlet file content
+   * @returns {Object} Parsed container and systemd section options
+   */
+  static parse(content) {
+    const container = new Container();
+    const result = { container, unit: null, service: null, install: null, globals: null, passthrough: [] };
+    let hasContainerSection = false;
+
+    for (const { name, entries } of this.parseSections(content)) {
+      switch (name) {
+        case 'Container':
+          hasContainerSection = true;
+          for (const { key, value, line } of entries) {
+            if (key === 'GlobalArgs') {
+              result.globals = { podmanArgs: this.appendArgs(result.globals && result.globals.podmanArgs, value) };
+            } else if (CONTAINER_KEYS[key]) {
+              this.applyKey(container, CONTAINER_KEYS, key, value, line, name);
+            } else {
+              result.passthrough.push({ section: name, key, value });
+            }
+          }
+          break;
+
+        case 'GlobalArgs':
+          for (const { key, value, line } of entries) {
+            if (key !== 'PodmanArgs') {
+              throw new Error(`Unknown key '${key}' in [GlobalArgs] section on line ${line}`);
+            }
+            result.globals = { podmanArgs: this.appendArgs(result.globals && result.globals.podmanArgs, value) };
+          }
+          break;
+
+        default:
+          if (!this.applySystemdSection(result, name, entries)) {
+            result.passthrough.push(...entries.map(({ key, value }) => ({ section: name, key, value })));
+          }
+      }
+    }
+
+    if (!hasContainerSection) {
+      throw new Error('Quadlet file has no [Container] section');
+    }
+
+    return result;
+  }
+
+  /**
+   * Split a systemd unit file into its sections and key/value entries
+   *
+   * Handles comments, backslash line continuations, whitespace around keys
+   * and values, and repeated sections and keys
+   *
+   * @param {string} content - Unit file content
+   * @returns {Array<Object>} Sections with their name and entries in file order
+   */
+  static parseSections(content) {
+    if (typeof content !== 'string') {
+      throw new Error('Quadlet file content must be a string');
+    }
+
+    const sections = [];
+    let section = null;
+    const lines = content.split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+      const lineNumber = index + 1;
+      let line = lines[index].trim();
+
+      if (line === '' || line.startsWith('#') || line.startsWith(';')) {
+        continue;
+      }
+
+      // A trailing backslash continues the line, comment lines in between are skipped
+      while (line.endsWith('\\')) {
+        line = line.slice(0, -1).trimEnd();
+        let next = null;
+        while (index + 1 < lines.length && next === null) {
+          const candidate = lines[++index].trim();
+          if (!candidate.startsWith('#') && !candidate.startsWith(';')) {
+            next = candidate;
+          }
+        }
+        if (next) {
+          line += ` ${next}`;
+        }
+      }
+
+      const header = line.match(/^\[([^\]]+)\]$/);
+      if (header) {
+        section = { name: header[1], entries: [] };
+        sections.push(section);
+        continue;
+      }
+
+      const equalsIndex = line.indexOf('=');
+      if (equalsIndex <= 0) {
+        throw new Error(`Invalid line ${lineNumber}: expected key=value`);
+      }
+      if (!section) {
+        throw new Error(`Line ${lineNumber} is outside of a section`);
+      }
+
+      section.entries.push({
+        key: line.slice(0, equalsIndex).trim(),
+        value: line.slice(equalsIndex + 1).trim(),
+        line: lineNumber
+      });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Apply a [Container] key to the container, an empty value resetting the field
+   */
+  static applyKey(container, keys, key, value, line, sectionName) {
+    const definition = keys[key];
+    if (!definition) {
+      throw new Error(`Unknown key '${key}' in [${sectionName}] section on line ${line}`);
+    }
+
+    const [field, type] = definition;
+    if (value === '') {
+      container[field] = new Container()[field];
+      return;
+    }
+
+    switch (type) {
+      case 'string':
+        container[field] = value;
+        break;
+      case 'list':
+        container[field].push(value);
+        break;
+      case 'words':
+        container[field].push(...value.split(/\s+/));
+        break;
+      case 'quoted':
+        container[field].push(...this.splitQuoted(value, key, line));
+        break;
+      case 'colon':
+        container[field].push(...value.split(':'));
+        break;
+      case 'bool':
+        container[field] = this.parseBoolean(value, key, line);
+        break;
+      case 'args':
+        container[field] = this.appendArgs(container[field], value);
+        break;
+      case 'notify':
+        // Notify=true is the sdnotify container mode
+        if (value === 'healthy') {
+          container[field] = 'healthy';
+        } else {
+          container[field] = this.parseBoolean(value, key, line) ? 'container' : 'conmon';
+        }
+        break;
+    }
+  }
+
+  /**
+   * Add a [Unit], [Service] or [Install] section to the unit, service or install
+   * options of a result
+   *
+   * @returns {boolean} Whether the section is a systemd section
+   */
+  static applySystemdSection(result, name, entries) {
+    switch (name) {
+      case 'Unit':
+        result.unit = this.parseSystemdSection(result.unit, entries, UNIT_KEYS);
+        return true;
+      case 'Service':
+        result.service = this.parseSystemdSection(result.service, entries, SERVICE_KEYS);
+        return true;
+      case 'Install':
+        result.install = this.parseSystemdSection(result.install, entries, INSTALL_KEYS);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Parse a [Unit], [Service] or [Install] section into generator options,
+   * keeping the keys the generator has no option for under their systemd name
+   */
+  static parseSystemdSection(options, entries, keys) {
+    const parsed = options || {};
+
+    for (const { key, value } of entries) {
+      const [option, type] = keys[key] || [key, 'list'];
+
+      if (value === '') {
+        delete parsed[option];
+      } else if (type === 'words') {
+        parsed[option] = [...(parsed[option] || []), ...value.split(/\s+/)];
+      } else if (type === 'list') {
+        parsed[option] = parsed[option] === undefined ? value : [].concat(parsed[option], value);
+      } else {
+        parsed[option] = value;
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Split a quoted list value such as Environment=A=1 "B=two words"
+   */
+  static splitQuoted(value, key, line) {
+    try {
+      return splitArgs(value);
+    } catch (error) {
+      throw new Error(`Invalid ${key}= value on line ${line}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a systemd boolean value
+   */
+  static parseBoolean(value, key, line) {
+    const normalized = value.toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) {
+      return true;
+    }
+    if (FALSE_VALUES.includes(normalized)) {
+      return false;
+    }
+    throw new Error(`Invalid boolean '${value}' for ${key}= on line ${line}`);
+  }
+
+  /**
+   * Append arguments to a PodmanArgs style value
+   */
+  static appendArgs(current, value) {
+    return current ? `${current} ${value}` : value;
+  }
+}
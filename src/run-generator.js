@@ -0,0 +1,234 @@
+/**
+ * RunGenerator - Converts Container objects back to docker/podman run commands
+ * Reverse of RunParser, used to reproduce a Quadlet container interactively
+ */
+
+import { splitArgs, quoteArgs } from './shell-words.js';
+import { Diagnostics } from './diagnostics.js';
+
+const ENGINES = ['podman', 'docker'];
+
+// Quadlet units containers reference, with the key naming what they create,
+// systemd-<unit name> being the default
+const UNIT_NAME_KEYS = { volume: 'VolumeName', network: 'NetworkName', pod: 'PodName' };
+
+// Container fields in Quadlet key order, with the run arguments they become,
+// podman marking the fields docker run cannot express. Unit references such as
+// data.volume go through resolve, which gives the name of what the unit creates
+const RUN_OPTIONS = [
+  { key: 'ContainerName', args: c => c.containerName ? ['--name', c.containerName] : [] },
+  { key: 'PublishPort', args: c => c.publishPort.flatMap(port => ['--publish', port]) },
+  { key: 'ExposeHostPort', args: c => c.exposeHostPort.flatMap(port => ['--expose', port]) },
+  { key: 'Volume', args: (c, resolve) => c.volume.flatMap(volume => ['--volume', resolve(volume)]) },
+  { key: 'Mount', args: c => c.mount.flatMap(mount => ['--mount', mount]) },
+  { key: 'AddDevice', args: c => c.addDevice.flatMap(device => ['--device', device]) },
+  { key: 'Environment', args: c => c.environment.flatMap(env => ['--env', env]) },
+  { key: 'EnvironmentFile', args: c => c.environmentFile.flatMap(file => ['--env-file', file]) },
+  { key: 'EnvironmentHost', podman: true, args: c => c.environmentHost ? ['--env-host'] : [] },
+  { key: 'Label', args: c => c.label.flatMap(label => ['--label', label]) },
+  { key: 'Network', args: (c, resolve) => c.network.flatMap(network => ['--network', resolve(network)]) },
+  { key: 'NetworkAlias', args: c => c.networkAlias.flatMap(alias => ['--network-alias', alias]) },
+  { key: 'AddHost', args: c => c.addHost.flatMap(host => ['--add-host', host]) },
+  { key: 'AddCapability', args: c => c.addCapability.flatMap(cap => ['--cap-add', cap]) },
+  { key: 'DropCapability', args: c => c.dropCapability.flatMap(cap => ['--cap-drop', cap]) },
+  { key: 'DNS', args: c => c.dns.flatMap(dns => ['--dns', dns]) },
+  { key: 'DNSOption', args: c => c.dnsOption.flatMap(option => ['--dns-option', option]) },
+  { key: 'DNSSearch', args: c => c.dnsSearch.flatMap(search => ['--dns-search', search]) },
+  { key: 'NoNewPrivileges', args: c => c.noNewPrivileges ? ['--security-opt', 'no-new-privileges'] : [] },
+  { key: 'SecurityLabelDisable', args: c => c.securityLabelDisable ? ['--security-opt', 'label=disable'] : [] },
+  {
+    key: 'SecurityLabelFileType',
+    args: c => c.securityLabelFileType ? ['--security-opt', `label=filetype:${c.securityLabelFileType}`] : []
+  },
+  {
+    key: 'SecurityLabelLevel',
+    args: c => c.securityLabelLevel ? ['--security-opt', `label=level:${c.securityLabelLevel}`] : []
+  },
+  { key: 'SecurityLabelNested', podman: true, args: c => c.securityLabelNested ? ['--security-opt', 'label=nested'] : [] },
+  {
+    key: 'SecurityLabelType',
+    args: c => c.securityLabelType ? ['--security-opt', `label=type:${c.securityLabelType}`] : []
+  },
+  { key: 'SeccompProfile', args: c => c.seccompProfile ? ['--security-opt', `seccomp=${c.seccompProfile}`] : [] },
+  { key: 'Mask', podman: true, args: c => c.mask.length > 0 ? ['--security-opt', `mask=${c.mask.join(':')}`] : [] },
+  {
+    key: 'Unmask',
+    podman: true,
+    args: c => c.unmask ? ['--security-opt', `unmask=${Array.isArray(c.unmask) ? c.unmask.join(':') : c.unmask}`] : []
+  },
+  { key: 'User', args: c => c.user || c.group ? ['--user', c.group ? `${c.user || ''}:${c.group}` : c.user] : [] },
+  { key: 'GroupAdd', args: c => c.groupAdd.flatMap(group => ['--group-add', group]) },
+  { key: 'UserNS', args: c => c.userNS ? ['--userns', c.userNS] : [], podman: c => c.userNS && c.userNS !== 'host' },
+  { key: 'UIDMap', podman: true, args: c => c.uidMap.flatMap(mapping => ['--uidmap', mapping]) },
+  { key: 'GIDMap', podman: true, args: c => c.gidMap.flatMap(mapping => ['--gidmap', mapping]) },
+  { key: 'SubUIDMap', podman: true, args: c => c.subUidMap ? ['--subuidname', c.subUidMap] : [] },
+  { key: 'SubGIDMap', podman: true, args: c => c.subGidMap ? ['--subgidname', c.subGidMap] : [] },
+  { key: 'ReadOnly', args: c => c.readOnly ? ['--read-only'] : [] },
+  { key: 'ReadOnlyTmpfs', podman: true, args: c => c.readOnly && !c.readOnlyTmpfs ? ['--read-only-tmpfs=false'] : [] },
+  { key: 'RunInit', args: c => c.runInit ? ['--init'] : [] },
+  { key: 'WorkingDir', args: c => c.workingDir ? ['--workdir', c.workingDir] : [] },
+  { key: 'HostName', args: c => c.hostName ? ['--hostname', c.hostName] : [] },
+  { key: 'Timezone', podman: true, args: c => c.timezone ? ['--tz', c.timezone] : [] },
+  { key: 'ShmSize', args: c => c.shmSize ? ['--shm-size', c.shmSize] : [] },
+  { key: 'Tmpfs', args: c => c.tmpfs.flatMap(tmpfs => ['--tmpfs', tmpfs]) },
+  {
+    key: 'HealthCmd',
+    args: c => {
+      if (!c.healthCmd) {
+        return [];
+      }
+      return c.healthCmd === 'none' ? ['--no-healthcheck'] : ['--health-cmd', c.healthCmd];
+    }
+  },
+  { key: 'HealthInterval', args: c => c.healthInterval ? ['--health-interval', c.healthInterval] : [] },
+  { key: 'HealthOnFailure', podman: true, args: c => c.healthOnFailure ? ['--health-on-failure', c.healthOnFailure] : [] },
+  { key: 'HealthRetries', args: c => c.healthRetries ? ['--health-retries', c.healthRetries] : [] },
+  { key: 'HealthStartPeriod', args: c => c.healthStartPeriod ? ['--health-start-period', c.healthStartPeriod] : [] },
+  { key: 'HealthTimeout', args: c => c.healthTimeout ? ['--health-timeout', c.healthTimeout] : [] },
+  { key: 'HealthStartupCmd', podman: true, args: c => c.healthStartupCmd ? ['--health-startup-cmd', c.healthStartupCmd] : [] },
+  {
+    key: 'HealthStartupInterval',
+    podman: true,
+    args: c => c.healthStartupInterval ? ['--health-startup-interval', c.healthStartupInterval] : []
+  },
+  {
+    key: 'HealthStartupRetries',
+    podman: true,
+    args: c => c.healthStartupRetries ? ['--health-startup-retries', c.healthStartupRetries] : []
+  },
+  {
+    key: 'HealthStartupSuccess',
+    podman: true,
+    args: c => c.healthStartupSuccess ? ['--health-startup-success', c.healthStartupSuccess] : []
+  },
+  {
+    key: 'HealthStartupTimeout',
+    podman: true,
+    args: c => c.healthStartupTimeout ? ['--health-startup-timeout', c.healthStartupTimeout] : []
+  },
+  {
+    key: 'HealthLogDestination',
+    podman: true,
+    args: c => c.healthLogDestination ? ['--health-log-destination', c.healthLogDestination] : []
+  },
+  {
+    key: 'HealthMaxLogCount',
+    podman: true,
+    args: c => c.healthMaxLogCount ? ['--health-max-log-count', c.healthMaxLogCount] : []
+  },
+  {
+    key: 'HealthMaxLogSize',
+    podman: true,
+    args: c => c.healthMaxLogSize ? ['--health-max-log-size', c.healthMaxLogSize] : []
+  },
+  {
+    key: 'Notify',
+    podman: true,
+    args: c => c.notify === 'container' || c.notify === 'healthy' ? [`--sdnotify=${c.notify}`] : []
+  },
+  { key: 'StopSignal', args: c => c.stopSignal ? ['--stop-signal', c.stopSignal] : [] },
+  { key: 'StopTimeout', args: c => c.stopTimeout ? ['--stop-timeout', c.stopTimeout] : [] },
+  { key: 'Pod', podman: true, args: (c, resolve) => c.pod ? ['--pod', resolve(c.pod)] : [] },
+  { key: 'LogDriver', args: c => c.logDriver ? ['--log-driver', c.logDriver] : [] },
+  { key: 'LogOpt', args: c => c.logOpt.flatMap(opt => ['--log-opt', opt]) },
+  { key: 'Annotation', podman: true, args: c => c.annotation.flatMap(annotation => ['--annotation', annotation]) },
+  { key: 'PidsLimit', args: c => c.pidsLimit ? ['--pids-limit', c.pidsLimit] : [] },
+  { key: 'Ulimit', args: c => c.ulimit.flatMap(limit => ['--ulimit', limit]) },
+  { key: 'Sysctl', args: c => c.sysctl.flatMap(sysctl => ['--sysctl', sysctl]) },
+  { key: 'AutoUpdate', podman: true, args: c => c.autoUpdate ? ['--label', `io.containers.autoupdate=${c.autoUpdate}`] : [] },
+  { key: 'Pull', args: c => c.pull ? ['--pull', c.pull] : [] },
+  { key: 'Secret', podman: true, args: c => c.secret.flatMap(secret => ['--secret', secret]) },
+  { key: 'Entrypoint', args: c => c.entrypoint ? ['--entrypoint', c.entrypoint] : [] },
+  { key: 'IP', args: c => c.ip ? ['--ip', c.ip] : [] },
+  { key: 'IP6', args: c => c.ip6 ? ['--ip6', c.ip6] : [] },
+  // PodmanArgs= holds podman run arguments, such as --pod, that docker run may not accept
+  { key: 'PodmanArgs', podman: true, args: c => c.podmanArgs ? splitArgs(c.podmanArgs) : [] },
+  { key: 'Rootfs', podman: true, args: c => c.rootfs && !c.image ? ['--rootfs'] : [] }
+];
+
+export class RunGenerator {
+  /**
+   * Generate a shell-quoted run command from a container configuration
+   *
+   * @param {Container} container - Container configuration
+   * @param {Object} options - Generation options
+   * @param {string} options.engine - 'podman' (default) or 'docker'
+   * @param {Object} options.unitNames - Names of what the referenced .volume, .network and .pod
+   *   units create, keyed by unit file name such as data.volume, for units setting VolumeName=,
+   *   NetworkName= or PodName=
+   * @param {boolean} options.strict - Throw instead of skipping the fields the engine cannot express
+   * @returns {string} Run command
+   */
+  static generateCommand(container, options = {}) {
+    return quoteArgs(this.generateArgs(container, options));
+  }
+
+  /**
+   * Generate the run command as an array of arguments, warning about
+   * the fields the engine cannot express
+   */
+  static generateArgs(container, options = {}) {
+    const { engine = 'podman' } = options;
+    if (!ENGINES.includes(engine)) {
+      throw new Error(`Unsupported engine '${engine}', expected podman or docker`);
+    }
+
+    if (!container.image && !container.rootfs) {
+      throw new Error('Image is required');
+    }
+
+    const diagnostics = Diagnostics.from(options);
+    const args = [engine, 'run'];
+    const resolve = spec => this.resolveUnitReference(spec, {
+      unitNames: options.unitNames || {},
+      diagnostics,
+      service: container.containerName
+    });
+
+    for (const option of RUN_OPTIONS) {
+      const optionArgs = option.args(container, resolve);
+      if (optionArgs.length === 0) {
+        continue;
+      }
+
+      const podmanOnly = typeof option.podman === 'function' ? option.podman(container) : option.podman;
+      if (engine === 'docker' && podmanOnly) {
+        diagnostics.warn('unsupported-by-engine', `${option.key}= cannot be expressed with docker run, skipped`, {
+          service: container.containerName
+        });
+        continue;
+      }
+      args.push(...optionArgs);
+    }
+
+    // Without an image the container runs from its root filesystem
+    args.push(container.image || container.rootfs);
+
+    if (container.exec) {
+      args.push(...splitArgs(container.exec));
+    }
+
+    return args;
+  }
+
+  /**
+   * Replace the Quadlet unit a volume, network or pod value references with the name of what
+   * the unit creates, reporting the default systemd-<unit> name as an assumption
+   */
+  static resolveUnitReference(spec, { unitNames = {}, diagnostics = new Diagnostics(), service = null } = {}) {
+    const [reference, ...rest] = spec.split(':');
+    const match = reference.match(/^(.+)\.(volume|network|pod)$/);
+    if (!match) {
+      return spec;
+    }
+
+    const [, unit, type] = match;
+    let name = unitNames[reference];
+    if (!name) {
+      name = `systemd-${unit}`;
+      diagnostics.warn('unit-reference', `${reference} is assumed to create the ${type} ${name}, ` +
+        `pass its name in unitNames if the unit sets ${UNIT_NAME_KEYS[type]}=`, { service, lossy: false });
+    }
+    return [name, ...rest].join(':');
+  }
+}
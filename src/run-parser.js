@@ -0,0 +1,380 @@
+/**
+ * Docker/Podman run command parser
+ * Parses `docker run` and `podman run` arguments straight into Container configurations
+ * Based on the Rust podlet `podman run` argument definitions
+ */
+
+import { Container } from './container.js';
+import { splitArgs, joinArgs } from './shell-words.js';
+
+// Options without a Quadlet key, kept in PodmanArgs
+const PODMAN_ARGS_VALUE_OPTIONS = [
+  ['--attach', '-a'], ['--authfile'], ['--blkio-weight'], ['--blkio-weight-device'], ['--cgroup-conf'],
+  ['--cgroup-parent'], ['--cgroupns'], ['--cgroups'], ['--chrootdirs'], ['--cidfile'], ['--conmon-pidfile'],
+  ['--cpu-count'], ['--cpu-percent'], ['--cpu-period'], ['--cpu-quota'], ['--cpu-rt-period'],
+  ['--cpu-rt-runtime'], ['--cpu-shares', '-c'], ['--cpus'], ['--cpuset-cpus'], ['--cpuset-mems'],
+  ['--creds'], ['--decryption-key'], ['--detach-keys'], ['--device-cgroup-rule'], ['--device-read-bps'],
+  ['--device-read-iops'], ['--device-write-bps'], ['--device-write-iops'], ['--domainname'], ['--env-merge'],
+  ['--gpus'], ['--group-entry'], ['--health-start-interval'], ['--hostuser'], ['--image-volume'],
+  ['--init-path'], ['--ipc'], ['--isolation'], ['--kernel-memory'], ['--label-file'], ['--link'],
+  ['--link-local-ip'], ['--mac-address'], ['--memory', '-m'], ['--memory-reservation'], ['--memory-swap'],
+  ['--memory-swappiness'], ['--oom-score-adj'], ['--os'], ['--arch'], ['--variant'], ['--passwd-entry'],
+  ['--personality'], ['--pid'], ['--pidfile'], ['--platform'], ['--preserve-fds'], ['--rdt-class'],
+  ['--requires'], ['--retry'], ['--retry-delay'], ['--runtime'], ['--seccomp-policy'],
+  ['--shm-size-systemd'], ['--storage-opt'], ['--systemd'], ['--timeout'], ['--umask'], ['--uts'],
+  ['--volumes-from'], ['--pod-id-file'], ['--unsetenv'], ['--volume-driver'], ['--preserve-fd'],
+  ['--hosts-file']
+];
+
+const PODMAN_ARGS_FLAG_OPTIONS = [
+  ['--interactive', '-i'], ['--tty', '-t'], ['--privileged'], ['--publish-all', '-P'],
+  ['--oom-kill-disable'], ['--no-hosts'], ['--http-proxy'], ['--passwd'],
+  ['--sig-proxy'], ['--tls-verify'], ['--unsetenv-all'], ['--no-hostname']
+];
+
+// Options Quadlet already sets or that do not apply to a systemd service
+const IGNORED_FLAG_OPTIONS = [
+  ['--detach', '-d'], ['--rm'], ['--replace'], ['--quiet', '-q'], ['--disable-content-trust']
+];
+
+/**
+ * Main parser class for docker and podman run commands
+ */
+export class RunParser {
+  constructor() {
+    // Initialize supported run options
+    this.options = this._initializeOptions();
+  }
+
+  /**
+   * Parse a docker or podman run command into a Container object
+   *
+   * @param {string|Array<string>} command - Run command as a string or an array of arguments
+   * @returns {Container} Parsed container configuration
+   */
+  parse(command) {
+    const args = this._runArguments(command);
+    const container = new Container();
+
+    let index = 0;
+    while (index < args.length) {
+      const arg = args[index];
+      if (arg === '--') {
+        index++;
+        break;
+      }
+      if (!arg.startsWith('-') || arg === '-') {
+        break;
+      }
+      index = arg.startsWith('--')
+        ? this._parseLongOption(args, index, container)
+        : this._parseShortOptions(args, index, container);
+    }
+
+    const [image, ...exec] = args.slice(index);
+    if (!image) {
+      throw new Error('Image is required');
+    }
+
+    // With --rootfs the first argument is the root filesystem instead of an image
+    if (container.rootfs === true) {
+      container.rootfs = image;
+    } else {
+      container.setImage(image);
+    }
+
+    if (exec.length > 0) {
+      container.setExec(joinArgs(exec));
+    }
+
+    // Like composerize did, unnamed containers are named after their image
+    if (!container.containerName && /^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/.test(container.getDefaultName())) {
+      container.setContainerName(container.getDefaultName());
+    }
+
+    return container;
+  }
+
+  /**
+   * Split the command and strip the leading `docker run`, `podman run` or `docker container run`
+   */
+  _runArguments(command) {
+    if (command === null || command === undefined) {
+      throw new Error('Run command must be a string or an array of arguments');
+    }
+
+    const args = Array.isArray(command) ? command.map(String) : splitArgs(command);
+    let index = 0;
+
+    if (['docker', 'podman'].includes(args[index])) {
+      index++;
+    }
+    if (args[index] === 'container') {
+      index++;
+    }
+    if (args[index] !== 'run') {
+      throw new Error('Expected a docker run or podman run command');
+    }
+
+    return args.slice(index + 1);
+  }
+
+  /**
+   * Parse a --long or --long=value option, returning the index of the next argument
+   */
+  _parseLongOption(args, index, container) {
+    const arg = args[index];
+    const equalsIndex = arg.indexOf('=');
+    const name = equalsIndex === -1 ? arg : arg.slice(0, equalsIndex);
+    const inlineValue = equalsIndex === -1 ? null : arg.slice(equalsIndex + 1);
+    const option = this._option(name);
+
+    if (!option.value) {
+      option.apply(container, inlineValue === null ? true : this._parseBoolean(name, inlineValue));
+      return index + 1;
+    }
+
+    if (inlineValue !== null) {
+      option.apply(container, inlineValue);
+      return index + 1;
+    }
+
+    if (index + 1 >= args.length) {
+      throw new Error(`Option '${name}' requires a value`);
+    }
+    option.apply(container, args[index + 1]);
+    return index + 2;
+  }
+
+  /**
+   * Parse combined short options such as -itd or -p8080:80, returning the index of the next argument
+   */
+  _parseShortOptions(args, index, container) {
+    const arg = args[index];
+
+    for (let i = 1; i < arg.length; i++) {
+      const name = `-${arg[i]}`;
+      const option = this._option(name);
+
+      if (!option.value) {
+        option.apply(container, true);
+        continue;
+      }
+
+      // The rest of the argument, or the next argument, is the value
+      const attached = arg.slice(i + 1).replace(/^=/, '');
+      if (attached !== '') {
+        option.apply(container, attached);
+        return index + 1;
+      }
+      if (index + 1 >= args.length) {
+        throw new Error(`Option '${name}' requires a value`);
+      }
+      option.apply(container, args[index + 1]);
+      return index + 2;
+    }
+
+    return index + 1;
+  }
+
+  /**
+   * Look up a run option, failing on options docker and podman do not know
+   */
+  _option(name) {
+    const option = this.options.get(name);
+    if (!option) {
+      throw new Error(`Unknown run option '${name}'`);
+    }
+    return option;
+  }
+
+  /**
+   * Parse the value of a boolean option given as --flag=value
+   */
+  _parseBoolean(name, value) {
+    if (value === 'true') {
+      return true;
+    }
+    if (value === 'false') {
+      return false;
+    }
+    throw new Error(`Option '${name}' expects true or false, got '${value}'`);
+  }
+
+  /**
+   * Initialize the supported run options, keyed by every name of the option
+   */
+  _initializeOptions() {
+    const options = new Map();
+    const value = (names, apply) => names.forEach(name => options.set(name, { value: true, apply }));
+    const flag = (names, apply) => names.forEach(name => options.set(name, { value: false, apply }));
+
+    // Basic configuration
+    value(['--name'], (c, v) => c.setContainerName(v));
+    value(['--entrypoint'], (c, v) => { c.entrypoint = v; });
+    value(['--workdir', '-w'], (c, v) => { c.workingDir = v; });
+    value(['--restart'], (c, v) => { c._restart = v; });
+    value(['--pull'], (c, v) => { c.pull = v; });
+
+    // Networking
+    value(['--publish', '-p'], (c, v) => c.addPublishPort(v));
+    value(['--expose'], (c, v) => c.exposeHostPort.push(v));
+    value(['--network', '--net'], (c, v) => c.network.push(v));
+    value(['--network-alias', '--net-alias'], (c, v) => c.networkAlias.push(v));
+    value(['--ip'], (c, v) => { c.ip = v; });
+    value(['--ip6'], (c, v) => { c.ip6 = v; });
+    value(['--add-host'], (c, v) => c.addHost.push(v));
+    value(['--hostname', '-h'], (c, v) => { c.hostName = v; });
+    value(['--dns'], (c, v) => c.dns.push(v));
+    value(['--dns-option', '--dns-opt'], (c, v) => c.dnsOption.push(v));
+    value(['--dns-search'], (c, v) => c.dnsSearch.push(v));
+
+    // Storage
+    value(['--volume', '-v'], (c, v) => c.addVolume(v));
+    value(['--mount'], (c, v) => c.mount.push(v));
+    value(['--tmpfs'], (c, v) => c.tmpfs.push(v));
+    value(['--device'], (c, v) => c.addDevice.push(v));
+
+    // Environment
+    value(['--env', '-e'], (c, v) => {
+      if (v.includes('=')) {
+        c.addEnvironment(v);
+      } else {
+        // Variables without a value are taken from the host when the container starts
+        this._addToPodmanArgs(c, '--env', v);
+      }
+    });
+    value(['--env-file'], (c, v) => c.environmentFile.push(v));
+    flag(['--env-host'], (c, enabled) => { c.environmentHost = enabled; });
+
+    // Labels and annotations
+    value(['--label', '-l'], (c, v) => {
+      if (v.startsWith('io.containers.autoupdate=')) {
+        c.autoUpdate = v.slice('io.containers.autoupdate='.length);
+      } else {
+        c.addLabel(v.includes('=') ? v : `${v}=`);
+      }
+    });
+    value(['--annotation'], (c, v) => c.annotation.push(v));
+
+    // Security
+    value(['--user', '-u'], (c, v) => {
+      const [user, group] = v.split(':');
+      c.user = user;
+      if (group) {
+        c.group = group;
+      }
+    });
+    value(['--group-add'], (c, v) => c.groupAdd.push(v));
+    value(['--cap-add'], (c, v) => c.addCapability.push(v));
+    value(['--cap-drop'], (c, v) => c.dropCapability.push(v));
+    value(['--security-opt'], (c, v) => this._parseSecurityOption(v, c));
+    value(['--mask'], (c, v) => c.mask.push(...v.split(':')));
+    value(['--unmask'], (c, v) => { c.unmask = v; });
+    value(['--userns'], (c, v) => { c.userNS = v; });
+    value(['--uidmap'], (c, v) => c.uidMap.push(v));
+    value(['--gidmap'], (c, v) => c.gidMap.push(v));
+    value(['--subuidname'], (c, v) => { c.subUidMap = v; });
+    value(['--subgidname'], (c, v) => { c.subGidMap = v; });
+    flag(['--read-only'], (c, enabled) => { c.readOnly = enabled; });
+    flag(['--read-only-tmpfs'], (c, enabled) => { c.readOnlyTmpfs = enabled; });
+    value(['--secret'], (c, v) => c.secret.push(v));
+
+    // Runtime
+    flag(['--init'], (c, enabled) => { c.runInit = enabled; });
+    value(['--shm-size'], (c, v) => { c.shmSize = v; });
+    value(['--stop-signal'], (c, v) => { c.stopSignal = v; });
+    value(['--stop-timeout'], (c, v) => { c.stopTimeout = v; });
+    value(['--tz'], (c, v) => { c.timezone = v; });
+    flag(['--rootfs'], (c, enabled) => { c.rootfs = enabled || null; });
+
+    // Podman systemd integration
+    // Pod= only references .pod units, a pod created outside Quadlet is joined by name
+    value(['--pod'], (c, v) => this._addToPodmanArgs(c, '--pod', v));
+    value(['--sdnotify'], (c, v) => {
+      if (['conmon', 'container', 'healthy'].includes(v)) {
+        c.notify = v;
+      } else {
+        this._addToPodmanArgs(c, '--sdnotify', v);
+      }
+    });
+
+    // Health checks
+    value(['--health-cmd'], (c, v) => { c.healthCmd = v; });
+    value(['--health-interval'], (c, v) => { c.healthInterval = v; });
+    value(['--health-retries'], (c, v) => { c.healthRetries = v; });
+    value(['--health-start-period'], (c, v) => { c.healthStartPeriod = v; });
+    value(['--health-timeout'], (c, v) => { c.healthTimeout = v; });
+    value(['--health-on-failure'], (c, v) => { c.healthOnFailure = v; });
+    value(['--health-startup-cmd'], (c, v) => { c.healthStartupCmd = v; });
+    value(['--health-startup-interval'], (c, v) => { c.healthStartupInterval = v; });
+    value(['--health-startup-retries'], (c, v) => { c.healthStartupRetries = v; });
+    value(['--health-startup-success'], (c, v) => { c.healthStartupSuccess = v; });
+    value(['--health-startup-timeout'], (c, v) => { c.healthStartupTimeout = v; });
+    value(['--health-log-destination'], (c, v) => { c.healthLogDestination = v; });
+    value(['--health-max-log-count'], (c, v) => { c.healthMaxLogCount = v; });
+    value(['--health-max-log-size'], (c, v) => { c.healthMaxLogSize = v; });
+    flag(['--no-healthcheck'], (c, enabled) => {
+      if (enabled) {
+        c.healthCmd = 'none';
+      }
+    });
+
+    // Logging
+    value(['--log-driver'], (c, v) => { c.logDriver = v; });
+    value(['--log-opt'], (c, v) => c.logOpt.push(v));
+
+    // Resource limits
+    value(['--pids-limit'], (c, v) => { c.pidsLimit = v; });
+    value(['--ulimit'], (c, v) => c.ulimit.push(v));
+    value(['--sysctl'], (c, v) => c.sysctl.push(v));
+
+    // Options without a Quadlet key
+    for (const names of PODMAN_ARGS_VALUE_OPTIONS) {
+      value(names, (c, v) => this._addToPodmanArgs(c, names[0], v));
+    }
+    for (const names of PODMAN_ARGS_FLAG_OPTIONS) {
+      flag(names, (c, enabled) => this._addToPodmanArgs(c, enabled ? names[0] : `${names[0]}=false`));
+    }
+    for (const names of IGNORED_FLAG_OPTIONS) {
+      flag(names, () => {});
+    }
+
+    return options;
+  }
+
+  /**
+   * Parse a --security-opt value
+   */
+  _parseSecurityOption(opt, container) {
+    if (/^no-new-privileges([:=]true)?$/.test(opt)) {
+      container.noNewPrivileges = true;
+    } else if (opt === 'label=disable') {
+      container.securityLabelDisable = true;
+    } else if (opt === 'label=nested') {
+      container.securityLabelNested = true;
+    } else if (opt.startsWith('label=type:')) {
+      container.securityLabelType = opt.slice('label=type:'.length);
+    } else if (opt.startsWith('label=level:')) {
+      container.securityLabelLevel = opt.slice('label=level:'.length);
+    } else if (opt.startsWith('label=filetype:')) {
+      container.securityLabelFileType = opt.slice('label=filetype:'.length);
+    } else if (opt.startsWith('seccomp=')) {
+      container.seccompProfile = opt.slice('seccomp='.length);
+    } else if (opt.startsWith('mask=')) {
+      container.mask.push(...opt.slice('mask='.length).split(':'));
+    } else if (opt.startsWith('unmask=')) {
+      container.unmask = opt.slice('unmask='.length);
+    } else {
+      this._addToPodmanArgs(container, '--security-opt', opt);
+    }
+  }
+
+  /**
+   * Add arguments to podmanArgs field
+   */
+  _addToPodmanArgs(container, flag, value = null) {
+    const args = value === null ? [flag] : [flag, value];
+    container.podmanArgs = [container.podmanArgs, joinArgs(args)].filter(Boolean).join(' ');
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Shell word splitting
+ * Splits command lines the way a POSIX shell would, without expansions
+ */
+
+/**
+ * Split a command line into arguments, honoring single quotes,
+ * double quotes, backslash escapes and line continuations
+ */
+export function splitArgs(command) {
+  if (typeof command !== 'string') {
+    throw new Error('Command must be a string');
+  }
+
+  const args = [];
+  let current = '';
+  let inWord = false;
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === '\\' && i + 1 < command.length && '"\\$`\n'.includes(command[i + 1])) {
+        i++;
+        if (command[i] !== '\n') {
+          current += command[i];
+        }
+      } else {
+        current += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      inWord = true;
+    } else if (char === '\\') {
+      i++;
+      if (i < command.length && command[i] !== '\n') {
+        current += command[i];
+        inWord = true;
+      }
+    } else if (/\s/.test(char)) {
+      if (inWord) {
+        args.push(current);
+        current = '';
+        inWord = false;
+      }
+    } else {
+      current += char;
+      inWord = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote === "'" ? 'single' : 'double'} quote in command`);
+  }
+
+  if (inWord) {
+    args.push(current);
+  }
+
+  return args;
+}
+
+/**
+ * Join arguments into a single command line, double quoting the arguments
+ * that need it, so both systemd and splitArgs read back the same arguments
+ */
+export function joinArgs(args) {
+  return args.map(arg => {
+    const value = String(arg);
+    if (value === '') {
+      return '""';
+    }
+    if (/[\s"'`$\\|&;()<>]/.test(value)) {
+      return `"${value.replace(/["\\]/g, '\\$&')}"`;
+    }
+    return value;
+  }).join(' ');
+}
+
+/**
+ * Quote arguments for a POSIX shell, single quoting the arguments that need it
+ * so the shell passes them through without any expansion
+ */
+export function quoteArgs(args) {
+  return args.map(arg => {
+    const value = String(arg);
+    if (value === '') {
+      return "''";
+    }
+    if (/[^\w@%+=:,./-]/.test(value)) {
+      return `'${value.replace(/'/g, `'\\''`)}'`;
+    }
+    return value;
+  }).join(' ');
+}
@@ -0,0 +1,255 @@
+/**
+ * SystemdParser - Migrates systemd services that run containers to Quadlet
+ * Reads the units written by `podman generate systemd --new` and hand-written services
+ * wrapping `docker run`, taking the container from the ExecStart= run command and
+ * keeping the remaining systemd settings
+ */
+
+import path from 'path';
+import { RunParser } from './run-parser.js';
+import { QuadletParser } from './quadlet-parser.js';
+import { splitArgs, joinArgs } from './shell-words.js';
+import { Diagnostics } from './diagnostics.js';
+
+// Options podman generate systemd adds to the run command for the service to track the container
+const GENERATED_RUN_OPTIONS = ['--cidfile', '--conmon-pidfile', '--pod-id-file'];
+
+// [Service] keys Quadlet sets itself
+const GENERATED_SERVICE_KEYS = ['Type', 'NotifyAccess', 'PIDFile', 'KillMode'];
+
+// Container engines whose commands are recognized in Exec*= lines
+const ENGINES = ['podman', 'docker'];
+
+// Engine commands managing the container lifecycle, which Quadlet handles itself
+const LIFECYCLE_COMMANDS = ['rm', 'stop', 'kill'];
+
+// Dependencies Quadlet adds itself or the migrated service no longer needs
+const IMPLICIT_DEPENDENCIES = ['network-online.target', 'docker.service', 'docker.socket'];
+const DEPENDENCY_KEYS = ['Wants', 'Requires', 'After', 'BindsTo', 'PartOf'];
+
+// Default podman stop timeout
+const DEFAULT_STOP_TIMEOUT = '10';
+
+export class SystemdParser {
+  /**
+   * Parse a systemd service running a container
+   *
+   * The result has the shape of QuadletParser.parse, so
+   * QuadletGenerator.generateFile(result.container, result) writes the .container file.
+   * Engine commands in other Exec*= lines are translated where Quadlet has an equivalent
+   * (stop, rm and kill are handled by Quadlet, pull becomes Pull=always), the others are
+   * dropped with a warning and listed in result.untranslated
+   *
+   * @param {string} content - Service unit file content
+   * @param {Object} options - Parsing options
+   * @param {Diagnostics} options.diagnostics - Collector of the untranslated steps
+   * @returns {Object} Parsed container, systemd section options and untranslated steps
+   */
+  static parse(content, options = {}) {
+    if (typeof content !== 'string') {
+      throw new Error('Systemd unit content must be a string');
+    }
+
+    const diagnostics = Diagnostics.from(options);
+    const result = { container: null, unit: null, service: null, install: null, globals: null, untranslated: [] };
+    let runArgs = null;
+    let stopTimeout = null;
+    let pull = false;
+
+    for (const { name, entries } of QuadletParser.parseSections(content)) {
+      let kept = entries;
+
+      if (name === 'Unit') {
+        kept = this.filterUnitEntries(entries);
+      } else if (name === 'Service') {
+        kept = [];
+        for (const entry of entries) {
+          const command = entry.key.startsWith('Exec') ? this.parseExecCommand(entry.value) : null;
+
+          if (entry.key === 'ExecStart' && this.isRunCommand(command)) {
+            if (runArgs) {
+              throw new Error(`Unit runs more than one container, second run command on line ${entry.line}`);
+            }
+            runArgs = command;
+          } else if (this.isEngineCommand(command, 'stop')) {
+            stopTimeout = this.optionValue(command, ['-t', '--time']) || stopTimeout;
+          } else if (this.isEngineCommand(command, 'pull')) {
+            pull = true;
+          } else if (this.isEngineCommand(command)) {
+            if (!LIFECYCLE_COMMANDS.some(subcommand => this.isEngineCommand(command, subcommand))) {
+              diagnostics.warn('untranslated-step', `${entry.key}=${entry.value} on line ${entry.line} cannot be translated to Quadlet, skipped`, {
+                path: `Service.${entry.key}`
+              });
+              result.untranslated.push(entry);
+            }
+          } else if (!this.isGeneratedEntry(entry, command)) {
+            kept.push(entry);
+          }
+        }
+      }
+
+      if (!QuadletParser.applySystemdSection(result, name, kept)) {
+        throw new Error(`Unsupported section [${name}]`);
+      }
+    }
+
+    if (!runArgs) {
+      throw new Error('Unit has no ExecStart= running docker run or podman run. Units starting an existing ' +
+        'container, such as the ones generated without --new, can be converted from inspect output instead');
+    }
+
+    const container = new RunParser().parse(runArgs);
+    this.removeGeneratedArgs(container);
+    if (stopTimeout && stopTimeout !== DEFAULT_STOP_TIMEOUT && !container.stopTimeout) {
+      container.stopTimeout = stopTimeout;
+    }
+    if (pull && !container.pull) {
+      container.pull = 'always';
+    }
+
+    result.container = container;
+    return result;
+  }
+
+  /**
+   * Split an Exec*= value into its arguments, dropping the systemd prefixes such as -
+   * and the directory of the executable
+   *
+   * @param {string} value - Exec*= value
+   * @returns {Array<string>|null} Command arguments, or null if they cannot be split
+   */
+  static parseExecCommand(value) {
+    try {
+      const args = splitArgs(value.replace(/^[-@:+!]+/, ''));
+      if (args.length > 0) {
+        args[0] = path.basename(args[0]);
+      }
+      return args;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a command is a docker run or podman run command
+   */
+  static isRunCommand(command) {
+    return this.isEngineCommand(command, 'run');
+  }
+
+  /**
+   * Whether a command runs a container engine, optionally the given subcommand
+   * with or without the container or image group
+   */
+  static isEngineCommand(command, subcommand = null) {
+    if (!command || !ENGINES.includes(command[0])) {
+      return false;
+    }
+    if (subcommand === null) {
+      return true;
+    }
+    const index = ['container', 'image'].includes(command[1]) ? 2 : 1;
+    return command[index] === subcommand;
+  }
+
+  /**
+   * Value of an option such as -t 10, --time=10 or -t10
+   */
+  static optionValue(command, names) {
+    for (let index = 0; index < command.length; index++) {
+      const arg = command[index];
+      for (const name of names) {
+        if (arg === name) {
+          return command[index + 1] || null;
+        }
+        if (arg.startsWith(`${name}=`)) {
+          return arg.slice(name.length + 1);
+        }
+        if (name.length === 2 && arg.startsWith(name) && !arg.startsWith('--')) {
+          return arg.slice(2);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a [Service] entry is written by podman generate systemd to manage the container
+   */
+  static isGeneratedEntry(entry, command) {
+    if (GENERATED_SERVICE_KEYS.includes(entry.key)) {
+      return true;
+    }
+    if (entry.key === 'Environment') {
+      return entry.value === 'PODMAN_SYSTEMD_UNIT=%n';
+    }
+
+    // Removing the container ID file
+    return Boolean(command) && command[0] === 'rm' && command.some(arg => arg.endsWith('.ctr-id'));
+  }
+
+  /**
+   * Drop the [Unit] entries podman generate systemd writes, the dependencies Quadlet
+   * adds itself and the dependencies on the docker daemon
+   */
+  static filterUnitEntries(entries) {
+    const kept = [];
+
+    for (const entry of entries) {
+      const { key, value } = entry;
+
+      if (key === 'Description' && /^Podman (container|pod)-.+\.service$/.test(value)) {
+        continue;
+      }
+      if (key === 'Documentation' && value === 'man:podman-generate-systemd(1)') {
+        continue;
+      }
+      if (key === 'RequiresMountsFor' && /(^%t|\/containers\/storage)/.test(value)) {
+        continue;
+      }
+
+      if (DEPENDENCY_KEYS.includes(key) && value !== '') {
+        const units = value.split(/\s+/).filter(unit => !IMPLICIT_DEPENDENCIES.includes(unit));
+        if (units.length > 0) {
+          kept.push({ ...entry, value: units.join(' ') });
+        }
+        continue;
+      }
+
+      kept.push(entry);
+    }
+
+    return kept;
+  }
+
+  /**
+   * Remove the options podman generate systemd adds to the run command from PodmanArgs,
+   * a --pod-id-file of a generated pod unit joining the matching .pod unit
+   */
+  static removeGeneratedArgs(container) {
+    if (!container.podmanArgs) {
+      return;
+    }
+
+    const args = splitArgs(container.podmanArgs);
+    const kept = [];
+
+    for (let index = 0; index < args.length; index++) {
+      const arg = args[index];
+
+      if (GENERATED_RUN_OPTIONS.includes(arg)) {
+        const pod = arg === '--pod-id-file' && (args[index + 1] || '').match(/pod-([^/]+)\.pod-id$/);
+        if (pod && !container.pod) {
+          container.setPod(`${pod[1]}.pod`);
+        }
+        index++;
+      } else if (arg === '--cgroups' && args[index + 1] === 'no-conmon') {
+        index++;
+      } else {
+        kept.push(arg);
+      }
+    }
+
+    container.podmanArgs = kept.length > 0 ? joinArgs(kept) : null;
+  }
+}
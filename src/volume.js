@@ -0,0 +1,44 @@
+/**
+ * Volume class representing a Podman Quadlet volume configuration
+ * Based on the Rust quadlet::Volume struct
+ */
+
+import { validateLabel } from './label.js';
+
+export class Volume {
+  constructor() {
+    // Basic volume properties
+    this.volumeName = null;
+    this.driver = null;
+
+    // Options of the local driver (mount type, device and mount options)
+    this.type = null;
+    this.device = null;
+    this.options = null;
+
+    // Labels
+    this.label = [];
+
+    // Additional Podman arguments
+    this.podmanArgs = null;
+  }
+
+  /**
+   * Set the volume name with validation
+   */
+  setVolumeName(name) {
+    if (!name || typeof name !== 'string' || name.trim() === '') {
+      throw new Error('Volume name must be a non-empty string');
+    }
+    this.volumeName = name.trim();
+    return this;
+  }
+
+  /**
+   * Add a label with validation
+   */
+  addLabel(label) {
+    this.label.push(validateLabel(label));
+    return this;
+  }
+}
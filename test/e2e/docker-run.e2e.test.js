@@ -108,7 +108,7 @@ describe('Docker Run E2E Tests', () => {
       
       const result = podlet.dockerRunToQuadlet(command);
       
-      // Note: Network may not be preserved in composerize conversion
+      expect(result).toContain('Network=bridge');
       expect(result).toContain('HostName=web.local');
       expect(result).toContain('DNS=8.8.8.8');
     });
@@ -156,7 +156,7 @@ describe('Docker Run E2E Tests', () => {
       
       const result = podlet.dockerRunToQuadlet(command);
       
-      // Device options might not be preserved through composerize
+      expect(result).toContain('AddDevice=/dev/snd');
       expect(result).toContain('Tmpfs=/tmp:noexec,nosuid,size=100m');
     });
   });
@@ -441,7 +441,7 @@ describe('Docker Run E2E Tests', () => {
     it('should handle malformed docker run command', () => {
       const malformedCommand = 'docker run --invalid-flag nginx:alpine';
       
-      // Should expect it to throw since composerize may not handle invalid flags gracefully
+      // Unknown flags are rejected instead of being silently dropped
       expect(() => {
         podlet.dockerRunToQuadlet(malformedCommand);
       }).toThrow();
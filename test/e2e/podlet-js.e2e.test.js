@@ -167,7 +167,7 @@ volumes:
       const dbResult = QuadletGenerator.generateFile(services.database);
       expect(dbResult).toContain('Image=postgres:13');
       expect(dbResult).toContain('Environment=POSTGRES_DB=myapp');
-      expect(dbResult).toContain('Volume=db_data:/var/lib/postgresql/data');
+      expect(dbResult).toContain('Volume=db_data.volume:/var/lib/postgresql/data');
       expect(dbResult).toContain('Network=backend');
     });
   });
@@ -380,14 +380,14 @@ networks:
       expect(wpResult).toContain('Image=wordpress:latest');
       expect(wpResult).toContain('PublishPort=8080:80');
       expect(wpResult).toContain('Environment=WORDPRESS_DB_HOST=mysql');
-      expect(wpResult).toContain('Volume=wordpress_data:/var/www/html');
+      expect(wpResult).toContain('Volume=wordpress_data.volume:/var/www/html');
       expect(wpResult).toContain('Network=wordpress-network');
       
       // MySQL tests
       const mysqlResult = QuadletGenerator.generateFile(services.mysql);
       expect(mysqlResult).toContain('Image=mysql:8.0');
       expect(mysqlResult).toContain('Environment=MYSQL_DATABASE=wordpress');
-      expect(mysqlResult).toContain('Volume=mysql_data:/var/lib/mysql');
+      expect(mysqlResult).toContain('Volume=mysql_data.volume:/var/lib/mysql');
       expect(mysqlResult).toContain('Network=wordpress-network');
     });
   });
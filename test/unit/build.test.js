@@ -0,0 +1,38 @@
+import { Build } from '../../src/build.js';
+
+describe('Build', () => {
+  it('should add image tags', () => {
+    const b = new Build();
+    b.addImageTag('localhost/app');
+    b.addImageTag('localhost/app:v1');
+    expect(b.imageTag).toEqual(['localhost/app', 'localhost/app:v1']);
+  });
+
+  it('should add build arguments', () => {
+    const b = new Build();
+    b.addBuildArg('NODE_ENV=production');
+    expect(b.buildArg).toContain('NODE_ENV=production');
+    expect(() => b.addBuildArg('')).toThrow('Build argument must be a non-empty string');
+  });
+
+  it('should add labels with validation', () => {
+    const b = new Build();
+    b.addLabel('app=web');
+    expect(b.label).toContain('app=web');
+    expect(() => b.addLabel('invalid')).toThrow('Label must be in format "key=value"');
+  });
+
+  it('should require an image tag to validate', () => {
+    const b = new Build();
+    b.file = 'Containerfile';
+    expect(() => b.validate()).toThrow('Image tag is required');
+  });
+
+  it('should require a file or working directory to validate', () => {
+    const b = new Build();
+    b.addImageTag('localhost/app');
+    expect(() => b.validate()).toThrow('Build requires a file or a working directory');
+    b.setWorkingDirectory = './app';
+    expect(() => b.validate()).not.toThrow();
+  });
+});
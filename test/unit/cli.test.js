@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+import { main, parseArgs, outputDirectory } from '../../src/cli.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Collect everything written to a stream
+ */
+function createStream() {
+  return {
+    output: '',
+    write(chunk) {
+      this.output += chunk;
+    }
+  };
+}
+
+describe('cli', () => {
+  let stdout;
+  let stderr;
+  let tmpDir;
+
+  beforeEach(async () => {
+    stdout = createStream();
+    stderr = createStream();
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'podletjs-cli-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('parseArgs', () => {
+    it('should stop parsing options at the subcommand', () => {
+      const args = parseArgs(['--overwrite', 'docker', 'run', '-d', '--name', 'web', 'nginx']);
+      expect(args.overwrite).toBe(true);
+      expect(args.name).toBeUndefined();
+      expect(args._).toEqual(['docker', 'run', '-d', '--name', 'web', 'nginx']);
+    });
+
+    it('should not take the subcommand as the --file directory', () => {
+      const args = parseArgs(['-f', 'docker', 'run', 'nginx']);
+      expect(args.file).toBe('');
+      expect(args._).toEqual(['docker', 'run', 'nginx']);
+    });
+
+    it('should reject --file together with --unit-directory', () => {
+      expect(() => parseArgs(['-f', 'out', '-u', 'docker', 'run', 'nginx']))
+        .toThrow('--file and --unit-directory cannot be used together');
+    });
+  });
+
+  describe('outputDirectory', () => {
+    it('should use the rootful unit directory for root', () => {
+      expect(outputDirectory({ 'unit-directory': true }, { uid: 0 })).toBe('/etc/containers/systemd');
+    });
+
+    it('should use the rootless unit directory for other users', () => {
+      expect(outputDirectory({ 'unit-directory': true }, { uid: 1000, env: { HOME: '/home/me' } }))
+        .toBe('/home/me/.config/containers/systemd');
+      expect(outputDirectory({ 'unit-directory': true }, { uid: 1000, env: { XDG_CONFIG_HOME: '/cfg' } }))
+        .toBe('/cfg/containers/systemd');
+    });
+
+    it('should default --file to the current directory and stdout otherwise', () => {
+      expect(outputDirectory({ file: '' })).toBe('.');
+      expect(outputDirectory({ file: 'out' })).toBe('out');
+      expect(outputDirectory({})).toBeNull();
+    });
+  });
+
+  describe('main', () => {
+    it('should print a docker run conversion to stdout', async () => {
+      const code = await main(['-d', 'Web server', '-i', 'docker', 'run', '--name', 'web', '-p', '8080:80', '-e', 'GREETING=hello world', 'nginx:alpine'], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(stdout.output).toContain('Description=Web server');
+      expect(stdout.output).toContain('Image=nginx:alpine');
+      expect(stdout.output).toContain('PublishPort=8080:80');
+      expect(stdout.output).toContain('Environment="GREETING=hello world"');
+      expect(stdout.output).toContain('WantedBy=default.target');
+    });
+
+    it('should accept podman run commands', async () => {
+      const code = await main(['podman', 'run', '--name', 'db', '--restart', 'always', 'postgres:16'], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(stdout.output).toContain('Image=postgres:16');
+      expect(stdout.output).toContain('[Service]\nRestart=always\n');
+    });
+
+    it('should target the --podman-version', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const code = await main(['--podman-version', '4.4', 'docker', 'run', '--health-cmd', 'true', 'nginx'], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(stdout.output).toContain('PodmanArgs=--health-cmd true');
+      expect(stdout.output).not.toContain('HealthCmd=');
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('HealthCmd= requires Podman 4.5'));
+      warn.mockRestore();
+    });
+
+    it('should interpolate compose files with the environment and .env', async () => {
+      const composePath = path.join(tmpDir, 'compose.yml');
+      await fs.writeFile(composePath, 'services:\n  web:\n    image: nginx:${TAG}\n    ports:\n      - "${PORT}:80"\n');
+      await fs.writeFile(path.join(tmpDir, '.env'), 'TAG=alpine\nPORT=8080\n');
+
+      const code = await main(['compose', composePath], { stdout, stderr, env: { PORT: '9090' } });
+
+      expect(code).toBe(0);
+      expect(stdout.output).toContain('Image=nginx:alpine');
+      expect(stdout.output).toContain('PublishPort=9090:80');
+    });
+
+    it('should fail on settings that cannot be converted with --strict', async () => {
+      const composePath = path.join(tmpDir, 'compose.yml');
+      await fs.writeFile(composePath, 'services:\n  web:\n    image: nginx\n    links: [db]\n');
+
+      const code = await main(['--strict', 'compose', composePath], { stdout, stderr });
+
+      expect(code).toBe(1);
+      expect(stderr.output).toBe(`Error: Service 'web' uses unsupported feature 'links' - ignoring (${composePath} line 4, column 5)\n`);
+    });
+
+    it('should merge several compose files', async () => {
+      const basePath = path.join(tmpDir, 'compose.yml');
+      const overridePath = path.join(tmpDir, 'compose.prod.yml');
+      await fs.writeFile(basePath, 'services:\n  web:\n    image: nginx\n');
+      await fs.writeFile(overridePath, 'services:\n  web:\n    image: nginx:1.25\n');
+
+      const code = await main(['compose', basePath, overridePath], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(stdout.output).toContain('Image=nginx:1.25');
+    });
+
+    it('should print every compose file with a filename header', async () => {
+      const composePath = path.join(tmpDir, 'compose.yml');
+      await fs.writeFile(composePath, 'name: app\nservices:\n  web:\n    image: nginx\n  db:\n    image: postgres\n');
+
+      const code = await main(['compose', '--pod', composePath], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(stdout.output).toContain('# app.pod\n[Pod]');
+      expect(stdout.output).toContain('# app-web.container\n');
+      expect(stdout.output).toContain('# app-db.container\n');
+    });
+
+    it('should migrate podman generate systemd units', async () => {
+      const unitPath = path.join(tmpDir, 'container-web.service');
+      await fs.writeFile(unitPath, '[Service]\nExecStart=/usr/bin/podman run --cidfile=%t/%n.ctr-id -d --name web nginx\n');
+
+      const code = await main(['systemd', unitPath], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(stdout.output).toContain('ContainerName=web');
+      expect(stdout.output).not.toContain('cidfile');
+      expect(await main(['systemd'], { stdout, stderr })).toBe(1);
+      expect(stderr.output).toContain('The systemd command requires a service unit file');
+    });
+
+    it('should report the warnings of a systemd unit once', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const unitPath = path.join(tmpDir, 'web.service');
+      await fs.writeFile(unitPath, '[Service]\nExecStartPre=/usr/bin/docker network create web\nExecStart=/usr/bin/docker run --name web nginx\n');
+
+      const code = await main(['systemd', unitPath], { stdout, stderr });
+
+      expect(code).toBe(0);
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('ExecStartPre=/usr/bin/docker network create web on line 2 cannot be translated'));
+      warn.mockRestore();
+    });
+
+    it('should write files into the --file directory and guard existing files', async () => {
+      const outDir = path.join(tmpDir, 'units');
+
+      expect(await main(['--file', outDir, 'docker', 'run', '--name', 'web', 'nginx'], { stdout, stderr })).toBe(0);
+      expect(await fs.readFile(path.join(outDir, 'web.container'), 'utf8')).toContain('Image=nginx');
+
+      expect(await main(['--file', outDir, 'docker', 'run', '--name', 'web', 'nginx:alpine'], { stdout, stderr })).toBe(1);
+      expect(stderr.output).toContain('already exists, use --overwrite to replace it');
+
+      expect(await main(['--file', outDir, '--overwrite', 'docker', 'run', '--name', 'web', 'nginx:alpine'], { stdout, stderr })).toBe(0);
+      expect(await fs.readFile(path.join(outDir, 'web.container'), 'utf8')).toContain('Image=nginx:alpine');
+    });
+
+    it('should write into the unit directory', async () => {
+      const code = await main(['-u', 'docker', 'run', '--name', 'web', 'nginx'], {
+        stdout,
+        stderr,
+        uid: 1000,
+        env: { XDG_CONFIG_HOME: tmpDir }
+      });
+
+      expect(code).toBe(0);
+      expect(await fs.pathExists(path.join(tmpDir, 'containers', 'systemd', 'web.container'))).toBe(true);
+    });
+
+    it('should print usage and fail without a command', async () => {
+      expect(await main([], { stdout, stderr })).toBe(1);
+      expect(stdout.output).toContain('Usage: podletjs');
+      expect(await main(['--help'], { stdout, stderr })).toBe(0);
+    });
+
+    it('should report unknown commands', async () => {
+      expect(await main(['kubectl', 'apply'], { stdout, stderr })).toBe(1);
+      expect(stderr.output).toContain("Unknown command 'kubectl'");
+
+      expect(await main(['docker', 'build', '.'], { stdout, stderr })).toBe(1);
+      expect(stderr.output).toContain("Only 'docker run' is supported");
+    });
+  });
+});
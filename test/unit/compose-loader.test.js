@@ -0,0 +1,161 @@
+import { resolveComposeDocument } from '../../src/compose-loader.js';
+import { parseComposeDocument } from '../../src/compose-merge.js';
+import { ComposeSources } from '../../src/compose-source.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+describe('compose-loader', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'podletjs-loader-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  /**
+   * Resolve a compose document written as YAML in the temporary directory
+   */
+  function resolve(content, environment = {}) {
+    return resolveComposeDocument(parseComposeDocument(content), { workingDirectory: tmpDir, environment });
+  }
+
+  describe('extends', () => {
+    it('should inherit from a service in the same file', () => {
+      const compose = resolve(`
+services:
+  base:
+    image: node:20
+    environment:
+      NODE_ENV: production
+    ports: ["3000:3000"]
+  api:
+    extends: base
+    environment:
+      PORT: "3000"
+`);
+
+      expect(compose.services.api).toEqual({
+        image: 'node:20',
+        environment: { NODE_ENV: 'production', PORT: '3000' },
+        ports: ['3000:3000']
+      });
+    });
+
+    it('should inherit from a service in another file and rebase its paths', async () => {
+      await fs.ensureDir(path.join(tmpDir, 'common'));
+      await fs.writeFile(path.join(tmpDir, 'common', 'base.yml'), `
+services:
+  web:
+    build: ./app
+    env_file: web.env
+    volumes:
+      - ./html:/usr/share/nginx/html
+      - cache:/var/cache
+`);
+
+      const compose = resolve(`
+services:
+  frontend:
+    extends:
+      file: common/base.yml
+      service: web
+    ports: ["8080:80"]
+`);
+
+      expect(compose.services.frontend).toEqual({
+        build: './common/app',
+        env_file: ['./common/web.env'],
+        volumes: ['./common/html:/usr/share/nginx/html', 'cache:/var/cache'],
+        ports: ['8080:80']
+      });
+    });
+
+    it('should resolve chained extends', () => {
+      const compose = resolve(`
+services:
+  a:
+    image: alpine
+  b:
+    extends: a
+    user: "1000"
+  c:
+    extends:
+      service: b
+    command: [sleep, infinity]
+`);
+
+      expect(compose.services.c).toEqual({ image: 'alpine', user: '1000', command: ['sleep', 'infinity'] });
+    });
+
+    it('should reject unknown and circular extends', () => {
+      expect(() => resolve('services:\n  a:\n    extends: missing\n'))
+        .toThrow("Service 'a' extends unknown service 'missing'");
+      expect(() => resolve('services:\n  a:\n    extends: b\n  b:\n    extends: a\n'))
+        .toThrow("Circular extends for service 'a'");
+    });
+  });
+
+  describe('include', () => {
+    it('should add the resources of included projects with their paths rebased', async () => {
+      await fs.ensureDir(path.join(tmpDir, 'db'));
+      await fs.writeFile(path.join(tmpDir, 'db', 'compose.yml'), `
+services:
+  db:
+    image: postgres:16
+    volumes:
+      - ./init:/docker-entrypoint-initdb.d
+      - db_data:/var/lib/postgresql/data
+volumes:
+  db_data:
+`);
+
+      const compose = resolve(`
+include:
+  - \${DB_DIR}/compose.yml
+services:
+  web:
+    image: nginx
+`, { DB_DIR: 'db' });
+
+      expect(compose.include).toBeUndefined();
+      expect(Object.keys(compose.services)).toEqual(['web', 'db']);
+      expect(compose.services.db.volumes).toEqual([
+        './db/init:/docker-entrypoint-initdb.d',
+        'db_data:/var/lib/postgresql/data'
+      ]);
+      expect(compose.volumes).toEqual({ db_data: null });
+    });
+
+    it('should reject resources conflicting with the including file', async () => {
+      await fs.writeFile(path.join(tmpDir, 'other.yml'), 'services:\n  web:\n    image: httpd\n');
+
+      expect(() => resolve('include:\n  - path: other.yml\nservices:\n  web:\n    image: nginx\n'))
+        .toThrow('services.web from included file');
+    });
+
+    it('should reject circular includes', async () => {
+      await fs.writeFile(path.join(tmpDir, 'a.yml'), 'include: [b.yml]\n');
+      await fs.writeFile(path.join(tmpDir, 'b.yml'), 'include: [a.yml]\n');
+
+      expect(() => resolve('include: [a.yml]\n')).toThrow('Circular include of');
+    });
+
+    it('should record the source positions of included files', async () => {
+      const includedPath = path.join(tmpDir, 'db.yml');
+      await fs.writeFile(includedPath, 'services:\n  db:\n    image: postgres:16\n');
+      const sources = new ComposeSources();
+
+      resolveComposeDocument(parseComposeDocument('include: [db.yml]\n'), { workingDirectory: tmpDir, environment: {}, sources });
+
+      expect(sources.locate('services.db.image')).toEqual({ file: includedPath, line: 3, column: 5 });
+    });
+
+    it('should report missing included files', () => {
+      expect(() => resolve('include: [missing.yml]\n')).toThrow('does not exist');
+    });
+  });
+});
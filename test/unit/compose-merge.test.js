@@ -0,0 +1,108 @@
+import { parseComposeDocument, mergeComposeFiles, mergeCompose } from '../../src/compose-merge.js';
+
+/**
+ * Parse and merge compose documents written as YAML
+ */
+function merge(...contents) {
+  return mergeComposeFiles(contents.map(parseComposeDocument));
+}
+
+describe('compose-merge', () => {
+  describe('mergeCompose', () => {
+    it('should merge mappings recursively and override scalars', () => {
+      const merged = mergeCompose(
+        { name: 'app', services: { web: { image: 'nginx', restart: 'always' } } },
+        { name: 'prod', services: { web: { image: 'nginx:1.25' }, db: { image: 'postgres' } } }
+      );
+
+      expect(merged).toEqual({
+        name: 'prod',
+        services: {
+          web: { image: 'nginx:1.25', restart: 'always' },
+          db: { image: 'postgres' }
+        }
+      });
+    });
+  });
+
+  describe('mergeComposeFiles', () => {
+    it('should append ports and de-duplicate them', () => {
+      const merged = merge(
+        'services:\n  web:\n    ports: ["8080:80", "443:443"]\n',
+        'services:\n  web:\n    ports: ["8080:80", "127.0.0.1:9090:90/udp"]\n'
+      );
+
+      expect(merged.services.web.ports).toEqual(['8080:80', '443:443', '127.0.0.1:9090:90/udp']);
+    });
+
+    it('should replace volumes mounted on the same target', () => {
+      const merged = merge(
+        'services:\n  web:\n    volumes: ["./html:/usr/share/nginx/html:ro", "logs:/var/log"]\n',
+        'services:\n  web:\n    volumes: ["./dist:/usr/share/nginx/html", {type: tmpfs, target: /tmp}]\n'
+      );
+
+      expect(merged.services.web.volumes).toEqual([
+        './dist:/usr/share/nginx/html',
+        'logs:/var/log',
+        { type: 'tmpfs', target: '/tmp' }
+      ]);
+    });
+
+    it('should merge environment lists and mappings by key', () => {
+      const lists = merge(
+        'services:\n  web:\n    environment: ["A=1", "B=2"]\n',
+        'services:\n  web:\n    environment: ["B=3", "C=4"]\n'
+      );
+      expect(lists.services.web.environment).toEqual(['A=1', 'B=3', 'C=4']);
+
+      const mixed = merge(
+        'services:\n  web:\n    environment: ["A=1", "B=2"]\n',
+        'services:\n  web:\n    environment:\n      B: 3\n'
+      );
+      expect(mixed.services.web.environment).toEqual({ A: '1', B: 3 });
+    });
+
+    it('should replace command, entrypoint and healthcheck test', () => {
+      const merged = merge(
+        'services:\n  web:\n    command: [npm, start]\n    healthcheck:\n      test: [CMD, curl, localhost]\n      retries: 3\n',
+        'services:\n  web:\n    command: [npm, run, prod]\n    healthcheck:\n      test: [CMD, wget, localhost]\n'
+      );
+
+      expect(merged.services.web.command).toEqual(['npm', 'run', 'prod']);
+      expect(merged.services.web.healthcheck).toEqual({ test: ['CMD', 'wget', 'localhost'], retries: 3 });
+    });
+
+    it('should merge networks and depends_on given as lists and mappings', () => {
+      const merged = merge(
+        'services:\n  web:\n    networks: [front]\n    depends_on: [db]\n',
+        'services:\n  web:\n    networks:\n      back:\n        aliases: [api]\n    depends_on: [cache]\n'
+      );
+
+      expect(merged.services.web.networks).toEqual({ front: null, back: { aliases: ['api'] } });
+      expect(merged.services.web.depends_on).toEqual(['db', 'cache']);
+    });
+
+    it('should drop values tagged with !reset', () => {
+      const merged = merge(
+        'services:\n  web:\n    image: nginx\n    ports: ["8080:80"]\n    environment:\n      DEBUG: "1"\n',
+        'services:\n  web:\n    ports: !reset []\n    environment: !reset {}\n'
+      );
+
+      expect(merged.services.web).toEqual({ image: 'nginx' });
+    });
+
+    it('should replace values tagged with !override', () => {
+      const merged = merge(
+        'services:\n  web:\n    ports: ["8080:80"]\n    logging:\n      driver: journald\n      options:\n        tag: web\n',
+        'services:\n  web:\n    ports: !override ["9090:80"]\n    logging: !override\n      driver: k8s-file\n'
+      );
+
+      expect(merged.services.web.ports).toEqual(['9090:80']);
+      expect(merged.services.web.logging).toEqual({ driver: 'k8s-file' });
+    });
+
+    it('should return a single document unchanged', () => {
+      expect(merge('services:\n  web:\n    image: nginx\n')).toEqual({ services: { web: { image: 'nginx' } } });
+    });
+  });
+});
@@ -1,8 +1,14 @@
 import { ComposeParser } from '../../src/compose-parser.js';
 import { Container } from '../../src/container.js';
+import { Build } from '../../src/build.js';
+import { Volume } from '../../src/volume.js';
+import { Network } from '../../src/network.js';
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
+import { jest } from '@jest/globals';
+import { Diagnostics, ConversionError } from '../../src/diagnostics.js';
+import { ComposeError, ComposeValidationError } from '../../src/compose-source.js';
 
 const minimalCompose = `
 version: '3'
@@ -37,6 +43,19 @@ describe('ComposeParser', () => {
     expect(web.label).toContain('app=web');
   });
 
+  it('parses the project name with parseProject', () => {
+    const project = parser.parseProject(`
+name: myproject
+services:
+  web:
+    image: nginx
+`);
+    expect(project.name).toBe('myproject');
+    expect(project.containers.web).toBeInstanceOf(Container);
+
+    expect(parser.parseProject(minimalCompose).name).toBeNull();
+  });
+
   it('throws on missing services', () => {
     const badYaml = `version: '3'`;
     expect(() => parser.parse(badYaml)).toThrow('Compose file must contain at least one service');
@@ -65,6 +84,66 @@ services:
     expect(containers.builder.image).toBe('builder.build');
   });
 
+  it('parses a full build section into a Build object', () => {
+    const yaml = `
+version: '3'
+services:
+  app:
+    image: registry.example.com/app:1.0
+    build:
+      context: ./app
+      dockerfile: Dockerfile.prod
+      target: runtime
+      args:
+        NODE_ENV: production
+      labels:
+        - team=web
+      pull: true
+`;
+    const containers = parser.parse(yaml, { workingDirectory: '/srv/project' });
+    const build = containers.app._build;
+    expect(containers.app.image).toBe('app.build');
+    expect(build).toBeInstanceOf(Build);
+    expect(build.imageTag).toEqual(['registry.example.com/app:1.0']);
+    expect(build.setWorkingDirectory).toBe('/srv/project/app');
+    expect(build.file).toBe('Dockerfile.prod');
+    expect(build.target).toBe('runtime');
+    expect(build.buildArg).toContain('NODE_ENV=production');
+    expect(build.label).toContain('team=web');
+    expect(build.pull).toBe('always');
+  });
+
+  it('tags built images after the service when no image is given', () => {
+    const yaml = `
+version: '3'
+services:
+  builder:
+    build: ./src
+`;
+    const containers = parser.parse(yaml, { workingDirectory: '/srv/project' });
+    expect(containers.builder._build.imageTag).toEqual(['localhost/builder']);
+    expect(containers.builder._build.setWorkingDirectory).toBe('/srv/project/src');
+  });
+
+  it('resolves build contexts against the working directory and keeps remote contexts', () => {
+    const yaml = `
+services:
+  local:
+    build: .
+  remote:
+    build:
+      context: https://github.com/example/app.git#main
+      dockerfile_inline: FROM alpine
+`;
+    const onDiagnostic = jest.fn();
+    const containers = parser.parse(yaml, { workingDirectory: '/srv/project', onDiagnostic });
+    expect(containers.local._build.setWorkingDirectory).toBe('/srv/project');
+    expect(containers.remote._build.setWorkingDirectory).toBe('https://github.com/example/app.git#main');
+    expect(onDiagnostic).toHaveBeenCalledWith(expect.objectContaining({
+      message: "Service 'remote' uses unsupported feature 'build.dockerfile_inline' - ignoring"
+    }));
+  });
+
   it('parses array and object environment', () => {
     const yaml = `
 version: '3'
@@ -108,6 +187,44 @@ services:
     expect(containers.web.publishPort).toContain('8080:80');
   });
 
+  it('parses ports with host addresses, IPv6 brackets and ranges', () => {
+    const containers = parser.parse(`services:
+  web:
+    image: nginx
+    ports:
+      - "127.0.0.1:8080:80"
+      - "8000-8010:8000-8010"
+      - "[::1]:53:53/udp"
+      - "9090-9091:8080-8081"
+      - 3000
+      - target: 443
+        published: "8443"
+        host_ip: 127.0.0.1
+        mode: host
+      - target: 5353
+        host_ip: "::1"
+        protocol: udp
+        mode: ingress
+      - target: 9000
+        published: 9000-9001
+`);
+    expect(containers.web.publishPort).toEqual([
+      '127.0.0.1:8080:80',
+      '8000-8010:8000-8010',
+      '[::1]:53:53/udp',
+      '9090-9091:8080-8081',
+      '3000',
+      '127.0.0.1:8443:443',
+      '[::1]::5353/udp',
+      '9000-9001:9000'
+    ]);
+  });
+
+  it('rejects long form ports without a target', () => {
+    expect(() => parser.parse('services:\n  web:\n    image: nginx\n    ports:\n      - published: 8080\n'))
+      .toThrow('services.web.ports[0]: Port in long form must have a target');
+  });
+
   it('parses volumes in long form', () => {
     const yaml = `
 version: '3'
@@ -124,6 +241,163 @@ services:
     expect(containers.web.volume).toContain('./src:/app:ro');
   });
 
+  it('parses top-level volumes into Volume objects', () => {
+    const project = parser.parseProject(`
+version: '3'
+services:
+  db:
+    image: postgres
+    volumes:
+      - db_data:/var/lib/postgresql/data
+      - cache:/cache:ro
+      - shared:/shared
+      - ./conf:/etc/conf
+      - type: volume
+        source: cache
+        target: /other
+volumes:
+  db_data:
+  cache:
+    name: app-cache
+    driver: local
+    driver_opts:
+      type: tmpfs
+      device: tmpfs
+      o: size=100m
+      copy: nocopy
+    labels:
+      backup: never
+  shared:
+    external: true
+    name: team-shared
+`, { workingDirectory: '/srv/shop' });
+    expect(Object.keys(project.volumes)).toEqual(['db_data', 'cache']);
+    expect(project.volumes.db_data).toBeInstanceOf(Volume);
+    expect(project.volumes.db_data.volumeName).toBe('shop_db_data');
+
+    const cache = project.volumes.cache;
+    expect(cache.volumeName).toBe('app-cache');
+    expect(cache.driver).toBe('local');
+    expect(cache.type).toBe('tmpfs');
+    expect(cache.device).toBe('tmpfs');
+    expect(cache.options).toBe('size=100m');
+    expect(cache.podmanArgs).toBe('--opt copy=nocopy');
+    expect(cache.label).toContain('backup=never');
+
+    expect(project.containers.db.volume).toEqual([
+      'db_data.volume:/var/lib/postgresql/data',
+      'cache.volume:/cache:ro',
+      'team-shared:/shared',
+      './conf:/etc/conf',
+      'cache.volume:/other'
+    ]);
+  });
+
+  it('parses top-level networks into Network objects', () => {
+    const project = parser.parseProject(`
+version: '3'
+services:
+  web:
+    image: nginx
+    networks:
+      frontend:
+        ipv4_address: 10.5.0.10
+        aliases:
+          - www
+      outside: {}
+networks:
+  frontend:
+    driver: bridge
+    driver_opts:
+      com.docker.network.bridge.name: br-front
+    ipam:
+      driver: default
+      config:
+        - subnet: 10.5.0.0/24
+          gateway: 10.5.0.1
+          ip_range: 10.5.0.128/25
+    internal: true
+    enable_ipv6: true
+    labels:
+      tier: frontend
+  outside:
+    external: true
+    name: host-bridge
+`, { workingDirectory: '/srv/shop' });
+    expect(Object.keys(project.networks)).toEqual(['frontend']);
+
+    const frontend = project.networks.frontend;
+    expect(frontend).toBeInstanceOf(Network);
+    expect(frontend.driver).toBe('bridge');
+    expect(frontend.options).toEqual(['com.docker.network.bridge.name=br-front']);
+    expect(frontend.ipamDriver).toBeNull();
+    expect(frontend.subnet).toEqual(['10.5.0.0/24']);
+    expect(frontend.gateway).toEqual(['10.5.0.1']);
+    expect(frontend.ipRange).toEqual(['10.5.0.128/25']);
+    expect(frontend.internal).toBe(true);
+    expect(frontend.ipv6).toBe(true);
+    expect(frontend.label).toContain('tier=frontend');
+    expect(frontend.networkName).toBe('shop_frontend');
+
+    expect(project.containers.web.network).toEqual(['frontend.network:ip=10.5.0.10', 'host-bridge']);
+    expect(project.containers.web.networkAlias).toContain('www');
+  });
+
+  it('creates the implicit default network for services without networks', () => {
+    const project = parser.parseProject(`
+name: shop
+services:
+  web:
+    image: nginx
+  api:
+    image: node
+    networks:
+      - backend
+  host:
+    image: busybox
+    network_mode: host
+networks:
+  backend:
+`);
+    expect(Object.keys(project.networks)).toEqual(['backend', 'shop_default']);
+    expect(project.networks.shop_default.networkName).toBe('shop_default');
+    expect(project.containers.web.network).toEqual(['shop_default.network']);
+    expect(project.containers.api.network).toEqual(['backend.network']);
+    expect(project.containers.host.network).toEqual([]);
+  });
+
+  it('names the declared networks after the project unless they give a name', () => {
+    const project = parser.parseProject(`
+services:
+  web:
+    image: nginx
+    networks:
+      - frontend
+      - backend
+networks:
+  frontend:
+  backend:
+    name: shared-backend
+`, { workingDirectory: '/srv/shop' });
+    expect(project.networks.frontend.networkName).toBe('shop_frontend');
+    expect(project.networks.backend.networkName).toBe('shared-backend');
+    expect(project.containers.web.network).toEqual(['frontend.network', 'backend.network']);
+  });
+
+  it('uses a top-level default network definition', () => {
+    const project = parser.parseProject(`
+services:
+  web:
+    image: nginx
+networks:
+  default:
+    driver: macvlan
+`, { workingDirectory: '/srv/shop' });
+    expect(project.networks.shop_default.driver).toBe('macvlan');
+    expect(project.networks.shop_default.networkName).toBe('shop_default');
+    expect(project.containers.web.network).toEqual(['shop_default.network']);
+  });
+
   it('parses labels as array and object', () => {
     const yamlArr = `
 version: '3'
@@ -228,6 +502,19 @@ services:
     expect(containersStr.web.entrypoint).toBe('sh -c');
   });
 
+  it('quotes command and entrypoint arguments containing spaces', () => {
+    const yaml = `
+services:
+  web:
+    image: nginx
+    command: ["nginx", "-g", "daemon off;"]
+    entrypoint: ["/bin/sh", "-c", "echo 'ready' && exec nginx"]
+`;
+    const containers = parser.parse(yaml);
+    expect(containers.web.exec).toBe('nginx -g "daemon off;"');
+    expect(containers.web.entrypoint).toBe('/bin/sh -c "echo \'ready\' && exec nginx"');
+  });
+
   it('parses env_file', () => {
     const yaml = `
 version: '3'
@@ -703,6 +990,322 @@ services:
     expect(containers.web.noNewPrivileges).toBe(true);
   });
 
+  it('interpolates variables from the environment option', () => {
+    const yaml = `
+services:
+  web:
+    image: nginx:\${TAG:-latest}
+    ports:
+      - "\${PORT}:80"
+    environment:
+      - GREETING=$$HOME is $HOME
+`;
+    const containers = parser.parse(yaml, { environment: { PORT: '8080', HOME: '/root' } });
+    expect(containers.web.image).toBe('nginx:latest');
+    expect(containers.web.publishPort).toContain('8080:80');
+    expect(containers.web.environment).toContain('GREETING=$HOME is /root');
+  });
+
+  it('throws for missing required variables', () => {
+    const yaml = `
+services:
+  db:
+    image: postgres
+    environment:
+      POSTGRES_PASSWORD: \${DB_PASS:?set DB_PASS}
+`;
+    expect(() => parser.parse(yaml, { environment: {} }))
+      .toThrow('services.db.environment.POSTGRES_PASSWORD: Required variable DB_PASS is missing a value: set DB_PASS');
+  });
+
+  it('merges a list of compose contents in order', () => {
+    const base = `
+services:
+  web:
+    image: nginx
+    ports:
+      - "8080:80"
+`;
+    const override = `
+services:
+  web:
+    image: nginx:1.25
+    ports:
+      - "8443:443"
+`;
+    const containers = parser.parse([base, override]);
+    expect(containers.web.image).toBe('nginx:1.25');
+    expect(containers.web.publishPort).toEqual(['8080:80', '8443:443']);
+  });
+
+  it('throws when one of the merged contents is not a mapping', () => {
+    expect(() => parser.parse([minimalCompose, ''])).toThrow('Invalid compose file format');
+  });
+
+  describe('diagnostics', () => {
+    const composeWithExtras = `
+x-common: &common
+  restart: always
+services:
+  web:
+    image: nginx
+    links: [db]
+    sysctls:
+      net.core.somaxconn: 1024
+    oom_kill_disable: false
+    x-tool: enabled
+    deploy:
+      replicas: 2
+      resources:
+        limits:
+          memory: 512m
+  db:
+    image: postgres:\${PG_VERSION}
+`;
+
+    it('reports every ignored key with its compose path', () => {
+      const diagnostics = new Diagnostics({ onDiagnostic: () => {} });
+      parser.parseProject(composeWithExtras, { environment: {}, diagnostics });
+
+      expect(diagnostics.list.map(({ code, service, path, lossy }) => ({ code, service, path, lossy }))).toEqual([
+        { code: 'unset-variable', service: 'db', path: 'services.db.image', lossy: false },
+        { code: 'unsupported-feature', service: 'web', path: 'services.web.links', lossy: true },
+        { code: 'unsupported-feature', service: 'web', path: 'services.web.sysctls', lossy: true },
+        { code: 'unsupported-feature', service: 'web', path: 'services.web.deploy.replicas', lossy: true },
+        { code: 'unsupported-feature', service: 'web', path: 'services.web.deploy.resources', lossy: true }
+      ]);
+      expect(diagnostics.list[4].message).toBe("Service 'web' uses unsupported feature 'deploy.resources' - ignoring");
+    });
+
+    it('reports unknown top-level keys', () => {
+      const onDiagnostic = jest.fn();
+      parser.parseProject('services:\n  web:\n    image: nginx\nmodels:\n  llm: {}\n', { onDiagnostic });
+
+      expect(onDiagnostic).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'unsupported-feature',
+        path: 'models',
+        message: "Compose key 'models' is not supported - ignoring"
+      }));
+    });
+
+    it('throws on ignored keys in strict mode', () => {
+      expect(() => parser.parse(composeWithExtras, { environment: { PG_VERSION: '16' }, strict: true }))
+        .toThrow(ConversionError);
+      expect(() => parser.parse(composeWithExtras, { environment: { PG_VERSION: '16' }, strict: true }))
+        .toThrow("Service 'web' uses unsupported feature 'links' - ignoring");
+      expect(() => parser.parse(minimalCompose, { strict: true })).not.toThrow();
+    });
+  });
+
+  describe('coverage', () => {
+    it('lists per service the native, PodmanArgs and dropped keys', () => {
+      const yaml = `
+services:
+  web:
+    image: nginx
+    ports: ["8080:80"]
+    privileged: true
+    security_opt:
+      - no-new-privileges:true
+      - seccomp=unconfined
+    extra_hosts: ["db:10.0.0.2"]
+    sysctls:
+      net.core.somaxconn: 1024
+    read_only: false
+    x-tool: enabled
+    deploy:
+      resources:
+        limits:
+          memory: 512m
+  db:
+    image: postgres
+    restart: always
+    stop_grace_period: 30s
+`;
+      const { coverage } = parser.parseProject(yaml, { onDiagnostic: () => {} });
+
+      expect(coverage).toEqual({
+        web: {
+          native: ['image', 'ports', 'security_opt'],
+          podmanArgs: ['privileged', 'security_opt'],
+          dropped: ['extra_hosts', 'sysctls', 'deploy.resources']
+        },
+        db: {
+          native: ['image', 'restart'],
+          podmanArgs: [],
+          dropped: ['stop_grace_period']
+        }
+      });
+    });
+
+    it('lists the dropped settings of translated keys', () => {
+      const yaml = `
+services:
+  web:
+    build:
+      context: /srv/web
+      dockerfile_inline: FROM nginx
+    ports:
+      - "8443:443"
+      - { target: 80, published: 8080, app_protocol: http, mode: ingress }
+    networks:
+      front: { priority: 10, aliases: [www] }
+    depends_on:
+      db: { condition: service_healthy, restart: true }
+    healthcheck:
+      test: ["CMD", "true"]
+      start_interval: 5s
+  db:
+    image: postgres
+networks:
+  front:
+`;
+      const onDiagnostic = jest.fn();
+      const { coverage } = parser.parseProject(yaml, { onDiagnostic });
+
+      expect(coverage.web).toEqual({
+        native: ['build', 'ports', 'networks', 'depends_on', 'healthcheck'],
+        podmanArgs: [],
+        dropped: [
+          'build.dockerfile_inline', 'ports[1].app_protocol', 'ports[1].mode', 'networks.front.priority',
+          'depends_on.db.condition', 'depends_on.db.restart', 'healthcheck.start_interval'
+        ]
+      });
+      expect(onDiagnostic).toHaveBeenCalledWith(expect.objectContaining({
+        message: "Service 'web' uses unsupported feature 'healthcheck.start_interval' - ignoring",
+        path: 'services.web.healthcheck.start_interval'
+      }));
+    });
+  });
+
+  describe('source positions', () => {
+    it('locates errors by compose path, file, line and column', () => {
+      const override = `services:
+  web:
+    ports:
+      - "8443:443"
+      - "not a port"
+`;
+      expect(() => parser.parse(override.replace('    ports:', '    image: nginx\n    ports:'), { files: ['compose.yml'] }))
+        .toThrow(/^services\.web\.ports\[1\]: Port must be in format .* \(compose\.yml line 6, column 9\)$/);
+
+      // Merged lists are located at the key of the last file defining them
+      expect(() => parser.parse([minimalCompose, override], { files: ['compose.yml', 'compose.prod.yml'] }))
+        .toThrow(/^services\.web\.ports\[2\]: Port must be in format .* \(compose\.prod\.yml line 3, column 5\)$/);
+
+      expect(() => parser.parse('services:\n  web:\n    ports: ["80"]\n', { files: ['compose.yml'] }))
+        .toThrow("services.web: Service 'web' must have either 'image' or 'build' (compose.yml line 2, column 3)");
+    });
+
+    it('locates YAML syntax and interpolation errors', () => {
+      let error;
+      try {
+        parser.parse('services:\n  web:\n    image: [nginx\n    ports: []\n', { files: ['compose.yml'] });
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error).toBeInstanceOf(ComposeError);
+      expect(error.message).toMatch(/^Invalid YAML: .* \(compose\.yml line \d+, column \d+\)$/);
+
+      expect(() => parser.parse('services:\n  db:\n    image: postgres:${PG_VERSION:?required}\n', { environment: {} }))
+        .toThrow('services.db.image: Required variable PG_VERSION is missing a value: required (line 3, column 5)');
+    });
+  });
+
+  describe('validation errors', () => {
+    /**
+     * Parse a compose content expected to be invalid, returning the thrown error
+     */
+    const parseError = (content, options = {}) => {
+      try {
+        parser.parse(content, options);
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected the compose content to be invalid');
+    };
+
+    it('collects the errors of all services', () => {
+      const error = parseError(`services:
+  web:
+    image: nginx
+    ports:
+      - "80:80"
+      - "99999:80"
+      - "not a port"
+    environment:
+      - NODE_ENV=production
+      - DEBUG
+    labels:
+      - tier
+  api:
+    image: node:20
+    container_name: "my api"
+    restart: sometimes
+  worker:
+    command: run
+`, { files: ['compose.yml'] });
+
+      expect(error).toBeInstanceOf(ComposeValidationError);
+      expect(error.errors.map(composeError => composeError.path)).toEqual([
+        'services.web.ports[1]',
+        'services.web.ports[2]',
+        'services.web.environment[1]',
+        'services.web.labels[0]',
+        'services.api.container_name',
+        'services.api.restart',
+        'services.worker'
+      ]);
+      expect(error.errors[0].message).toBe('services.web.ports[1]: Port 99999 is out of valid range (1-65535) (compose.yml line 6, column 9)');
+      expect(error.errors[5].reason)
+        .toBe('Restart policy must be "no", "always", "on-failure[:max-retries]" or "unless-stopped", got \'sometimes\'');
+      expect(error.message).toMatch(/^Compose project has 7 errors:\n {2}services\.web\.ports\[1\]: /);
+    });
+
+    it('accepts the restart policies of compose', () => {
+      const containers = parser.parse('services:\n  web:\n    image: nginx\n    restart: "on-failure:3"\n  db:\n    image: postgres\n    restart: "no"\n');
+
+      expect(containers.web._restart).toBe('on-failure:3');
+      expect(containers.db._restart).toBe('no');
+    });
+
+    it('reports dependency cycles', () => {
+      const error = parseError(`services:
+  web:
+    image: nginx
+    depends_on: [api]
+  api:
+    image: node:20
+    depends_on:
+      db: { condition: service_started }
+  db:
+    image: postgres
+    depends_on: [web]
+  cache:
+    image: redis
+    depends_on: [cache]
+`);
+
+      expect(error.errors.map(composeError => composeError.message)).toEqual([
+        'services.web.depends_on: Dependency cycle: web -> api -> db -> web (line 4, column 5)',
+        'services.cache.depends_on: Dependency cycle: cache -> cache (line 14, column 5)'
+      ]);
+    });
+
+    it('warns about dependencies outside the project', () => {
+      const diagnostics = new Diagnostics({ onDiagnostic: () => {} });
+      const containers = parser.parse('services:\n  web:\n    image: nginx\n    depends_on:\n      - db\n', { diagnostics });
+
+      expect(containers.web._dependsOn).toEqual(['db']);
+      expect(diagnostics.list).toEqual([expect.objectContaining({
+        code: 'undefined-dependency',
+        message: "Service 'web' depends on undefined service 'db'",
+        path: 'services.web.depends_on[0]',
+        lossy: false
+      })]);
+    });
+  });
+
   describe('parseFile', () => {
     let tmpDir;
     beforeEach(async () => {
@@ -723,6 +1326,36 @@ services:
       expect(web.image).toBe('nginx:latest');
     });
 
+    it('should interpolate variables from the .env file next to the compose file', async () => {
+      const composePath = path.join(tmpDir, 'docker-compose.yml');
+      await fs.writeFile(composePath, 'services:\n  web:\n    image: nginx:${TAG}\n');
+      await fs.writeFile(path.join(tmpDir, '.env'), 'TAG=1.25\n');
+
+      const containers = await parser.parseFile(composePath, { environment: {} });
+      expect(containers.web.image).toBe('nginx:1.25');
+    });
+
+    it('should merge several files with parseFiles', async () => {
+      const basePath = path.join(tmpDir, 'docker-compose.yml');
+      const overridePath = path.join(tmpDir, 'docker-compose.override.yml');
+      await fs.writeFile(basePath, minimalCompose);
+      await fs.writeFile(overridePath, 'services:\n  web:\n    ports: !reset []\n');
+
+      const containers = await parser.parseFiles([basePath, overridePath]);
+      expect(containers.web.image).toBe('nginx:latest');
+      expect(containers.web.publishPort).toEqual([]);
+    });
+
+    it('should resolve extends against the directory of the compose file', async () => {
+      const composePath = path.join(tmpDir, 'docker-compose.yml');
+      await fs.writeFile(path.join(tmpDir, 'common.yml'), 'services:\n  base:\n    image: node:20\n    working_dir: /app\n');
+      await fs.writeFile(composePath, 'services:\n  api:\n    extends:\n      file: common.yml\n      service: base\n');
+
+      const containers = await parser.parseFile(composePath, { environment: {} });
+      expect(containers.api.image).toBe('node:20');
+      expect(containers.api.workingDir).toBe('/app');
+    });
+
     it('should throw an error if the file does not exist', async () => {
       const nonExistentPath = path.join(tmpDir, 'non-existent-file.yml');
       await expect(parser.parseFile(nonExistentPath)).rejects.toThrow();
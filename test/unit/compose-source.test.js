@@ -0,0 +1,109 @@
+import yaml from 'yaml';
+import { ComposeError, ComposeSources, ComposeValidationError, atComposePath } from '../../src/compose-source.js';
+
+const COMPOSE = `services:
+  web:
+    image: nginx
+    ports:
+      - "8080:80"
+      - target: 443
+        published: 8443
+`;
+
+/**
+ * Record the positions of a YAML content
+ */
+function record(sources, content, file) {
+  const lineCounter = new yaml.LineCounter();
+  sources.add(yaml.parseDocument(content, { lineCounter }), lineCounter, file);
+}
+
+describe('ComposeSources', () => {
+  let sources;
+
+  beforeEach(() => {
+    sources = new ComposeSources();
+    record(sources, COMPOSE, 'compose.yml');
+  });
+
+  describe('locate', () => {
+    it('should locate keys and sequence items', () => {
+      expect(sources.locate('services.web')).toEqual({ file: 'compose.yml', line: 2, column: 3 });
+      expect(sources.locate('services.web.ports[0]')).toEqual({ file: 'compose.yml', line: 5, column: 9 });
+      expect(sources.locate('services.web.ports[1].published')).toEqual({ file: 'compose.yml', line: 7, column: 9 });
+    });
+
+    it('should fall back to the closest parent with a position', () => {
+      expect(sources.locate('services.web.ports[5]')).toEqual({ file: 'compose.yml', line: 4, column: 5 });
+      expect(sources.locate('services.web.deploy.resources')).toEqual({ file: 'compose.yml', line: 2, column: 3 });
+      expect(sources.locate('volumes')).toBeNull();
+    });
+
+    it('should prefer the positions of later documents', () => {
+      record(sources, 'services:\n  web:\n    image: nginx:1.25\n', 'compose.prod.yml');
+
+      expect(sources.locate('services.web.image')).toEqual({ file: 'compose.prod.yml', line: 3, column: 5 });
+      expect(sources.locate('services.web.ports')).toEqual({ file: 'compose.yml', line: 4, column: 5 });
+    });
+  });
+
+  describe('locateError', () => {
+    it('should add the position of the compose path to compose errors', () => {
+      const error = sources.locateError(new ComposeError('Port must be in format "host:container"', { path: 'services.web.ports[0]' }));
+
+      expect(error).toBeInstanceOf(ComposeError);
+      expect(error.message).toBe('services.web.ports[0]: Port must be in format "host:container" (compose.yml line 5, column 9)');
+      expect(error).toMatchObject({ path: 'services.web.ports[0]', file: 'compose.yml', line: 5, column: 9 });
+    });
+
+    it('should leave other errors as they are', () => {
+      const error = new Error('Circular include of a.yml');
+
+      expect(sources.locateError(error)).toBe(error);
+    });
+  });
+});
+
+describe('atComposePath', () => {
+  it('should turn the errors of a parsing step into compose errors at the path', () => {
+    expect(atComposePath('services.web.image', () => 'nginx')).toBe('nginx');
+    expect(() => atComposePath('services.web.image', () => {
+      throw new Error('Image must be a non-empty string');
+    })).toThrow(new ComposeError('Image must be a non-empty string', { path: 'services.web.image' }));
+  });
+
+  it('should keep the path of nested compose errors', () => {
+    expect(() => atComposePath('services.web', () => atComposePath('services.web.ports[1]', () => {
+      throw new Error('Invalid port');
+    }))).toThrow('services.web.ports[1]: Invalid port');
+  });
+
+  it('should add the errors to a given list instead of throwing them', () => {
+    const errors = [];
+
+    expect(atComposePath('services.web.image', () => {
+      throw new Error('Image must be a non-empty string');
+    }, errors)).toBeUndefined();
+    expect(atComposePath('services.web.user', () => 'nobody', errors)).toBe('nobody');
+    expect(errors.map(error => error.message)).toEqual(['services.web.image: Image must be a non-empty string']);
+  });
+});
+
+describe('ComposeValidationError', () => {
+  it('should list every error in its message', () => {
+    const port = new ComposeError('Invalid port', { path: 'services.web.ports[0]' });
+    const restart = new ComposeError('Unknown restart policy', { path: 'services.db.restart', line: 9, column: 5 });
+    const error = new ComposeValidationError([port, restart]);
+
+    expect(error).toBeInstanceOf(AggregateError);
+    expect(error.errors).toEqual([port, restart]);
+    expect(error.message).toBe('Compose project has 2 errors:\n' +
+      '  services.web.ports[0]: Invalid port\n' +
+      '  services.db.restart: Unknown restart policy (line 9, column 5)');
+  });
+
+  it('should keep the message of a single error', () => {
+    expect(new ComposeValidationError([new ComposeError('Invalid port', { path: 'services.web.ports[0]' })]).message)
+      .toBe('services.web.ports[0]: Invalid port');
+  });
+});
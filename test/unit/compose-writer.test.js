@@ -0,0 +1,210 @@
+import yaml from 'yaml';
+import { ComposeWriter } from '../../src/compose-writer.js';
+import { ComposeParser } from '../../src/compose-parser.js';
+import { Container } from '../../src/container.js';
+import { Build } from '../../src/build.js';
+
+describe('ComposeWriter', () => {
+  let writer;
+  let container;
+
+  beforeEach(() => {
+    writer = new ComposeWriter();
+    container = new Container().setImage('nginx:alpine').setContainerName('web');
+  });
+
+  describe('toCompose', () => {
+    it('should name services after a map key or the container name', () => {
+      const db = new Container().setImage('postgres:16');
+
+      expect(Object.keys(writer.toCompose({ frontend: container }).services)).toEqual(['frontend']);
+      expect(Object.keys(writer.toCompose([container, db]).services)).toEqual(['web', 'postgres']);
+      expect(writer.toCompose(container, { name: 'app' }).name).toBe('app');
+      expect(() => writer.toCompose([container, container])).toThrow("Duplicate service name 'web'");
+    });
+
+    it('should write the service fields in compose form', () => {
+      container.addPublishPort('8080:80').addEnvironment('NODE_ENV=production').addLabel('app=web');
+      container.setExec('nginx -g "daemon off;"');
+      container.addHost.push('db.local:10.0.0.5');
+      container.user = '1000';
+      container.group = '1000';
+      container.addCapability.push('NET_ADMIN');
+      container.noNewPrivileges = true;
+      container.sysctl.push('net.core.somaxconn=1024');
+      container.ulimit.push('nofile=1024:2048', 'nproc=512');
+      container.logDriver = 'journald';
+      container.logOpt.push('tag=web');
+      container.stopTimeout = '30';
+      container._restart = 'always';
+      container._dependsOn = ['db'];
+
+      expect(writer.toCompose(container).services.web).toEqual({
+        image: 'nginx:alpine',
+        command: ['nginx', '-g', 'daemon off;'],
+        ports: ['8080:80'],
+        extra_hosts: ['db.local:10.0.0.5'],
+        environment: { NODE_ENV: 'production' },
+        labels: { app: 'web' },
+        user: '1000:1000',
+        cap_add: ['NET_ADMIN'],
+        security_opt: ['no-new-privileges:true'],
+        stop_grace_period: '30s',
+        restart: 'always',
+        sysctls: { 'net.core.somaxconn': '1024' },
+        ulimits: { nofile: { soft: 1024, hard: 2048 }, nproc: 512 },
+        logging: { driver: 'journald', options: { tag: 'web' } },
+        depends_on: ['db']
+      });
+    });
+
+    it('should declare the networks and volumes of generated units', () => {
+      container.network.push('backend.network:ip=10.0.0.2');
+      container.networkAlias.push('api');
+      container.addVolume('data.volume:/data:Z').addVolume('./html:/usr/share/nginx/html:ro');
+      container.mount.push('type=bind,source=/srv,destination=/srv,ro=true', 'type=image,source=alpine,target=/img');
+
+      const compose = writer.toCompose(container);
+
+      expect(compose.services.web.networks).toEqual({ backend: { ipv4_address: '10.0.0.2', aliases: ['api'] } });
+      expect(compose.services.web.volumes).toEqual([
+        'data:/data:Z',
+        './html:/usr/share/nginx/html:ro',
+        { type: 'bind', source: '/srv', target: '/srv', read_only: true }
+      ]);
+      expect(compose.services.web['x-podman']).toEqual({ mounts: ['type=image,source=alpine,target=/img'] });
+      expect(compose.networks).toEqual({ backend: {} });
+      expect(compose.volumes).toEqual({ data: {} });
+    });
+
+    it('should write network modes and plain network lists', () => {
+      container.network.push('host');
+      expect(writer.toCompose(container).services.web.network_mode).toBe('host');
+
+      const other = new Container().setImage('alpine');
+      other.network.push('default.network', 'proxy');
+      const compose = writer.toCompose(other);
+      expect(compose.services.alpine.networks).toEqual(['default', 'proxy']);
+      expect(compose.networks).toBeUndefined();
+    });
+
+    it('should write health checks', () => {
+      container.healthCmd = 'curl -f http://localhost';
+      container.healthInterval = '30s';
+      container.healthRetries = '3';
+      expect(writer.toCompose(container).services.web.healthcheck)
+        .toEqual({ test: 'curl -f http://localhost', interval: '30s', retries: 3 });
+
+      container.healthCmd = 'none';
+      expect(writer.toCompose(container).services.web.healthcheck).toEqual({ disable: true });
+    });
+
+    it('should write .build units as build sections', () => {
+      const build = new Build().addImageTag('localhost/app').addBuildArg('VERSION=1.0');
+      build.setWorkingDirectory = './app';
+      build.file = 'Containerfile';
+      const app = new Container().setImage('app.build').setContainerName('app');
+      app._build = build;
+
+      expect(writer.toCompose(app).services.app).toEqual({
+        build: { context: './app', dockerfile: 'Containerfile', args: { VERSION: '1.0' } }
+      });
+    });
+
+    it('should map PodmanArgs flags and keep the rest under x-podman', () => {
+      container.podmanArgs = '--privileged --memory 512m --cpus 1.5 --security-opt apparmor=unconfined --ipc host';
+
+      const service = writer.toCompose(container).services.web;
+
+      expect(service.privileged).toBe(true);
+      expect(service.mem_limit).toBe('512m');
+      expect(service.cpus).toBe(1.5);
+      expect(service.security_opt).toEqual(['apparmor=unconfined']);
+      expect(service['x-podman']).toEqual({ podman_args: '--ipc host' });
+    });
+
+    it('should keep Podman-only fields under x-podman', () => {
+      container.userNS = 'keep-id';
+      container.uidMap.push('0:1:1000');
+      container.timezone = 'local';
+      container.notify = 'healthy';
+      container.pod = 'app.pod';
+      container.autoUpdate = 'registry';
+      container.secret.push('token,type=env,target=TOKEN');
+      container.readOnly = true;
+      container.readOnlyTmpfs = false;
+
+      const service = writer.toCompose(container).services.web;
+
+      expect(service.userns_mode).toBe('keep-id');
+      expect(service.read_only).toBe(true);
+      expect(service['x-podman']).toEqual({
+        read_only_tmpfs: false,
+        sdnotify: 'healthy',
+        uidmaps: ['0:1:1000'],
+        timezone: 'local',
+        pod: 'app.pod',
+        auto_update: 'registry',
+        secrets: ['token,type=env,target=TOKEN']
+      });
+    });
+  });
+
+  describe('write', () => {
+    it('should produce YAML that ComposeParser reads back', () => {
+      const parser = new ComposeParser();
+      const source = `
+services:
+  web:
+    image: nginx:alpine
+    ports: ["8080:80"]
+    environment:
+      NODE_ENV: production
+    volumes:
+      - data:/data
+    networks:
+      - backend
+    user: "1000:1000"
+    cap_drop: [ALL]
+    privileged: true
+    restart: always
+    healthcheck:
+      test: curl -f http://localhost
+      interval: 30s
+    depends_on: [db]
+  db:
+    image: postgres:16
+    networks: [backend]
+volumes:
+  data:
+networks:
+  backend:
+`;
+      const services = parser.parse(source);
+      const written = writer.write(services);
+
+      expect(yaml.parse(written).volumes).toEqual({ data: {} });
+      expect(parser.parse(written)).toEqual(services);
+    });
+
+    it('should keep the list form of CMD and CMD-SHELL health checks', () => {
+      const parser = new ComposeParser();
+      const services = parser.parse(`
+services:
+  web:
+    image: nginx:alpine
+    healthcheck:
+      test: ["CMD", "curl", "-f", "http://localhost"]
+  db:
+    image: postgres:16
+    healthcheck:
+      test: ["CMD-SHELL", "pg_isready -U postgres || exit 1"]
+`);
+      const written = yaml.parse(writer.write(services));
+
+      expect(written.services.web.healthcheck.test).toEqual(['CMD', 'curl', '-f', 'http://localhost']);
+      expect(written.services.db.healthcheck.test).toEqual(['CMD-SHELL', 'pg_isready -U postgres || exit 1']);
+      expect(parser.parse(yaml.stringify(written))).toEqual(services);
+    });
+  });
+});
@@ -25,12 +25,37 @@ describe('Container', () => {
     expect(c.publishPort).toContain('8080:80');
   });
 
+  it('should add published port bound to a host address', () => {
+    const c = new Container().setImage('nginx');
+    c.addPublishPort('127.0.0.1:8080:80').addPublishPort('127.0.0.1::53/udp');
+    expect(c.publishPort).toEqual(['127.0.0.1:8080:80', '127.0.0.1::53/udp']);
+    expect(() => c.validate()).not.toThrow();
+  });
+
+  it('should add published port ranges and IPv6 host addresses', () => {
+    const c = new Container().setImage('nginx');
+    c.addPublishPort('8000-8010:8000-8010').addPublishPort('[::1]:53:53/udp');
+    expect(c.publishPort).toEqual(['8000-8010:8000-8010', '[::1]:53:53/udp']);
+    expect(() => c.validate()).not.toThrow();
+    expect(() => c.addPublishPort('9090-9092:8080-8081')).toThrow('must have the same size');
+    expect(() => c.addPublishPort('::1:53:53')).toThrow('Port must be in format');
+  });
+
   it('should add environment variable', () => {
     const c = new Container();
     c.addEnvironment('NODE_ENV=production');
     expect(c.environment).toContain('NODE_ENV=production');
   });
 
+  it('should reject environment variables and labels with empty or whitespace keys', () => {
+    const c = new Container();
+    expect(() => c.addEnvironment('=x')).toThrow("Environment variable name '' must not be empty or contain whitespace");
+    expect(() => c.addEnvironment('A B=1')).toThrow("Environment variable name 'A B' must not be empty or contain whitespace");
+    expect(() => c.addLabel('=bad')).toThrow("Label key '' must not be empty or contain whitespace");
+    expect(() => c.addLabel('com.example label=1')).toThrow('must not be empty or contain whitespace');
+    expect(c.addEnvironment('EMPTY=').environment).toEqual(['EMPTY=']);
+  });
+
   it('should add volume', () => {
     const c = new Container();
     c.addVolume('/data');
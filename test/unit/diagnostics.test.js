@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import { Diagnostics, ConversionError, describeLocation } from '../../src/diagnostics.js';
+
+describe('Diagnostics', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  describe('warn', () => {
+    it('should collect the diagnostic and print it as a console warning', () => {
+      const diagnostics = new Diagnostics();
+      const diagnostic = diagnostics.warn('unsupported-feature', "Service 'web' uses unsupported feature 'deploy.resources' - ignoring", {
+        service: 'web',
+        path: 'services.web.deploy.resources'
+      });
+
+      expect(diagnostic).toEqual({
+        severity: 'warning',
+        code: 'unsupported-feature',
+        message: "Service 'web' uses unsupported feature 'deploy.resources' - ignoring",
+        service: 'web',
+        path: 'services.web.deploy.resources',
+        file: null,
+        line: null,
+        column: null,
+        lossy: true
+      });
+      expect(diagnostics.list).toEqual([diagnostic]);
+      expect(warn).toHaveBeenCalledWith("Warning: Service 'web' uses unsupported feature 'deploy.resources' - ignoring");
+    });
+
+    it('should pass the diagnostic to onDiagnostic instead of printing it', () => {
+      const onDiagnostic = jest.fn();
+      const diagnostics = new Diagnostics({ onDiagnostic });
+
+      diagnostics.warn('unset-variable', 'The "TAG" variable is not set, defaulting to a blank string', { lossy: false });
+
+      expect(onDiagnostic).toHaveBeenCalledWith(expect.objectContaining({ code: 'unset-variable', service: null, path: null, lossy: false }));
+      expect(warn).not.toHaveBeenCalled();
+    });
+
+    it('should throw a ConversionError on lossy diagnostics in strict mode', () => {
+      const diagnostics = new Diagnostics({ strict: true });
+
+      diagnostics.warn('podman-version-fallback', 'HealthCmd= requires Podman 4.5 or newer', { lossy: false });
+      expect(() => diagnostics.warn('unsupported-feature', "Service 'web' uses unsupported feature 'links' - ignoring"))
+        .toThrow(ConversionError);
+
+      try {
+        diagnostics.warn('unsupported-object', "Ingress 'app' is not supported by podman kube play, skipped");
+      } catch (error) {
+        expect(error.code).toBe('unsupported-object');
+        expect(error.diagnostic.message).toBe("Ingress 'app' is not supported by podman kube play, skipped");
+      }
+      expect(diagnostics.list).toHaveLength(3);
+    });
+  });
+
+  describe('withLocator', () => {
+    it('should add the source position of the path and report to the parent collector', () => {
+      const diagnostics = new Diagnostics({ strict: true });
+      const located = diagnostics.withLocator(path => path === 'services.web.links' ? { file: 'compose.yml', line: 4, column: 5 } : null);
+
+      expect(() => located.warn('unsupported-feature', "Service 'web' uses unsupported feature 'links' - ignoring", { path: 'services.web.links' }))
+        .toThrow("Service 'web' uses unsupported feature 'links' - ignoring (compose.yml line 4, column 5)");
+      expect(diagnostics.list).toEqual([expect.objectContaining({ file: 'compose.yml', line: 4, column: 5 })]);
+      expect(located.list).toBe(diagnostics.list);
+    });
+  });
+
+  describe('describeLocation', () => {
+    it('should describe the known parts of a source position', () => {
+      expect(describeLocation({ file: 'compose.yml', line: 12, column: 7 })).toBe(' (compose.yml line 12, column 7)');
+      expect(describeLocation({ line: 12, column: 7 })).toBe(' (line 12, column 7)');
+      expect(describeLocation({ file: 'compose.yml' })).toBe(' (compose.yml)');
+      expect(describeLocation({})).toBe('');
+    });
+  });
+
+  describe('from', () => {
+    it('should reuse the given collector or create one from the options', () => {
+      const diagnostics = new Diagnostics();
+
+      expect(Diagnostics.from({ diagnostics })).toBe(diagnostics);
+      expect(Diagnostics.from({ strict: true }).strict).toBe(true);
+      expect(Diagnostics.from().strict).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { Image } from '../../src/image.js';
+
+describe('Image', () => {
+  it('should set the image with validation', () => {
+    const i = new Image();
+    i.setImage(' docker.io/library/nginx:alpine ');
+    expect(i.image).toBe('docker.io/library/nginx:alpine');
+    expect(() => i.setImage('')).toThrow('Image must be a non-empty string');
+  });
+
+  it('should set os, arch and variant from a platform', () => {
+    const i = new Image().setPlatform('linux/arm64/v8');
+    expect([i.os, i.arch, i.variant]).toEqual(['linux', 'arm64', 'v8']);
+
+    i.setPlatform('linux/amd64');
+    expect(i.variant).toBeNull();
+    expect(() => i.setPlatform('linux')).toThrow('Platform must be in format "os/arch" or "os/arch/variant"');
+  });
+
+  it('should require an image', () => {
+    expect(() => new Image().validate()).toThrow('Image is required');
+    expect(() => new Image().setImage('nginx').validate()).not.toThrow();
+  });
+});
@@ -1,5 +1,5 @@
-import { describe, it, expect, beforeEach } from '@jest/globals';
-import PodletJS, { createPodlet } from '../../src/index.js';
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+import PodletJS, { createPodlet, ConversionError, ComposeError, ComposeValidationError } from '../../src/index.js';
 import { Container } from '../../src/container.js';
 import { QuadletGenerator } from '../../src/quadlet-generator.js';
 import { ComposeParser } from '../../src/compose-parser.js';
@@ -50,6 +50,15 @@ describe('PodletJS', () => {
       expect(result).toContain('Restart=always');
     });
 
+    it('should turn the --restart policy into Restart=', () => {
+      expect(podlet.dockerRunToQuadlet('docker run --restart always nginx')).toContain('[Service]\nRestart=always\n');
+      expect(podlet.podmanRunToQuadlet('podman run --restart=on-failure:3 nginx', { service: { TimeoutStartSec: 900 } }))
+        .toContain('[Service]\nRestart=on-failure\nTimeoutStartSec=900\n');
+
+      const [container] = podlet.dockerRunToQuadlet('docker run --restart unless-stopped nginx', { imageUnits: true });
+      expect(container.content).toContain('Restart=unless-stopped');
+    });
+
     it('should handle array command format', () => {
       const dockerCommand = ['docker', 'run', '-d', '--name', 'test-app', 'nginx:alpine'];
       
@@ -61,6 +70,46 @@ describe('PodletJS', () => {
     });
   });
 
+  describe('podmanRunToQuadlet', () => {
+    it('should map podman-only flags to their Quadlet keys', () => {
+      const podmanCommand = 'podman run --pod web --userns=keep-id --sdnotify=healthy ' +
+        '--label io.containers.autoupdate=registry --health-on-failure=restart --health-startup-cmd "curl -f localhost" ' +
+        '--health-startup-retries 5 --tz Europe/Paris --secret db_password,type=env,target=DB_PASSWORD ' +
+        '--security-opt label=nested --security-opt unmask=ALL --subuidname app --expose 9090 docker.io/library/nginx:latest';
+
+      const result = podlet.podmanRunToQuadlet(podmanCommand);
+
+      expect(result).not.toContain('Pod=');
+      expect(result).toContain('UserNS=keep-id');
+      expect(result).toContain('Notify=healthy');
+      expect(result).toContain('AutoUpdate=registry');
+      expect(result).not.toContain('Label=');
+      expect(result).toContain('HealthOnFailure=restart');
+      expect(result).toContain('HealthStartupCmd=curl -f localhost');
+      expect(result).toContain('HealthStartupRetries=5');
+      expect(result).toContain('Timezone=Europe/Paris');
+      expect(result).toContain('Secret=db_password,type=env,target=DB_PASSWORD');
+      expect(result).toContain('SecurityLabelNested=true');
+      expect(result).toContain('Unmask=ALL');
+      expect(result).toContain('SubUIDMap=app');
+      expect(result).toContain('ExposeHostPort=9090');
+      expect(result).toContain('PodmanArgs=--pod web\n');
+    });
+
+    it('should run a root filesystem given with --rootfs', () => {
+      const result = podlet.podmanRunToQuadlet(['podman', 'run', '--rootfs', '/var/lib/rootfs/app:O', '/bin/app']);
+
+      expect(result).toContain('Rootfs=/var/lib/rootfs/app:O');
+      expect(result).toContain('Exec=/bin/app');
+      expect(result).not.toContain('Image=');
+    });
+
+    it('should keep --sdnotify=container and pass unsupported modes through', () => {
+      expect(podlet.podmanRunToQuadlet('podman run --sdnotify container nginx')).toContain('Notify=true');
+      expect(podlet.podmanRunToQuadlet('podman run --sdnotify=ignore nginx')).toContain('PodmanArgs=--sdnotify ignore');
+    });
+  });
+
   describe('composeToQuadlet', () => {
     it('should parse compose file and generate quadlet files for each service', () => {
       const composeYaml = `
@@ -76,11 +125,11 @@ services:
       POSTGRES_PASSWORD: secret
 `;
       
-      const results = podlet.composeToQuadlet(composeYaml);
+      const results = podlet.composeToQuadlet(composeYaml, { workingDirectory: '/srv/blog' });
       
       expect(results).toBeDefined();
       expect(Array.isArray(results)).toBe(true);
-      expect(results).toHaveLength(2);
+      expect(results).toHaveLength(3);
       
       const webResult = results.find(r => r.filename.includes('web'));
       const dbResult = results.find(r => r.filename.includes('db'));
@@ -92,6 +141,16 @@ services:
       expect(dbResult).toBeDefined();
       expect(dbResult.content).toContain('Image=postgres:13');
       expect(dbResult.content).toContain('Environment=POSTGRES_PASSWORD=secret');
+
+      const networkResult = results.find(r => r.filename === 'blog_default.network');
+      expect(networkResult.content).toContain('NetworkName=blog_default');
+      expect(webResult.content).toContain('Network=blog_default.network');
+    });
+
+    it('should keep arguments containing spaces together in Exec=', () => {
+      const results = podlet.composeToQuadlet('services:\n  web:\n    image: nginx\n    command: ["nginx", "-g", "daemon off;"]\n');
+
+      expect(results[0].content).toContain('Exec=nginx -g "daemon off;"\n');
     });
 
     it('should handle service dependencies by adding unit configuration', () => {
@@ -135,6 +194,7 @@ services:
         { compose: 'no', expected: 'no' },
         { compose: 'always', expected: 'always' },
         { compose: 'on-failure', expected: 'on-failure' },
+        { compose: 'on-failure:5', expected: 'on-failure' },
         { compose: 'unless-stopped', expected: 'unless-stopped' }
       ];
 
@@ -153,6 +213,22 @@ services:
       });
     });
 
+    it('should write published ports with host addresses and ranges', () => {
+      const [web] = podlet.composeToQuadlet(`services:
+  web:
+    image: nginx
+    ports:
+      - "[::1]:53:53/udp"
+      - "8000-8010:8000-8010"
+      - target: 443
+        published: 8443
+        host_ip: 127.0.0.1
+        mode: host
+`);
+
+      expect(web.content).toContain('PublishPort=[::1]:53:53/udp\nPublishPort=8000-8010:8000-8010\nPublishPort=127.0.0.1:8443:443\n');
+    });
+
     it('should preserve existing unit and service options', () => {
       const composeYaml = `
 version: '3'
@@ -181,6 +257,275 @@ services:
     });
   });
 
+  describe('composeToQuadlet with pod option', () => {
+    const composeYaml = `
+name: app
+services:
+  web:
+    image: nginx:alpine
+    ports:
+      - "8080:80"
+    depends_on:
+      - api
+  api:
+    image: node:20
+    ports:
+      - "3000:3000"
+`;
+
+    it('should generate a pod file holding the ports of every service', () => {
+      const results = podlet.composeToQuadlet(composeYaml, { pod: true });
+
+      expect(results.map(r => r.filename)).toEqual(['app.pod', 'app-web.container', 'app-api.container', 'app-default.network']);
+
+      const podResult = results[0];
+      expect(podResult.content).toContain('[Pod]');
+      expect(podResult.content).toContain('PodName=app');
+      expect(podResult.content).toContain('PublishPort=8080:80');
+      expect(podResult.content).toContain('PublishPort=3000:3000');
+    });
+
+    it('should link containers to the pod and drop their ports', () => {
+      const results = podlet.composeToQuadlet(composeYaml, { pod: true });
+
+      const webResult = results.find(r => r.filename === 'app-web.container');
+      expect(webResult.content).toContain('Pod=app.pod');
+      expect(webResult.content).not.toContain('PublishPort=');
+      expect(webResult.content).toContain('After=app-api.service');
+      expect(webResult.content).toContain('Wants=app-api.service');
+    });
+
+    it('should use the pod option as the pod name when it is a string', () => {
+      const results = podlet.composeToQuadlet(composeYaml, { pod: 'stack' });
+
+      expect(results[0].filename).toBe('stack.pod');
+      expect(results[1].content).toContain('Pod=stack.pod');
+    });
+
+    it('should throw when no pod name is available', () => {
+      const unnamedYaml = `
+services:
+  web:
+    image: nginx:alpine
+`;
+      expect(() => podlet.composeToQuadlet(unnamedYaml, { pod: true }))
+        .toThrow("Generating a pod requires the compose 'name' field");
+    });
+
+    it('should refuse to generate a pod for Podman versions before 5.0', () => {
+      expect(() => podlet.composeToQuadlet(composeYaml, { pod: true, podmanVersion: '4.8' }))
+        .toThrow('Pod= requires Podman 5.0 or newer');
+    });
+  });
+
+  describe('composeToQuadlet with build sections', () => {
+    const composeYaml = `
+name: app
+services:
+  web:
+    build:
+      context: ./web
+      args:
+        VERSION: "2"
+    ports:
+      - "8080:80"
+`;
+
+    it('should generate a build file next to the container', () => {
+      const results = podlet.composeToQuadlet(composeYaml, { workingDirectory: '/srv/app' });
+
+      expect(results.map(r => r.filename)).toEqual(['web.container', 'web.build', 'app_default.network']);
+      expect(results[0].content).toContain('Image=web.build');
+      expect(results[1].content).toContain('[Build]');
+      expect(results[1].content).toContain('ImageTag=localhost/web');
+      expect(results[1].content).toContain('SetWorkingDirectory=/srv/app/web');
+      expect(results[1].content).toContain('BuildArg=VERSION=2');
+    });
+
+    it('should prefix build files with the pod name in pod mode', () => {
+      const results = podlet.composeToQuadlet(composeYaml, { pod: true });
+
+      expect(results.map(r => r.filename)).toEqual(['app.pod', 'app-web.container', 'app-web.build', 'app-default.network']);
+      expect(results[1].content).toContain('Image=app-web.build');
+    });
+  });
+
+  describe('composeToQuadlet with named volumes', () => {
+    it('should generate volume files and reference them from containers', () => {
+      const composeYaml = `
+services:
+  db:
+    image: postgres:13
+    volumes:
+      - db_data:/var/lib/postgresql/data
+      - backups:/backups
+volumes:
+  db_data:
+  backups:
+    external: true
+`;
+      const results = podlet.composeToQuadlet(composeYaml, { workingDirectory: '/srv/db' });
+
+      expect(results.map(r => r.filename)).toEqual(['db.container', 'db_data.volume', 'db_default.network']);
+      expect(results[0].content).toContain('Volume=db_data.volume:/var/lib/postgresql/data');
+      expect(results[0].content).toContain('Volume=backups:/backups');
+      expect(results[1].content).toBe('[Volume]\nVolumeName=db_db_data\n');
+    });
+  });
+
+  describe('composeToQuadlet with networks', () => {
+    it('should generate network files and reference them from containers', () => {
+      const composeYaml = `
+name: shop
+services:
+  web:
+    image: nginx:alpine
+    networks:
+      - frontend
+  db:
+    image: postgres:13
+networks:
+  frontend:
+    internal: true
+`;
+      const results = podlet.composeToQuadlet(composeYaml);
+
+      expect(results.map(r => r.filename)).toEqual(['web.container', 'db.container', 'frontend.network', 'shop_default.network']);
+      expect(results[0].content).toContain('Network=frontend.network');
+      expect(results[1].content).toContain('Network=shop_default.network');
+      expect(results[2].content).toBe('[Network]\nNetworkName=shop_frontend\nInternal=true\n');
+      expect(results[3].content).toContain('NetworkName=shop_default');
+    });
+
+    it('should attach networks to the pod in pod mode', () => {
+      const composeYaml = `
+name: shop
+services:
+  web:
+    image: nginx:alpine
+`;
+      const results = podlet.composeToQuadlet(composeYaml, { pod: true });
+
+      expect(results.map(r => r.filename)).toEqual(['shop.pod', 'shop-web.container', 'shop-default.network']);
+      expect(results[0].content).toContain('Network=shop-default.network');
+      expect(results[1].content).not.toContain('Network=');
+      expect(results[2].content).toBe('[Network]\nNetworkName=shop_default\n');
+    });
+
+    it('should prefix the volume and network units with the pod name in pod mode', () => {
+      const composeYaml = `
+name: shop
+services:
+  web:
+    image: nginx:alpine
+    volumes:
+      - html:/usr/share/nginx/html
+      - ./conf:/etc/nginx/conf.d
+    networks:
+      frontend:
+        ipv4_address: 10.0.0.5
+      proxy:
+networks:
+  frontend:
+  proxy:
+    external: true
+volumes:
+  html:
+`;
+      const results = podlet.composeToQuadlet(composeYaml, { pod: true });
+      const files = Object.fromEntries(results.map(file => [file.filename, file.content]));
+
+      expect(Object.keys(files)).toEqual(['shop.pod', 'shop-web.container', 'shop-html.volume', 'shop-frontend.network']);
+      expect(files['shop-web.container']).toContain('Volume=shop-html.volume:/usr/share/nginx/html\nVolume=./conf:/etc/nginx/conf.d\n');
+      expect(files['shop.pod']).toContain('Network=shop-frontend.network:ip=10.0.0.5\nNetwork=proxy\n');
+    });
+
+    it('should give the default networks of projects in one directory their own units', () => {
+      const service = 'services:\n  web:\n    image: nginx\n';
+      const shop = podlet.composeToQuadlet(`name: shop\n${service}`);
+      const blog = podlet.composeToQuadlet(`name: blog\n${service}`);
+      const unnamed = podlet.composeToQuadlet(service, { workingDirectory: '/home/user/My Wiki' });
+
+      expect([shop, blog, unnamed].map(results => results[1].filename))
+        .toEqual(['shop_default.network', 'blog_default.network', 'mywiki_default.network']);
+      expect([shop, blog, unnamed].map(results => results[1].content)).toEqual([
+        '[Network]\nNetworkName=shop_default\n',
+        '[Network]\nNetworkName=blog_default\n',
+        '[Network]\nNetworkName=mywiki_default\n'
+      ]);
+    });
+  });
+
+  describe('composeToQuadlet with interpolation', () => {
+    it('should interpolate variables from the environment option', () => {
+      const composeYaml = `
+services:
+  web:
+    image: nginx:\${TAG:-latest}
+    ports:
+      - "\${PORT:-8080}:80"
+`;
+      const results = podlet.composeToQuadlet(composeYaml, { environment: { TAG: '1.25' } });
+
+      expect(results[0].content).toContain('Image=nginx:1.25');
+      expect(results[0].content).toContain('PublishPort=8080:80');
+    });
+  });
+
+  describe('composeToKube', () => {
+    const composeYaml = `
+name: shop
+services:
+  web:
+    image: nginx:alpine
+    ports:
+      - "8080:80"
+  api:
+    build: ./api
+    volumes:
+      - data:/data
+volumes:
+  data:
+`;
+
+    it('should generate a pod manifest and a kube file', () => {
+      const results = podlet.composeToKube(composeYaml);
+
+      expect(results.map(r => r.filename)).toEqual(['shop.yaml', 'shop.kube']);
+      expect(results[0].content).toContain('kind: Pod');
+      expect(results[0].content).toContain('image: nginx:alpine');
+      expect(results[0].content).toContain('image: localhost/api');
+      expect(results[0].content).toContain('claimName: data');
+      expect(results[1].content).toContain('[Kube]');
+      expect(results[1].content).toContain('Yaml=shop.yaml');
+    });
+
+    it('should generate a deployment when requested', () => {
+      const results = podlet.composeToKube(composeYaml, { kind: 'Deployment', name: 'store' });
+
+      expect(results.map(r => r.filename)).toEqual(['store.yaml', 'store.kube']);
+      expect(results[0].content).toContain('kind: Deployment');
+    });
+
+    it('should throw when no name is available', () => {
+      expect(() => podlet.composeToKube('services:\n  web:\n    image: nginx\n'))
+        .toThrow("Generating Kubernetes YAML requires the compose 'name' field");
+    });
+  });
+
+  describe('dockerRunToKube', () => {
+    it('should generate a pod manifest named after the container', () => {
+      const results = podlet.dockerRunToKube('docker run -d --name web -p 8080:80 -e MODE=prod nginx:alpine', {
+        install: { wantedBy: ['default.target'] }
+      });
+
+      expect(results.map(r => r.filename)).toEqual(['web.yaml', 'web.kube']);
+      expect(results[0].content).toContain('hostPort: 8080');
+      expect(results[0].content).toContain('name: MODE');
+      expect(results[1].content).toContain('WantedBy=default.target');
+    });
+  });
+
   describe('containerToQuadlet', () => {
     it('should validate, normalize and generate quadlet for container', () => {
       const container = new Container();
@@ -238,6 +583,198 @@ services:
     });
   });
 
+  describe('containersToCompose', () => {
+    it('should write containers back as a compose file', () => {
+      const container = podlet.dockerRunToContainer('docker run --name web -p 8080:80 --tz local nginx:alpine');
+
+      const result = podlet.containersToCompose([container], { name: 'app' });
+
+      expect(result).toContain('name: app');
+      expect(result).toContain('  web:\n    image: nginx:alpine');
+      expect(result).toContain('x-podman:\n      timezone: local');
+    });
+  });
+
+  describe('imageUnits', () => {
+    it('should pull the image of a run command with a .image unit', () => {
+      const results = podlet.podmanRunToQuadlet(
+        'podman run --name web --platform linux/arm64 --tls-verify=false --memory 512m docker.io/library/nginx:alpine',
+        { imageUnits: true, imageOptions: { authFile: '/etc/containers/auth.json' } }
+      );
+
+      expect(results.map(file => file.filename)).toEqual(['web.container', 'nginx.image']);
+      expect(results[0].content).toContain('Image=nginx.image\n');
+      expect(results[0].content).toContain('PodmanArgs=--memory 512m\n');
+      expect(results[1].content).toBe(`[Image]
+Image=docker.io/library/nginx:alpine
+Arch=arm64
+OS=linux
+AuthFile=/etc/containers/auth.json
+TLSVerify=false
+`);
+      expect(typeof podlet.dockerRunToQuadlet('docker run nginx')).toBe('string');
+    });
+
+    it('should not write registry credentials in plain text', () => {
+      const onDiagnostic = jest.fn();
+      const results = podlet.podmanRunToQuadlet('podman run --name web --creds user:token --memory 512m nginx:alpine', {
+        imageUnits: true,
+        imageOptions: { creds: 'admin:secret' },
+        onDiagnostic
+      });
+
+      expect(results.map(file => file.content).join('')).not.toMatch(/token|secret|Creds=/);
+      expect(results[0].content).toContain('PodmanArgs=--memory 512m\n');
+      expect(podlet.diagnostics.map(diagnostic => [diagnostic.code, diagnostic.service])).toEqual([
+        ['plain-text-credentials', null],
+        ['plain-text-credentials', 'web']
+      ]);
+    });
+
+    it('should pull for the platform of compose services', () => {
+      const results = podlet.composeToQuadlet('services:\n  web:\n    image: nginx\n    platform: linux/arm64/v8\n', { imageUnits: true });
+      const files = Object.fromEntries(results.map(file => [file.filename, file.content]));
+
+      expect(files['web.container']).not.toContain('PodmanArgs=');
+      expect(files['nginx.image']).toBe('[Image]\nImage=nginx\nArch=arm64\nOS=linux\nVariant=v8\n');
+      expect(podlet.composeToQuadlet('services:\n  web:\n    image: nginx\n    platform: linux/arm64\n')[0].content)
+        .toContain('PodmanArgs=--platform linux/arm64\n');
+    });
+
+    it('should share .image units between compose services using the same image', () => {
+      const composeYaml = `
+services:
+  web:
+    image: nginx:alpine
+  admin:
+    image: nginx:alpine
+  legacy:
+    image: nginx:1.18
+  app:
+    build: ./app
+`;
+
+      const results = podlet.composeToQuadlet(composeYaml, { imageUnits: true, workingDirectory: '/srv/site' });
+      const files = Object.fromEntries(results.map(file => [file.filename, file.content]));
+
+      expect(Object.keys(files)).toEqual([
+        'web.container', 'admin.container', 'legacy.container', 'app.container', 'app.build', 'nginx.image', 'nginx-1.18.image', 'site_default.network'
+      ]);
+      expect(files['web.container']).toContain('Image=nginx.image');
+      expect(files['admin.container']).toContain('Image=nginx.image');
+      expect(files['legacy.container']).toContain('Image=nginx-1.18.image');
+      expect(files['app.container']).toContain('Image=app.build');
+      expect(files['nginx-1.18.image']).toBe('[Image]\nImage=nginx:1.18\n');
+    });
+
+    it('should reject unknown image options', () => {
+      expect(() => podlet.dockerRunToQuadlet('docker run nginx', { imageUnits: true, imageOptions: { tag: 'x' } }))
+        .toThrow("Unknown image option 'tag'");
+    });
+  });
+
+  describe('kubeToQuadlet', () => {
+    it('should generate the .kube file, the YAML and a .volume file per claim', () => {
+      const kubeYaml = `kind: Pod
+metadata:
+  name: app
+spec:
+  containers:
+    - name: app
+      image: nginx
+      ports: [{ containerPort: 80, hostPort: 8080 }]
+      envFrom: [{ configMapRef: { name: app-env } }]
+---
+kind: PersistentVolumeClaim
+metadata:
+  name: app-data
+`;
+
+      const results = podlet.kubeToQuadlet(kubeYaml, { install: { wantedBy: ['default.target'] } });
+
+      expect(results.map(file => file.filename)).toEqual(['app.yaml', 'app.kube', 'app-data.volume']);
+      expect(results[0].content).toBe(kubeYaml);
+      expect(results[1].content).toBe(`[Unit]
+Requires=app-data-volume.service
+After=app-data-volume.service
+
+[Kube]
+Yaml=app.yaml
+ConfigMap=app-env.yaml
+PublishPort=8080:80
+
+[Install]
+WantedBy=default.target
+`);
+      expect(results[2].content).toBe('[Volume]\nVolumeName=app-data\n');
+    });
+  });
+
+  describe('systemdToQuadlet', () => {
+    it('should migrate a podman generate systemd unit with the given options taking precedence', () => {
+      const unit = `[Unit]
+Description=Podman container-web.service
+After=network-online.target db.service
+
+[Service]
+Environment=PODMAN_SYSTEMD_UNIT=%n
+Restart=always
+ExecStart=/usr/bin/podman run --cidfile=%t/%n.ctr-id --cgroups=no-conmon --rm --sdnotify=conmon -d --replace --name web nginx
+Type=notify
+
+[Install]
+WantedBy=multi-user.target
+`;
+
+      const result = podlet.systemdToQuadlet(unit, { unit: { description: 'Web' } });
+
+      expect(result).toContain('[Unit]\nDescription=Web\nAfter=db.service\n');
+      expect(result).toContain('ContainerName=web');
+      expect(result).not.toContain('PodmanArgs');
+      expect(result).toContain('[Service]\nRestart=always\n');
+      expect(result).toContain('WantedBy=multi-user.target');
+      expect(podlet.parseSystemdUnit(unit).container.image).toBe('nginx');
+    });
+  });
+
+  describe('inspectToQuadlet', () => {
+    it('should generate a Quadlet file per inspected container', () => {
+      const inspect = JSON.stringify([{
+        Id: '3f4e8a1b2c9d7e6f',
+        Name: '/web',
+        Config: { Hostname: '3f4e8a1b2c9d', Image: 'nginx:alpine', Env: ['NODE_ENV=production'] },
+        HostConfig: {
+          PortBindings: { '80/tcp': [{ HostIp: '127.0.0.1', HostPort: '8080' }] },
+          RestartPolicy: { Name: 'always', MaximumRetryCount: 0 }
+        }
+      }]);
+
+      const results = podlet.inspectToQuadlet(inspect);
+
+      expect(results).toHaveLength(1);
+      expect(results[0].filename).toBe('web.container');
+      expect(results[0].content).toContain('ContainerName=web');
+      expect(results[0].content).toContain('PublishPort=127.0.0.1:8080:80');
+      expect(results[0].content).toContain('Environment=NODE_ENV=production');
+      expect(results[0].content).toContain('Restart=always');
+      expect(podlet.inspectToContainers(inspect)[0].image).toBe('nginx:alpine');
+    });
+  });
+
+  describe('parseQuadlet', () => {
+    it('should parse a Quadlet file that containerToQuadlet writes back', () => {
+      const content = podlet.dockerRunToQuadlet('docker run --name web -p 8080:80 nginx:alpine', {
+        unit: { description: 'Web' },
+        install: { wantedBy: ['default.target'] }
+      });
+
+      const parsed = podlet.parseQuadlet(content);
+
+      expect(parsed.container.containerName).toBe('web');
+      expect(podlet.containerToQuadlet(parsed.container, parsed)).toBe(content);
+    });
+  });
+
   describe('parseCompose', () => {
     it('should delegate to compose parser', () => {
       const composeYaml = `
@@ -288,6 +825,137 @@ services:
     });
   });
 
+  describe('diagnostics', () => {
+    const compose = `
+services:
+  web:
+    image: nginx
+    deploy:
+      resources:
+        limits:
+          cpus: '0.5'
+`;
+
+    it('should report lossy conversions to onDiagnostic and list them on the instance', () => {
+      const onDiagnostic = jest.fn();
+      const results = podlet.composeToQuadlet(compose, { onDiagnostic, workingDirectory: '/srv/web' });
+
+      expect(results.map(result => result.filename)).toEqual(['web.container', 'web_default.network']);
+      expect(onDiagnostic).toHaveBeenCalledTimes(1);
+      expect(podlet.diagnostics).toEqual([{
+        severity: 'warning',
+        code: 'unsupported-feature',
+        message: "Service 'web' uses unsupported feature 'deploy.resources' - ignoring",
+        service: 'web',
+        path: 'services.web.deploy.resources',
+        file: null,
+        line: 6,
+        column: 7,
+        lossy: true
+      }]);
+
+      podlet.dockerRunToQuadlet('docker run nginx');
+      expect(podlet.diagnostics).toEqual([]);
+    });
+
+    it('should throw a ConversionError on lossy conversions in strict mode', () => {
+      expect(() => podlet.composeToQuadlet(compose, { strict: true })).toThrow(ConversionError);
+      expect(() => podlet.kubeToQuadlet('kind: Pod\nmetadata: { name: app }\n---\nkind: Ingress\nmetadata: { name: app }\n', { strict: true }))
+        .toThrow("Ingress 'app' is not supported by podman kube play, skipped");
+    });
+
+    it('should keep lossless fallbacks in strict mode', () => {
+      const result = podlet.dockerRunToQuadlet('docker run --health-cmd true nginx', {
+        podmanVersion: '4.4',
+        strict: true,
+        onDiagnostic: () => {}
+      });
+
+      expect(result).toContain('PodmanArgs=--health-cmd true');
+      expect(podlet.diagnostics.map(diagnostic => diagnostic.code)).toEqual(['podman-version-fallback']);
+    });
+  });
+
+  describe('composeCoverage', () => {
+    it('should report the translated and dropped keys of each service', () => {
+      const coverage = podlet.composeCoverage('services:\n  web:\n    image: nginx\n    mem_limit: 512m\n    ulimits:\n      nofile: 1024\n', {
+        onDiagnostic: () => {}
+      });
+
+      expect(coverage).toEqual({ web: { native: ['image'], podmanArgs: ['mem_limit'], dropped: ['ulimits'] } });
+      expect(podlet.diagnostics.map(diagnostic => diagnostic.path)).toEqual(['services.web.ulimits']);
+    });
+  });
+
+  describe('validate', () => {
+    it('should report the errors of all services without generating files', () => {
+      const generate = jest.spyOn(podlet, 'containerToQuadlet');
+      const result = podlet.validate(`services:
+  web:
+    image: nginx
+    ports: ["70000:80"]
+  db:
+    image: postgres
+    restart: sometimes
+`, { files: ['compose.yml'] });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(error => [error.path, error.line])).toEqual([
+        ['services.web.ports[0]', 4],
+        ['services.db.restart', 7]
+      ]);
+      expect(generate).not.toHaveBeenCalled();
+    });
+
+    it('should accept a valid project and report files that cannot be loaded', () => {
+      expect(podlet.validate('services:\n  web:\n    image: nginx\n')).toEqual({ valid: true, errors: [], warnings: [] });
+
+      const result = podlet.validate('services:\n  web:\n    image: [nginx\n');
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toBeInstanceOf(ComposeError);
+    });
+
+    it('should reject malformed environment variables, labels and builds', () => {
+      const result = podlet.validate(`services:
+  web:
+    image: nginx
+    environment: ["=x", "A B=1"]
+    labels: ["=bad"]
+  app:
+    build: {}
+`);
+
+      expect(result.errors.map(error => error.path)).toEqual([
+        'services.web.environment[0]',
+        'services.web.environment[1]',
+        'services.web.labels[0]',
+        'services.app.build'
+      ]);
+      expect(result.errors[3].message).toBe("services.app.build: Build of service 'app' must have a context or a dockerfile (line 7, column 5)");
+    });
+
+    it('should return the warnings instead of printing them', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const result = podlet.validate('services:\n  web:\n    image: nginx\n    depends_on: [db]\n    sysctls: { a: 1 }\n');
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings.map(warning => [warning.code, warning.path])).toEqual([
+        ['unsupported-feature', 'services.web.sysctls'],
+        ['undefined-dependency', 'services.web.depends_on[0]']
+      ]);
+      expect(warn).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should be the check conversions throw together', () => {
+      const yamlContent = 'services:\n  web:\n    image: nginx\n    ports: ["70000:80"]\n    labels: [tier]\n';
+
+      expect(() => podlet.composeToQuadlet(yamlContent)).toThrow(ComposeValidationError);
+      expect(() => podlet.composeToQuadlet(yamlContent)).toThrow('Compose project has 2 errors');
+    });
+  });
+
   describe('fromDockerRun', () => {
     it('should be an alias for dockerRunToQuadlet', () => {
       const dockerCommand = 'docker run -d --name test-app -p 8080:80 nginx:alpine';
@@ -0,0 +1,234 @@
+import { jest } from '@jest/globals';
+import { InspectParser } from '../../src/inspect-parser.js';
+
+const CONTAINER_ID = '3f4e8a1b2c9d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d3e2f';
+
+// Trimmed `docker inspect web` output of a container started with
+// docker run -d --name web -p 8080:80 -e NODE_ENV=production -v /srv/html:/usr/share/nginx/html:ro
+//   -v data:/data --network backend --network-alias api --cap-add NET_ADMIN --restart always nginx:alpine
+function dockerInspect() {
+  return [{
+    Id: CONTAINER_ID,
+    Name: '/web',
+    Image: 'sha256:4b7ce07002c69e8f3d704a9c5d6fd3053be500b7f1c69fc0d80990c2ad8dd412',
+    Config: {
+      Hostname: '3f4e8a1b2c9d',
+      User: '',
+      Tty: false,
+      Env: [
+        'NODE_ENV=production',
+        'PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin',
+        'NGINX_VERSION=1.25.3'
+      ],
+      Cmd: ['nginx', '-g', 'daemon off;'],
+      Image: 'nginx:alpine',
+      WorkingDir: '',
+      Entrypoint: ['/docker-entrypoint.sh'],
+      Labels: { maintainer: 'NGINX Docker Maintainers' },
+      StopSignal: 'SIGQUIT'
+    },
+    HostConfig: {
+      Binds: ['/srv/html:/usr/share/nginx/html:ro', 'data:/data'],
+      NetworkMode: 'backend',
+      PortBindings: { '80/tcp': [{ HostIp: '', HostPort: '8080' }] },
+      RestartPolicy: { Name: 'always', MaximumRetryCount: 0 },
+      CapAdd: ['NET_ADMIN'],
+      CapDrop: null,
+      Privileged: false,
+      ReadonlyRootfs: false
+    },
+    Mounts: [
+      { Type: 'bind', Source: '/srv/html', Destination: '/usr/share/nginx/html', RW: false },
+      { Type: 'volume', Name: 'data', Source: '/var/lib/docker/volumes/data/_data', Destination: '/data', RW: true }
+    ],
+    NetworkSettings: {
+      Networks: {
+        backend: { Aliases: ['web', 'api', '3f4e8a1b2c9d'], IPAddress: '172.18.0.2' }
+      }
+    }
+  }];
+}
+
+// Trimmed `docker image inspect nginx:alpine` output
+function imageInspect() {
+  return [{
+    Id: 'sha256:4b7ce07002c69e8f3d704a9c5d6fd3053be500b7f1c69fc0d80990c2ad8dd412',
+    RepoTags: ['nginx:alpine'],
+    Config: {
+      Env: [
+        'PATH=/usr/local/sbin:/usr/local/bin:/usr/sbin:/usr/bin:/sbin:/bin',
+        'NGINX_VERSION=1.25.3'
+      ],
+      Cmd: ['nginx', '-g', 'daemon off;'],
+      Entrypoint: ['/docker-entrypoint.sh'],
+      Labels: { maintainer: 'NGINX Docker Maintainers' },
+      StopSignal: 'SIGQUIT'
+    }
+  }];
+}
+
+describe('InspectParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new InspectParser();
+  });
+
+  describe('parse', () => {
+    it('should reconstruct a container from docker inspect output', () => {
+      const [container] = parser.parse(JSON.stringify(dockerInspect()), { image: imageInspect() });
+
+      expect(container.containerName).toBe('web');
+      expect(container.image).toBe('nginx:alpine');
+      expect(container.publishPort).toEqual(['8080:80']);
+      expect(container.environment).toEqual(['NODE_ENV=production']);
+      expect(container.volume).toEqual(['/srv/html:/usr/share/nginx/html:ro', 'data:/data']);
+      expect(container.network).toEqual(['backend']);
+      expect(container.networkAlias).toEqual(['api']);
+      expect(container.addCapability).toEqual(['NET_ADMIN']);
+      expect(container.label).toEqual([]);
+      expect(container.exec).toBeNull();
+      expect(container.entrypoint).toBeNull();
+      expect(container.stopSignal).toBeNull();
+      expect(container.hostName).toBeNull();
+      expect(container._restart).toBe('always');
+    });
+
+    it('should keep the values that may come from the image when it is not given and report it', () => {
+      const onDiagnostic = jest.fn();
+      const [container] = parser.parse(dockerInspect(), { onDiagnostic });
+
+      expect(container.environment).toEqual(['NODE_ENV=production', 'NGINX_VERSION=1.25.3']);
+      expect(container.label).toEqual(['maintainer=NGINX Docker Maintainers']);
+      expect(container.entrypoint).toBe('/docker-entrypoint.sh');
+      expect(container.exec).toBe('nginx -g "daemon off;"');
+      expect(onDiagnostic).toHaveBeenCalledTimes(1);
+      expect(onDiagnostic.mock.calls[0][0]).toMatchObject({
+        code: 'unfiltered-image-defaults',
+        service: 'web',
+        lossy: false,
+        message: "Container 'web' keeps the environment, labels and command of its image nginx:alpine, " +
+          'pass its `docker image inspect` output as the image option to leave them out'
+      });
+
+      parser.parse(dockerInspect(), { image: imageInspect(), onDiagnostic });
+      expect(onDiagnostic).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reconstruct a container from podman inspect output', () => {
+      const [container] = parser.parse({
+        Id: CONTAINER_ID,
+        Name: 'api',
+        ImageName: 'quay.io/app/api:1.2',
+        Config: {
+          Hostname: 'api.local',
+          User: '1000:1000',
+          Env: ['container=podman', 'HOME=/root', 'HOSTNAME=api.local', 'TERM=xterm', 'API_KEY=secret'],
+          Cmd: null,
+          Image: 'quay.io/app/api:1.2',
+          WorkingDir: '/app',
+          Entrypoint: '',
+          Labels: { 'io.containers.autoupdate': 'registry', 'org.opencontainers.image.version': '1.2' },
+          StopSignal: 'SIGTERM',
+          Tty: true,
+          Healthcheck: { Test: ['CMD-SHELL', 'curl -f http://localhost/health'], Interval: 30000000000, Retries: 3 }
+        },
+        HostConfig: {
+          Binds: [],
+          NetworkMode: 'pasta',
+          PortBindings: {
+            '8443/tcp': [{ HostIp: '127.0.0.1', HostPort: '8443' }],
+            '53/udp': [{ HostIp: '', HostPort: '5353' }]
+          },
+          Tmpfs: { '/run': 'size=64m' },
+          Devices: [{ PathOnHost: '/dev/fuse', PathInContainer: '/dev/fuse', CgroupPermissions: 'rwm' }],
+          ExtraHosts: ['db.local:10.0.0.5'],
+          SecurityOpt: ['no-new-privileges', 'label=disable'],
+          RestartPolicy: { Name: '', MaximumRetryCount: 0 },
+          Memory: 536870912,
+          NanoCpus: 1500000000,
+          Init: true
+        },
+        Mounts: [
+          { Type: 'volume', Name: 'a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2c3d4e5f6a1b2', Destination: '/cache', RW: true }
+        ],
+        NetworkSettings: { Networks: { pasta: {} } }
+      });
+
+      expect(container.containerName).toBe('api');
+      expect(container.hostName).toBe('api.local');
+      expect(container.user).toBe('1000');
+      expect(container.group).toBe('1000');
+      expect(container.workingDir).toBe('/app');
+      expect(container.environment).toEqual(['API_KEY=secret']);
+      expect(container.label).toEqual([]);
+      expect(container.autoUpdate).toBe('registry');
+      expect(container.publishPort).toEqual(['127.0.0.1:8443:8443', '5353:53/udp']);
+      expect(container.volume).toEqual([]);
+      expect(container.tmpfs).toEqual(['/run:size=64m']);
+      expect(container.addDevice).toEqual(['/dev/fuse:/dev/fuse']);
+      expect(container.addHost).toEqual(['db.local:10.0.0.5']);
+      expect(container.noNewPrivileges).toBe(true);
+      expect(container.securityLabelDisable).toBe(true);
+      expect(container.network).toEqual([]);
+      expect(container.healthCmd).toBe('curl -f http://localhost/health');
+      expect(container.healthInterval).toBe('30s');
+      expect(container.healthRetries).toBe('3');
+      expect(container.runInit).toBe(true);
+      expect(container.podmanArgs).toBe('--memory 536870912 --cpus 1.5');
+      expect(container.stopSignal).toBeNull();
+      expect(container._restart).toBeUndefined();
+    });
+
+    it('should keep network modes and disabled health checks', () => {
+      const inspect = dockerInspect();
+      inspect[0].HostConfig.NetworkMode = 'host';
+      inspect[0].Config.Healthcheck = { Test: ['NONE'] };
+
+      const [container] = parser.parse(inspect, { image: imageInspect() });
+
+      expect(container.network).toEqual(['host']);
+      expect(container.networkAlias).toEqual([]);
+      expect(container.healthCmd).toBe('none');
+    });
+
+    it('should keep a command when the entrypoint was replaced', () => {
+      const inspect = dockerInspect();
+      inspect[0].Config.Entrypoint = ['sh', '-c'];
+
+      const [container] = parser.parse(inspect, { image: imageInspect() });
+
+      expect(container.entrypoint).toBe('["sh","-c"]');
+      expect(container.exec).toBe('nginx -g "daemon off;"');
+    });
+
+    it('should bracket IPv6 host addresses', () => {
+      const inspect = dockerInspect();
+      inspect[0].HostConfig.PortBindings = {
+        '80/tcp': [{ HostIp: '::1', HostPort: '8080' }, { HostIp: '::', HostPort: '8081' }],
+        '53/udp': [{ HostIp: 'fd00::1', HostPort: '' }]
+      };
+
+      const [container] = parser.parse(inspect);
+
+      expect(container.publishPort).toEqual(['[::1]:8080:80', '8081:80', '[fd00::1]::53/udp']);
+    });
+
+    it('should reject invalid inspect output', () => {
+      expect(() => parser.parse('not json')).toThrow('Container inspect output is not valid JSON');
+      expect(() => parser.parse('[]')).toThrow('Container inspect output contains no containers');
+      expect(() => parser.parse([{ Id: CONTAINER_ID }])).toThrow('Invalid container inspect object: missing Config');
+      expect(() => parser.parse([{ Id: CONTAINER_ID, Name: '/web', Config: {} }])).toThrow("Container 'web' has no image");
+    });
+  });
+
+  describe('_duration', () => {
+    it('should convert nanoseconds into duration strings', () => {
+      expect(parser._duration(30000000000)).toBe('30s');
+      expect(parser._duration(120000000000)).toBe('2m');
+      expect(parser._duration(3600000000000)).toBe('1h');
+      expect(parser._duration(500000000)).toBe('500ms');
+      expect(parser._duration('1m30s')).toBe('1m30s');
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { interpolate, interpolateString, parseEnvFile, loadEnvironment } from '../../src/interpolation.js';
+import { Diagnostics } from '../../src/diagnostics.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+describe('interpolation', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  describe('interpolateString', () => {
+    const environment = { TAG: '1.25', PORT: '8080', EMPTY: '' };
+
+    it('should substitute plain and braced variables', () => {
+      expect(interpolateString('nginx:$TAG', environment)).toBe('nginx:1.25');
+      expect(interpolateString('${PORT}:80', environment)).toBe('8080:80');
+    });
+
+    it('should apply defaults for unset and empty variables', () => {
+      expect(interpolateString('${MISSING:-latest}', environment)).toBe('latest');
+      expect(interpolateString('${EMPTY:-latest}', environment)).toBe('latest');
+      expect(interpolateString('${EMPTY-latest}', environment)).toBe('');
+      expect(interpolateString('${MISSING-latest}', environment)).toBe('latest');
+    });
+
+    it('should apply replacements for set variables', () => {
+      expect(interpolateString('${TAG:+--tag}', environment)).toBe('--tag');
+      expect(interpolateString('${EMPTY:+--tag}', environment)).toBe('');
+      expect(interpolateString('${EMPTY+--tag}', environment)).toBe('--tag');
+      expect(interpolateString('${MISSING+--tag}', environment)).toBe('');
+    });
+
+    it('should interpolate nested defaults', () => {
+      expect(interpolateString('${MISSING:-${PORT}}', environment)).toBe('8080');
+    });
+
+    it('should throw for missing required variables', () => {
+      expect(() => interpolateString('${DB_PASS:?required}', environment))
+        .toThrow('Required variable DB_PASS is missing a value: required');
+      expect(() => interpolateString('${EMPTY:?}', environment))
+        .toThrow('Required variable EMPTY is missing a value');
+      expect(interpolateString('${EMPTY?}', environment)).toBe('');
+      expect(() => interpolateString('${MISSING?must be set}', environment))
+        .toThrow('Required variable MISSING is missing a value: must be set');
+    });
+
+    it('should unescape $$', () => {
+      expect(interpolateString('echo $$HOME $${TAG}', environment)).toBe('echo $HOME ${TAG}');
+    });
+
+    it('should warn and use a blank string for unset variables', () => {
+      expect(interpolateString('nginx:$MISSING', environment)).toBe('nginx:');
+      expect(warn).toHaveBeenCalledWith('Warning: The "MISSING" variable is not set, defaulting to a blank string');
+    });
+
+    it('should reject invalid formats', () => {
+      expect(() => interpolateString('price: 5$', environment)).toThrow('Invalid interpolation format');
+      expect(() => interpolateString('${TAG', environment)).toThrow('Invalid interpolation format');
+      expect(() => interpolateString('${1TAG}', environment)).toThrow('Invalid interpolation format');
+    });
+  });
+
+  describe('interpolate', () => {
+    it('should interpolate nested values but not keys', () => {
+      const compose = {
+        services: {
+          web: {
+            image: 'nginx:${TAG}',
+            ports: ['${PORT}:80'],
+            environment: { $TAG: '$TAG' },
+            restart: 3
+          }
+        }
+      };
+
+      expect(interpolate(compose, { TAG: 'alpine', PORT: '80' })).toEqual({
+        services: {
+          web: {
+            image: 'nginx:alpine',
+            ports: ['80:80'],
+            environment: { $TAG: 'alpine' },
+            restart: 3
+          }
+        }
+      });
+    });
+
+    it('should report where interpolation failed', () => {
+      const compose = { services: { db: { environment: ['PASSWORD=${DB_PASS:?required}'] } } };
+
+      expect(() => interpolate(compose, {}))
+        .toThrow('services.db.environment[0]: Required variable DB_PASS is missing a value: required');
+    });
+
+    it('should report unset variables with their service and path', () => {
+      const diagnostics = new Diagnostics({ onDiagnostic: () => {} });
+
+      interpolate({ services: { web: { ports: ['${PORT}:80'] } } }, {}, '', diagnostics);
+
+      expect(diagnostics.list).toEqual([expect.objectContaining({
+        code: 'unset-variable',
+        service: 'web',
+        path: 'services.web.ports[0]',
+        lossy: false
+      })]);
+      expect(warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseEnvFile', () => {
+    it('should parse quoted, unquoted and exported values', () => {
+      const content = [
+        '# comment',
+        'TAG=1.25',
+        'export PORT=8080 # inline comment',
+        "LITERAL='$TAG'",
+        'QUOTED="line\\none ${TAG}"',
+        'IMAGE=nginx:${TAG}',
+        'BARE',
+        ''
+      ].join('\n');
+
+      expect(parseEnvFile(content, {})).toEqual({
+        TAG: '1.25',
+        PORT: '8080',
+        LITERAL: '$TAG',
+        QUOTED: 'line\none 1.25',
+        IMAGE: 'nginx:1.25'
+      });
+    });
+
+    it('should reject invalid lines', () => {
+      expect(() => parseEnvFile('not a variable', {})).toThrow('Invalid line 1 in .env file');
+      expect(() => parseEnvFile('A="open', {})).toThrow('Unterminated double quote on line 1');
+    });
+  });
+
+  describe('loadEnvironment', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'podletjs-env-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(tmpDir);
+    });
+
+    it('should let the environment override the .env file', async () => {
+      await fs.writeFile(path.join(tmpDir, '.env'), 'TAG=from-file\nPORT=8080\n');
+
+      expect(loadEnvironment(tmpDir, { TAG: 'from-shell' })).toEqual({ TAG: 'from-shell', PORT: '8080' });
+    });
+
+    it('should return the environment when there is no .env file', () => {
+      const environment = { TAG: 'alpine' };
+      expect(loadEnvironment(tmpDir, environment)).toBe(environment);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { KubeGenerator } from '../../src/kube-generator.js';
+import { Container } from '../../src/container.js';
+
+describe('KubeGenerator', () => {
+  let container;
+
+  beforeEach(() => {
+    container = new Container();
+    container.setImage('nginx:latest');
+    container.setContainerName('web');
+  });
+
+  describe('generatePod', () => {
+    it('should generate a pod manifest with one container per Container', () => {
+      const db = new Container();
+      db.setImage('postgres:13');
+      db.setContainerName('db');
+
+      const manifest = KubeGenerator.generatePod('my_app', [container, db]);
+
+      expect(manifest.apiVersion).toBe('v1');
+      expect(manifest.kind).toBe('Pod');
+      expect(manifest.metadata.name).toBe('my-app');
+      expect(manifest.spec.containers.map(c => c.name)).toEqual(['web', 'db']);
+      expect(manifest.spec.containers[1].image).toBe('postgres:13');
+    });
+
+    it('should derive the restart policy from compose metadata', () => {
+      container._restart = 'on-failure';
+      expect(KubeGenerator.generatePod('app', [container]).spec.restartPolicy).toBe('OnFailure');
+      expect(KubeGenerator.generatePod('app', [container], { restartPolicy: 'Never' }).spec.restartPolicy).toBe('Never');
+    });
+  });
+
+  describe('generateDeployment', () => {
+    it('should wrap the pod spec in a deployment', () => {
+      const manifest = KubeGenerator.generateDeployment('app', [container], { replicas: 3 });
+
+      expect(manifest.apiVersion).toBe('apps/v1');
+      expect(manifest.kind).toBe('Deployment');
+      expect(manifest.spec.replicas).toBe(3);
+      expect(manifest.spec.selector.matchLabels).toEqual({ app: 'app' });
+      expect(manifest.spec.template.metadata.labels).toEqual({ app: 'app' });
+      expect(manifest.spec.template.spec.containers[0].name).toBe('web');
+    });
+  });
+
+  describe('generateContainer', () => {
+    it('should map command, ports and environment', () => {
+      container.entrypoint = '/docker-entrypoint.sh';
+      container.exec = 'nginx -g "daemon off;"';
+      container.workingDir = '/srv';
+      container.addPublishPort('8080:80');
+      container.addPublishPort('53/udp');
+      container.addPublishPort('[::1]:9090-9091:8080-8081');
+      container.addEnvironment('GREETING=a=b');
+
+      const result = KubeGenerator.generateContainer(container, new Map());
+
+      expect(result.command).toEqual(['/docker-entrypoint.sh']);
+      expect(result.args).toEqual(['nginx', '-g', 'daemon off;']);
+      expect(result.workingDir).toBe('/srv');
+      expect(result.ports).toEqual([
+        { containerPort: 80, hostPort: 8080, protocol: 'TCP' },
+        { containerPort: 53, protocol: 'UDP' },
+        { containerPort: 8080, hostPort: 9090, hostIP: '::1', protocol: 'TCP' },
+        { containerPort: 8081, hostPort: 9091, hostIP: '::1', protocol: 'TCP' }
+      ]);
+      expect(result.env).toEqual([{ name: 'GREETING', value: 'a=b' }]);
+    });
+
+    it('should map volumes to hostPath, persistentVolumeClaim and emptyDir', () => {
+      container.addVolume('./html:/usr/share/nginx/html:ro');
+      container.addVolume('data.volume:/data');
+      container.addVolume('/cache');
+      container.tmpfs.push('/run:size=10m');
+      const volumes = new Map();
+
+      const result = KubeGenerator.generateContainer(container, volumes, { workingDirectory: '/srv/site' });
+
+      expect(result.volumeMounts).toEqual([
+        { name: 'html', mountPath: '/usr/share/nginx/html', readOnly: true },
+        { name: 'data', mountPath: '/data' },
+        { name: 'anonymous-cache', mountPath: '/cache' },
+        { name: 'tmpfs-run', mountPath: '/run' }
+      ]);
+      expect([...volumes.values()]).toEqual([
+        { name: 'html', hostPath: { path: '/srv/site/html' } },
+        { name: 'data', persistentVolumeClaim: { claimName: 'data' } },
+        { name: 'anonymous-cache', emptyDir: {} },
+        { name: 'tmpfs-run', emptyDir: { medium: 'Memory' } }
+      ]);
+    });
+
+    it('should map health checks to probes', () => {
+      container.healthCmd = 'CMD-SHELL curl -f http://localhost || exit 1';
+      container.healthInterval = '1m30s';
+      container.healthTimeout = '10s';
+      container.healthRetries = 3;
+      container.healthStartPeriod = '40s';
+      container.healthStartupCmd = 'CMD pg_isready -U postgres';
+      container.healthStartupSuccess = 2;
+
+      const result = KubeGenerator.generateContainer(container, new Map());
+
+      expect(result.livenessProbe).toEqual({
+        exec: { command: ['/bin/sh', '-c', 'curl -f http://localhost || exit 1'] },
+        initialDelaySeconds: 40,
+        periodSeconds: 90,
+        timeoutSeconds: 10,
+        failureThreshold: 3
+      });
+      expect(result.startupProbe).toEqual({
+        exec: { command: ['pg_isready', '-U', 'postgres'] },
+        successThreshold: 2
+      });
+    });
+
+    it('should not generate a probe for disabled health checks', () => {
+      container.healthCmd = 'none';
+      expect(KubeGenerator.generateContainer(container, new Map()).livenessProbe).toBeUndefined();
+    });
+
+    it('should map capabilities and users to the security context', () => {
+      container.addCapability.push('NET_ADMIN');
+      container.dropCapability.push('ALL');
+      container.user = '1000';
+      container.group = 'staff';
+      container.readOnly = true;
+      container.noNewPrivileges = true;
+
+      const result = KubeGenerator.generateContainer(container, new Map());
+
+      expect(result.securityContext).toEqual({
+        capabilities: { add: ['NET_ADMIN'], drop: ['ALL'] },
+        runAsUser: 1000,
+        readOnlyRootFilesystem: true,
+        allowPrivilegeEscalation: false
+      });
+    });
+  });
+
+  describe('durationToSeconds', () => {
+    it('should convert Go style durations', () => {
+      expect(KubeGenerator.durationToSeconds('30s')).toBe(30);
+      expect(KubeGenerator.durationToSeconds('1m30s')).toBe(90);
+      expect(KubeGenerator.durationToSeconds('1h')).toBe(3600);
+      expect(KubeGenerator.durationToSeconds('500ms')).toBe(1);
+      expect(KubeGenerator.durationToSeconds(15)).toBe(15);
+      expect(KubeGenerator.durationToSeconds('0s')).toBe(0);
+    });
+  });
+
+  describe('generateYaml', () => {
+    it('should serialize manifests to YAML', () => {
+      const result = KubeGenerator.generateYaml(KubeGenerator.generatePod('app', [container]));
+
+      expect(result).toContain('apiVersion: v1');
+      expect(result).toContain('kind: Pod');
+      expect(result).toContain('image: nginx:latest');
+    });
+  });
+});
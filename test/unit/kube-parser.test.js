@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import { KubeParser } from '../../src/kube-parser.js';
+
+const VENDOR_YAML = `apiVersion: apps/v1
+kind: Deployment
+metadata:
+  name: shop
+spec:
+  template:
+    spec:
+      containers:
+        - name: web
+          image: quay.io/vendor/shop:2.1
+          ports:
+            - containerPort: 8080
+              hostPort: 8080
+            - containerPort: 5353
+              hostPort: 5353
+              hostIP: 127.0.0.1
+              protocol: UDP
+            - containerPort: 9000
+              hostPort: 9000
+              hostIP: "::1"
+          envFrom:
+            - configMapRef:
+                name: shop-settings
+            - secretRef:
+                name: shop-secrets
+          env:
+            - name: LOCALE
+              valueFrom:
+                configMapKeyRef:
+                  name: shop-locale
+                  key: locale
+      volumes:
+        - name: data
+          persistentVolumeClaim:
+            claimName: shop-data
+        - name: theme
+          configMap:
+            name: shop-theme
+---
+apiVersion: v1
+kind: ConfigMap
+metadata:
+  name: shop-theme
+data:
+  color: blue
+---
+apiVersion: v1
+kind: PersistentVolumeClaim
+metadata:
+  name: shop-data
+  labels:
+    app: shop
+  annotations:
+    volume.podman.io/driver: local
+    volume.podman.io/device: /srv/shop
+    volume.podman.io/mount-options: bind
+spec:
+  accessModes: [ReadWriteOnce]
+`;
+
+describe('KubeParser', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  describe('parse', () => {
+    it('should name the unit after the first workload', () => {
+      expect(KubeParser.parse(VENDOR_YAML).name).toBe('shop');
+      expect(KubeParser.parse(VENDOR_YAML, { name: 'store' }).kube.yaml).toBe('store.yaml');
+    });
+
+    it('should publish the host ports of the containers', () => {
+      const { kube } = KubeParser.parse(VENDOR_YAML);
+
+      expect(kube.publishPort).toEqual(['8080:8080', '127.0.0.1:5353:5353/udp', '[::1]:9000:9000']);
+    });
+
+    it('should list the ConfigMaps referenced but not defined in the YAML', () => {
+      const { kube } = KubeParser.parse(VENDOR_YAML);
+
+      expect(kube.configMap).toEqual(['shop-settings.yaml', 'shop-locale.yaml']);
+      expect(warn).toHaveBeenCalledTimes(2);
+      expect(warn).toHaveBeenCalledWith("Warning: ConfigMap 'shop-settings' is not defined in the YAML, " +
+        'provide it as shop-settings.yaml next to the .kube unit or podman kube play fails when the unit starts');
+    });
+
+    it('should turn PersistentVolumeClaims into volumes named after the claim', () => {
+      const { volumes } = KubeParser.parse(VENDOR_YAML);
+
+      expect(Object.keys(volumes)).toEqual(['shop-data']);
+      expect(volumes['shop-data']).toMatchObject({
+        volumeName: 'shop-data',
+        driver: 'local',
+        device: '/srv/shop',
+        options: 'bind',
+        label: ['app=shop']
+      });
+    });
+
+    it('should publish node ports and warn about unsupported objects', () => {
+      const { kube } = KubeParser.parse(`kind: List
+items:
+  - kind: Pod
+    metadata: { name: app }
+    spec:
+      containers: [{ name: app, image: nginx }]
+  - kind: Service
+    metadata: { name: app-node }
+    spec:
+      type: NodePort
+      ports: [{ port: 80, targetPort: 8080, nodePort: 30080 }, { port: 53, nodePort: 30053, protocol: UDP }]
+  - kind: Service
+    metadata: { name: app-lb }
+    spec: { type: LoadBalancer }
+  - kind: Ingress
+    metadata: { name: app-ingress }
+`);
+
+      expect(kube.publishPort).toEqual(['30080:8080', '30053:53/udp']);
+      expect(warn).toHaveBeenCalledWith("Warning: Service 'app-lb' of type LoadBalancer is not supported by podman kube play, skipped");
+      expect(warn).toHaveBeenCalledWith("Warning: Ingress 'app-ingress' is not supported by podman kube play, skipped");
+    });
+
+    it('should reject YAML without a workload or with invalid documents', () => {
+      expect(() => KubeParser.parse('kind: ConfigMap\nmetadata:\n  name: settings\n'))
+        .toThrow('Kubernetes YAML contains no Pod, Deployment, DaemonSet or Job');
+      expect(() => KubeParser.parse('- not an object\n')).toThrow('every document must be an object with a kind');
+      expect(() => KubeParser.parse('kind: Pod\nspec: {}\n')).toThrow('Pod has no metadata.name');
+      expect(() => KubeParser.parse(null)).toThrow('Kubernetes YAML content must be a string');
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import { Kube } from '../../src/kube.js';
+
+describe('Kube', () => {
+  it('should set the YAML file', () => {
+    const k = new Kube();
+    k.setYaml('app.yaml');
+    expect(k.yaml).toBe('app.yaml');
+    expect(() => k.setYaml('')).toThrow('Kubernetes YAML file must be a non-empty string');
+  });
+
+  it('should require a YAML file to validate', () => {
+    const k = new Kube();
+    expect(() => k.validate()).toThrow('Kubernetes YAML file is required');
+    k.setYaml('app.yaml');
+    expect(() => k.validate()).not.toThrow();
+  });
+});
@@ -0,0 +1,19 @@
+import { validateLabel } from '../../src/label.js';
+
+describe('label', () => {
+  describe('validateLabel', () => {
+    it('should return the trimmed label', () => {
+      expect(validateLabel('  tier=web ')).toBe('tier=web');
+      expect(validateLabel('com.example.empty=')).toBe('com.example.empty=');
+      expect(validateLabel('url=http://example.com/?a=b')).toBe('url=http://example.com/?a=b');
+    });
+
+    it('should reject labels without a key=value pair or a key', () => {
+      expect(() => validateLabel('')).toThrow('Label must be a non-empty string');
+      expect(() => validateLabel(null)).toThrow('Label must be a non-empty string');
+      expect(() => validateLabel('tier')).toThrow('Label must be in format "key=value"');
+      expect(() => validateLabel('=web')).toThrow("Label key '' must not be empty or contain whitespace");
+      expect(() => validateLabel('my tier=web')).toThrow("Label key 'my tier' must not be empty or contain whitespace");
+    });
+  });
+});
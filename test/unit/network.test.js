@@ -0,0 +1,25 @@
+import { Network } from '../../src/network.js';
+
+describe('Network', () => {
+  it('should set network name', () => {
+    const n = new Network();
+    n.setNetworkName('app_default');
+    expect(n.networkName).toBe('app_default');
+    expect(() => n.setNetworkName(' ')).toThrow('Network name must be a non-empty string');
+  });
+
+  it('should add labels with validation', () => {
+    const n = new Network();
+    n.addLabel('tier=frontend');
+    expect(n.label).toContain('tier=frontend');
+    expect(() => n.addLabel('invalid')).toThrow('Label must be in format "key=value"');
+  });
+
+  it('should require a subnet for each gateway', () => {
+    const n = new Network();
+    n.gateway.push('10.0.0.1');
+    expect(() => n.validate()).toThrow('Each gateway and IP range requires a subnet');
+    n.subnet.push('10.0.0.0/24');
+    expect(() => n.validate()).not.toThrow();
+  });
+});
@@ -0,0 +1,44 @@
+import { Pod } from '../../src/pod.js';
+
+describe('Pod', () => {
+  it('should set pod name', () => {
+    const p = new Pod();
+    p.setPodName('my-app');
+    expect(p.podName).toBe('my-app');
+  });
+
+  it('should reject invalid pod names', () => {
+    const p = new Pod();
+    expect(() => p.setPodName('')).toThrow('Pod name must be a non-empty string');
+    expect(() => p.setPodName('-bad')).toThrow('Pod name must start with alphanumeric character');
+  });
+
+  it('should add published ports without duplicates', () => {
+    const p = new Pod();
+    p.addPublishPort('8080:80');
+    p.addPublishPort('8080:80');
+    p.addPublishPort('3000:3000');
+    expect(p.publishPort).toEqual(['8080:80', '3000:3000']);
+  });
+
+  it('should validate published ports like containers', () => {
+    const p = new Pod();
+    p.addPublishPort('[::1]:8080:80');
+    expect(p.publishPort).toEqual(['[::1]:8080:80']);
+    expect(() => p.addPublishPort('8080:70000')).toThrow('Port 70000 is out of valid range (1-65535)');
+  });
+
+  it('should add networks without duplicates', () => {
+    const p = new Pod();
+    p.addNetwork('frontend');
+    p.addNetwork('frontend');
+    expect(p.network).toEqual(['frontend']);
+  });
+
+  it('should require a pod name to validate', () => {
+    const p = new Pod();
+    expect(() => p.validate()).toThrow('Pod name is required');
+    p.setPodName('app');
+    expect(() => p.validate()).not.toThrow();
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { parseVersion, compareVersions, checkUnitType, downgradeContainer } from '../../src/podman-version.js';
+import { Container } from '../../src/container.js';
+
+describe('podman-version', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  describe('parseVersion', () => {
+    it('should accept strings, numbers and patch versions', () => {
+      expect(parseVersion('4.6')).toEqual([4, 6]);
+      expect(parseVersion('v5.0.2')).toEqual([5, 0]);
+      expect(parseVersion(4.8)).toEqual([4, 8]);
+      expect(parseVersion('5')).toEqual([5, 0]);
+    });
+
+    it('should reject invalid and pre-Quadlet versions', () => {
+      expect(() => parseVersion('latest')).toThrow("Invalid Podman version 'latest'");
+      expect(() => parseVersion('4.3')).toThrow('Quadlet requires Podman 4.4 or newer');
+    });
+  });
+
+  describe('compareVersions', () => {
+    it('should compare major then minor versions', () => {
+      expect(compareVersions('4.10', '4.9')).toBeGreaterThan(0);
+      expect(compareVersions([5, 0], '4.9')).toBeGreaterThan(0);
+      expect(compareVersions('4.4', [4, 4])).toBe(0);
+    });
+  });
+
+  describe('checkUnitType', () => {
+    it('should reject unit types newer than the target version', () => {
+      expect(() => checkUnitType('pod', '4.9')).toThrow('.pod Quadlet files require Podman 5.0 or newer');
+      expect(() => checkUnitType('image', '4.7')).toThrow('.image Quadlet files require Podman 4.8 or newer');
+      expect(() => checkUnitType('build', '5.0')).not.toThrow();
+      expect(() => checkUnitType('volume', '4.4')).not.toThrow();
+    });
+  });
+
+  describe('downgradeContainer', () => {
+    it('should move unsupported keys to PodmanArgs and warn', () => {
+      const container = new Container().setImage('nginx');
+      container.healthStartupCmd = 'curl -f http://localhost';
+      container.pull = 'newer';
+      container.entrypoint = '/docker-entrypoint.sh';
+      container.timezone = 'local';
+      container.notify = 'healthy';
+      container.podmanArgs = '--privileged';
+
+      const downgraded = downgradeContainer(container, '4.4');
+
+      expect(downgraded.podmanArgs).toBe('--privileged ' +
+        '--health-startup-cmd "curl -f http://localhost" --tz local --pull newer ' +
+        '--entrypoint /docker-entrypoint.sh --sdnotify=healthy');
+      expect(downgraded.healthStartupCmd).toBeNull();
+      expect(downgraded.pull).toBeNull();
+      expect(downgraded.notify).toBe('conmon');
+      expect(warn).toHaveBeenCalledWith(
+        'Warning: Pull= requires Podman 4.7 or newer, moved to PodmanArgs= for Podman 4.4'
+      );
+      expect(warn).toHaveBeenCalledTimes(5);
+    });
+
+    it('should leave the original container untouched', () => {
+      const container = new Container().setImage('nginx');
+      container.sysctl = ['net.ipv4.ip_forward=1', 'net.core.somaxconn=1024'];
+
+      const downgraded = downgradeContainer(container, '4.4');
+
+      expect(downgraded.podmanArgs).toBe('--sysctl net.ipv4.ip_forward=1 --sysctl net.core.somaxconn=1024');
+      expect(downgraded.sysctl).toEqual([]);
+      expect(container.sysctl).toHaveLength(2);
+    });
+
+    it('should keep keys the target version supports', () => {
+      const container = new Container().setImage('nginx');
+      container.pull = 'always';
+      container.entrypoint = '/init';
+
+      const downgraded = downgradeContainer(container, '4.8');
+
+      expect(downgraded.pull).toBe('always');
+      expect(downgraded.entrypoint).toBeNull();
+      expect(downgraded.podmanArgs).toBe('--entrypoint /init');
+    });
+
+    it('should throw for keys without a PodmanArgs equivalent', () => {
+      const container = new Container().setImage('nginx');
+      container.pod = 'app.pod';
+
+      expect(() => downgradeContainer(container, '4.9'))
+        .toThrow('Pod= requires Podman 5.0 or newer and has no equivalent for Podman 4.9');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { parsePort, formatPort, portRange } from '../../src/port.js';
+
+describe('port', () => {
+  describe('parsePort', () => {
+    it('should split host addresses, ports and protocols', () => {
+      expect(parsePort('80')).toEqual({ hostIp: null, hostPort: null, containerPort: '80', protocol: null });
+      expect(parsePort('8080:80/tcp')).toEqual({ hostIp: null, hostPort: '8080', containerPort: '80', protocol: 'tcp' });
+      expect(parsePort('127.0.0.1:8080:80')).toEqual({ hostIp: '127.0.0.1', hostPort: '8080', containerPort: '80', protocol: null });
+      expect(parsePort('127.0.0.1::53/udp')).toEqual({ hostIp: '127.0.0.1', hostPort: null, containerPort: '53', protocol: 'udp' });
+    });
+
+    it('should accept IPv6 host addresses in brackets', () => {
+      expect(parsePort('[::1]:53:53/udp')).toEqual({ hostIp: '::1', hostPort: '53', containerPort: '53', protocol: 'udp' });
+      expect(parsePort('[fd00::1]::80')).toEqual({ hostIp: 'fd00::1', hostPort: null, containerPort: '80', protocol: null });
+    });
+
+    it('should accept port ranges', () => {
+      expect(parsePort('8000-8010:8000-8010').containerPort).toBe('8000-8010');
+      expect(parsePort('9090-9091:8080-8081').hostPort).toBe('9090-9091');
+      expect(parsePort('8000-8010:80').hostPort).toBe('8000-8010');
+      expect(parsePort('6000-6002/udp').containerPort).toBe('6000-6002');
+    });
+
+    it('should reject malformed ports', () => {
+      for (const port of ['abc', '8080:', ':80', '1:2:3:4', '80/http', '::1:53:53', '8080-:80']) {
+        expect(() => parsePort(port)).toThrow('Port must be in format');
+      }
+      expect(() => parsePort('')).toThrow('Port must be a non-empty string');
+      expect(() => parsePort(8080)).toThrow('Port must be a non-empty string');
+    });
+
+    it('should reject invalid host addresses, ports and ranges', () => {
+      expect(() => parsePort('300.0.0.1:80:80')).toThrow('Host address 300.0.0.1 is not a valid IPv4 address');
+      expect(() => parsePort('[::g]:80:80')).toThrow('Host address ::g is not a valid IPv6 address');
+      expect(() => parsePort('8080:70000')).toThrow('Port 70000 is out of valid range (1-65535)');
+      expect(() => parsePort('0:80')).toThrow('Port 0 is out of valid range (1-65535)');
+      expect(() => parsePort('8010-8000:80')).toThrow('Port range 8010-8000 must not end before it starts');
+      expect(() => parsePort('9090-9092:8080-8081'))
+        .toThrow('Host port range 9090-9092 and container port range 8080-8081 must have the same size');
+    });
+  });
+
+  describe('formatPort', () => {
+    it('should bracket IPv6 addresses and omit the tcp protocol', () => {
+      expect(formatPort({ containerPort: '80' })).toBe('80');
+      expect(formatPort({ hostPort: '8080', containerPort: '80', protocol: 'TCP' })).toBe('8080:80');
+      expect(formatPort({ hostIp: '127.0.0.1', containerPort: '53', protocol: 'udp' })).toBe('127.0.0.1::53/udp');
+      expect(formatPort({ hostIp: '::1', hostPort: '9090-9091', containerPort: '8080-8081' })).toBe('[::1]:9090-9091:8080-8081');
+    });
+
+    it('should write back what parsePort reads', () => {
+      for (const port of ['53/udp', '8000-8010:8000-8010', '127.0.0.1::80', '[::1]:53:53/sctp']) {
+        expect(formatPort(parsePort(port))).toBe(port);
+      }
+    });
+  });
+
+  describe('portRange', () => {
+    it('should expand ports and ranges', () => {
+      expect(portRange('80')).toEqual([80]);
+      expect(portRange('8000-8002')).toEqual([8000, 8001, 8002]);
+    });
+  });
+});
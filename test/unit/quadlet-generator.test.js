@@ -1,5 +1,12 @@
+import { jest } from '@jest/globals';
 import { QuadletGenerator } from '../../src/quadlet-generator.js';
 import { Container } from '../../src/container.js';
+import { Pod } from '../../src/pod.js';
+import { Build } from '../../src/build.js';
+import { Volume } from '../../src/volume.js';
+import { Image } from '../../src/image.js';
+import { Network } from '../../src/network.js';
+import { Kube } from '../../src/kube.js';
 
 describe('QuadletGenerator', () => {
   let container;
@@ -85,6 +92,22 @@ describe('QuadletGenerator', () => {
       expect(result).toContain('[Service]');
       expect(result).toContain('[Install]');
     });
+
+    it('should move keys newer than the podmanVersion option to PodmanArgs', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const container = new Container();
+      container.setImage('nginx');
+      container.pull = 'always';
+      container.healthCmd = 'curl -f http://localhost';
+
+      const result = QuadletGenerator.generateFile(container, { podmanVersion: '4.4' });
+
+      expect(result).not.toContain('Pull=');
+      expect(result).not.toContain('HealthCmd=');
+      expect(result).toContain('PodmanArgs=--health-cmd "curl -f http://localhost" --pull always');
+      expect(container.pull).toBe('always');
+      warn.mockRestore();
+    });
   });
 
   describe('generateContainerSection', () => {
@@ -202,6 +225,20 @@ describe('QuadletGenerator', () => {
       expect(result).toContain('NetworkAlias=api');
     });
 
+    it('should include hosts, exposed ports, mounts and devices', () => {
+      container.addHost.push('db.local:10.0.0.5');
+      container.exposeHostPort.push('9000');
+      container.mount.push('type=bind,source=/srv,destination=/srv');
+      container.addDevice.push('/dev/fuse');
+      
+      const result = QuadletGenerator.generateContainerSection(container);
+      
+      expect(result).toContain('AddHost=db.local:10.0.0.5');
+      expect(result).toContain('ExposeHostPort=9000');
+      expect(result).toContain('Mount=type=bind,source=/srv,destination=/srv');
+      expect(result).toContain('AddDevice=/dev/fuse');
+    });
+
     it('should include capabilities', () => {
       container.addCapability.push('NET_ADMIN');
       container.addCapability.push('SYS_TIME');
@@ -376,6 +413,16 @@ describe('QuadletGenerator', () => {
       expect(result).toContain('HealthStartupTimeout=5s');
     });
 
+    it('should include health check log configuration', () => {
+      container.healthLogDestination = '/var/log/web';
+      container.healthMaxLogCount = 10;
+      container.healthMaxLogSize = 1024;
+
+      const result = QuadletGenerator.generateContainerSection(container);
+
+      expect(result).toContain('HealthLogDestination=/var/log/web\nHealthMaxLogCount=10\nHealthMaxLogSize=1024\n');
+    });
+
     it('should include systemd integration options', () => {
       container.notify = 'container';
       container.stopSignal = 'SIGTERM';
@@ -495,6 +542,171 @@ describe('QuadletGenerator', () => {
     });
   });
 
+  describe('generatePodFile', () => {
+    it('should generate a pod section with ports and networks', () => {
+      const pod = new Pod();
+      pod.setPodName('app');
+      pod.addPublishPort('8080:80');
+      pod.addPublishPort('3000:3000');
+      pod.addNetwork('frontend');
+
+      const result = QuadletGenerator.generatePodFile(pod);
+
+      expect(result).toContain('[Pod]');
+      expect(result).toContain('PodName=app');
+      expect(result).toContain('PublishPort=8080:80');
+      expect(result).toContain('PublishPort=3000:3000');
+      expect(result).toContain('Network=frontend');
+      expect(result).not.toContain('[Container]');
+    });
+
+    it('should include Unit and Install sections when provided', () => {
+      const pod = new Pod();
+      pod.setPodName('app');
+
+      const result = QuadletGenerator.generatePodFile(pod, {
+        unit: { description: 'App pod' },
+        install: { wantedBy: ['default.target'] }
+      });
+
+      expect(result).toMatch(/^\[Unit\]\nDescription=App pod\n\n\[Pod\]/);
+      expect(result).toContain('[Install]\nWantedBy=default.target');
+    });
+
+    it('should reject Podman versions without .pod support', () => {
+      const pod = new Pod();
+      pod.setPodName('app');
+
+      expect(() => QuadletGenerator.generatePodFile(pod, { podmanVersion: '4.9' }))
+        .toThrow('.pod Quadlet files require Podman 5.0 or newer');
+    });
+  });
+
+  describe('generateBuildFile', () => {
+    it('should generate a build section', () => {
+      const build = new Build();
+      build.addImageTag('localhost/app');
+      build.setWorkingDirectory = './app';
+      build.file = 'Dockerfile.prod';
+      build.target = 'runtime';
+      build.addBuildArg('VERSION=1.0');
+      build.addLabel('description=my app');
+      build.pull = 'always';
+
+      const result = QuadletGenerator.generateBuildFile(build);
+
+      expect(result).toContain('[Build]');
+      expect(result).toContain('ImageTag=localhost/app');
+      expect(result).toContain('SetWorkingDirectory=./app');
+      expect(result).toContain('File=Dockerfile.prod');
+      expect(result).toContain('Target=runtime');
+      expect(result).toContain('BuildArg=VERSION=1.0');
+      expect(result).toContain('Label="description=my app"');
+      expect(result).toContain('Pull=always');
+      expect(result).not.toContain('[Container]');
+    });
+  });
+
+  describe('generateImageFile', () => {
+    it('should generate an image section', () => {
+      const image = new Image().setImage('quay.io/app/api:1.2').setPlatform('linux/arm64/v8');
+      image.allTags = true;
+      image.authFile = '/etc/containers/auth.json';
+      image.tlsVerify = false;
+
+      expect(QuadletGenerator.generateImageFile(image)).toBe(`[Image]
+Image=quay.io/app/api:1.2
+AllTags=true
+Arch=arm64
+OS=linux
+Variant=v8
+AuthFile=/etc/containers/auth.json
+TLSVerify=false
+`);
+    });
+
+    it('should reject Podman versions without .image units', () => {
+      const image = new Image().setImage('nginx');
+
+      expect(() => QuadletGenerator.generateImageFile(image, { podmanVersion: '4.7' })).toThrow();
+      expect(QuadletGenerator.generateImageFile(image, { podmanVersion: '4.8' })).toBe('[Image]\nImage=nginx\n');
+    });
+  });
+
+  describe('generateVolumeFile', () => {
+    it('should generate an empty volume section for a default volume', () => {
+      const result = QuadletGenerator.generateVolumeFile(new Volume());
+
+      expect(result).toBe('[Volume]\n');
+    });
+
+    it('should generate a volume section with driver options and labels', () => {
+      const volume = new Volume();
+      volume.setVolumeName('app-cache');
+      volume.driver = 'local';
+      volume.type = 'tmpfs';
+      volume.device = 'tmpfs';
+      volume.options = 'size=100m';
+      volume.addLabel('backup=never');
+
+      const result = QuadletGenerator.generateVolumeFile(volume);
+
+      expect(result).toContain('VolumeName=app-cache');
+      expect(result).toContain('Driver=local');
+      expect(result).toContain('Type=tmpfs');
+      expect(result).toContain('Device=tmpfs');
+      expect(result).toContain('Options=size=100m');
+      expect(result).toContain('Label=backup=never');
+    });
+  });
+
+  describe('generateNetworkFile', () => {
+    it('should generate a network section', () => {
+      const network = new Network();
+      network.setNetworkName('app_frontend');
+      network.driver = 'bridge';
+      network.options.push('isolate=true');
+      network.ipamDriver = 'host-local';
+      network.subnet.push('10.5.0.0/24');
+      network.gateway.push('10.5.0.1');
+      network.ipRange.push('10.5.0.128/25');
+      network.internal = true;
+      network.ipv6 = true;
+      network.addLabel('tier=frontend');
+
+      const result = QuadletGenerator.generateNetworkFile(network);
+
+      expect(result).toContain('[Network]');
+      expect(result).toContain('NetworkName=app_frontend');
+      expect(result).toContain('Driver=bridge');
+      expect(result).toContain('Options=isolate=true');
+      expect(result).toContain('IPAMDriver=host-local');
+      expect(result).toContain('Subnet=10.5.0.0/24');
+      expect(result).toContain('Gateway=10.5.0.1');
+      expect(result).toContain('IPRange=10.5.0.128/25');
+      expect(result).toContain('Internal=true');
+      expect(result).toContain('IPv6=true');
+      expect(result).toContain('Label=tier=frontend');
+    });
+  });
+
+  describe('generateKubeFile', () => {
+    it('should generate a kube section', () => {
+      const kube = new Kube();
+      kube.setYaml('app.yaml');
+      kube.configMap.push('app-config.yaml');
+      kube.publishPort.push('8080:80');
+
+      const result = QuadletGenerator.generateKubeFile(kube, { install: { wantedBy: ['default.target'] } });
+
+      expect(result).toContain('[Kube]');
+      expect(result).toContain('Yaml=app.yaml');
+      expect(result).toContain('ConfigMap=app-config.yaml');
+      expect(result).toContain('PublishPort=8080:80');
+      expect(result).toContain('[Install]');
+    });
+  });
+
   describe('generateUnitSection', () => {
     it('should generate empty unit section when no properties', () => {
       const result = QuadletGenerator.generateUnitSection({});
@@ -592,6 +804,14 @@ describe('QuadletGenerator', () => {
       expect(result).toContain('Restart=on-failure');
       expect(result).toContain('RestartSec=10');
     });
+
+    it('should include other systemd keys given under their systemd name', () => {
+      const service = { Restart: 'always', ExecStartPre: ['/usr/bin/true', '/usr/bin/sleep 1'], ignored: 'x' };
+      
+      const result = QuadletGenerator.generateServiceSection(service);
+      
+      expect(result).toBe('[Service]\nRestart=always\nExecStartPre=/usr/bin/true\nExecStartPre=/usr/bin/sleep 1\n');
+    });
   });
 
   describe('generateInstallSection', () => {
@@ -0,0 +1,178 @@
+import { QuadletParser } from '../../src/quadlet-parser.js';
+import { QuadletGenerator } from '../../src/quadlet-generator.js';
+import { Container } from '../../src/container.js';
+
+describe('QuadletParser', () => {
+  describe('parseSections', () => {
+    it('should split sections and keep repeated keys in order', () => {
+      const sections = QuadletParser.parseSections(`
+# Comment
+[Container]
+Image = nginx
+PublishPort=8080:80
+PublishPort=8443:443
+
+; Another comment
+[Install]
+WantedBy=default.target
+`);
+
+      expect(sections).toEqual([
+        {
+          name: 'Container',
+          entries: [
+            { key: 'Image', value: 'nginx', line: 4 },
+            { key: 'PublishPort', value: '8080:80', line: 5 },
+            { key: 'PublishPort', value: '8443:443', line: 6 }
+          ]
+        },
+        { name: 'Install', entries: [{ key: 'WantedBy', value: 'default.target', line: 10 }] }
+      ]);
+    });
+
+    it('should join continued lines, skipping comments in between', () => {
+      const [section] = QuadletParser.parseSections(
+        '[Container]\nExec=sh -c \\\n  "echo hello" \\\n# skipped\n  --verbose\n'
+      );
+
+      expect(section.entries).toEqual([{ key: 'Exec', value: 'sh -c "echo hello" --verbose', line: 2 }]);
+    });
+
+    it('should reject invalid lines', () => {
+      expect(() => QuadletParser.parseSections('[Container]\nImage\n')).toThrow('Invalid line 2: expected key=value');
+      expect(() => QuadletParser.parseSections('Image=nginx\n')).toThrow('Line 1 is outside of a section');
+      expect(() => QuadletParser.parseSections(null)).toThrow('Quadlet file content must be a string');
+    });
+  });
+
+  describe('parse', () => {
+    it('should parse the [Container] section into a Container', () => {
+      const { container } = QuadletParser.parse(`
+[Container]
+Image=docker.io/library/nginx:alpine
+ContainerName=web
+PublishPort=8080:80
+Environment=A=1 "B=two words"
+Label="description=Web Server"
+AddCapability=NET_ADMIN SYS_TIME
+Mask=/proc/kcore:/proc/keys
+ReadOnly=yes
+ReadOnlyTmpfs=false
+Notify=true
+PodmanArgs=--memory 512m
+PodmanArgs=--cpus 2
+`);
+
+      expect(container).toBeInstanceOf(Container);
+      expect(container.image).toBe('docker.io/library/nginx:alpine');
+      expect(container.containerName).toBe('web');
+      expect(container.publishPort).toEqual(['8080:80']);
+      expect(container.environment).toEqual(['A=1', 'B=two words']);
+      expect(container.label).toEqual(['description=Web Server']);
+      expect(container.addCapability).toEqual(['NET_ADMIN', 'SYS_TIME']);
+      expect(container.mask).toEqual(['/proc/kcore', '/proc/keys']);
+      expect(container.readOnly).toBe(true);
+      expect(container.readOnlyTmpfs).toBe(false);
+      expect(container.notify).toBe('container');
+      expect(container.podmanArgs).toBe('--memory 512m --cpus 2');
+    });
+
+    it('should reset a list with an empty value', () => {
+      const { container } = QuadletParser.parse('[Container]\nImage=nginx\nVolume=a:/a\nVolume=\nVolume=b:/b\n');
+
+      expect(container.volume).toEqual(['b:/b']);
+    });
+
+    it('should parse the systemd sections into generator options', () => {
+      const result = QuadletParser.parse(`
+[Unit]
+Description=Web server
+After=network-online.target db.service
+Wants=network-online.target
+
+[Container]
+Image=nginx
+
+[Service]
+Restart=always
+ExecStartPre=/usr/bin/true
+ExecStartPre=/usr/bin/sleep 1
+
+[Install]
+WantedBy=multi-user.target default.target
+`);
+
+      expect(result.unit).toEqual({
+        description: 'Web server',
+        after: ['network-online.target', 'db.service'],
+        wants: ['network-online.target']
+      });
+      expect(result.service).toEqual({ restart: 'always', ExecStartPre: ['/usr/bin/true', '/usr/bin/sleep 1'] });
+      expect(result.install).toEqual({ wantedBy: ['multi-user.target', 'default.target'] });
+      expect(result.globals).toBeNull();
+    });
+
+    it('should keep unknown keys and sections as passthrough', () => {
+      const result = QuadletParser.parse('[Container]\nImage=nginx\nCgroupsMode=no-conmon\n[Quadlet]\nDefaultDependencies=false\n');
+
+      expect(result.container.image).toBe('nginx');
+      expect(result.passthrough).toEqual([
+        { section: 'Container', key: 'CgroupsMode', value: 'no-conmon' },
+        { section: 'Quadlet', key: 'DefaultDependencies', value: 'false' }
+      ]);
+    });
+
+    it('should reject invalid booleans and files without a container', () => {
+      expect(() => QuadletParser.parse('[Container]\nReadOnly=maybe\n'))
+        .toThrow("Invalid boolean 'maybe' for ReadOnly= on line 2");
+      expect(() => QuadletParser.parse('[Unit]\nDescription=x\n'))
+        .toThrow('Quadlet file has no [Container] section');
+    });
+  });
+
+  describe('round trip', () => {
+    it('should read back what QuadletGenerator writes', () => {
+      const container = new Container()
+        .setImage('quay.io/app/api:1.2')
+        .setContainerName('api')
+        .setExec('serve --port 8080 "--name=my app"')
+        .addPublishPort('8080:8080')
+        .addEnvironment('NODE_ENV=production')
+        .addEnvironment('GREETING=hello world')
+        .addVolume('data:/data:Z')
+        .addLabel('description=API Server');
+      container.network.push('backend');
+      container.addCapability.push('NET_BIND_SERVICE');
+      container.dropCapability.push('ALL');
+      container.dns.push('1.1.1.1');
+      container.noNewPrivileges = true;
+      container.user = '1000';
+      container.readOnlyTmpfs = false;
+      container.healthCmd = 'curl -f http://localhost:8080/health';
+      container.notify = 'healthy';
+      container.sysctl.push('net.core.somaxconn=1024');
+      container.podmanArgs = '--memory 512m';
+
+      const options = {
+        unit: { description: 'API server', after: ['network-online.target'] },
+        service: { restart: 'always', ExecStartPre: '/usr/bin/true' },
+        install: { wantedBy: ['default.target'] },
+        globals: { podmanArgs: '--log-level=debug' }
+      };
+
+      const content = QuadletGenerator.generateFile(container, options);
+      const parsed = QuadletParser.parse(content);
+
+      expect(parsed.container).toEqual(container);
+      expect(QuadletGenerator.generateFile(parsed.container, parsed)).toBe(content);
+    });
+
+    it('should write back the keys it has no field for', () => {
+      const content = '[Container]\nImage=nginx\nReloadCmd=/usr/sbin/nginx -s reload\n\n' +
+        '[Service]\nRestart=always\n\n[Quadlet]\nDefaultDependencies=false\n';
+      const parsed = QuadletParser.parse(content);
+
+      expect(QuadletGenerator.generateFile(parsed.container, parsed)).toBe(content);
+    });
+  });
+});
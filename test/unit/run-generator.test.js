@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import { RunGenerator } from '../../src/run-generator.js';
+import { RunParser } from '../../src/run-parser.js';
+import { Container } from '../../src/container.js';
+import { Diagnostics } from '../../src/diagnostics.js';
+
+describe('RunGenerator', () => {
+  let container;
+
+  beforeEach(() => {
+    container = new Container().setImage('nginx:alpine');
+  });
+
+  describe('generateCommand', () => {
+    it('should generate a podman run command by default', () => {
+      container.setContainerName('web').addPublishPort('8080:80').addEnvironment('NODE_ENV=production');
+
+      expect(RunGenerator.generateCommand(container))
+        .toBe('podman run --name web --publish 8080:80 --env NODE_ENV=production nginx:alpine');
+    });
+
+    it('should shell-quote arguments and split Exec and PodmanArgs', () => {
+      container.addEnvironment('GREETING=hello $USER');
+      container.setExec('sh -c "echo it\'s done"');
+      container.podmanArgs = '--memory 512m --annotation "note=two words"';
+
+      expect(RunGenerator.generateCommand(container)).toBe(
+        `podman run --env 'GREETING=hello $USER' --memory 512m --annotation 'note=two words' nginx:alpine sh -c 'echo it'\\''s done'`
+      );
+    });
+
+    it('should express security, user and health check fields', () => {
+      container.noNewPrivileges = true;
+      container.securityLabelType = 'container_t';
+      container.mask.push('/proc/kcore', '/proc/keys');
+      container.user = '1000';
+      container.group = '1000';
+      container.userNS = 'keep-id';
+      container.readOnly = true;
+      container.readOnlyTmpfs = false;
+      container.healthCmd = 'none';
+      container.notify = 'healthy';
+      container.pod = 'web.pod';
+
+      expect(RunGenerator.generateArgs(container, { unitNames: { 'web.pod': 'web' } })).toEqual([
+        'podman', 'run',
+        '--security-opt', 'no-new-privileges',
+        '--security-opt', 'label=type:container_t',
+        '--security-opt', 'mask=/proc/kcore:/proc/keys',
+        '--user', '1000:1000',
+        '--userns', 'keep-id',
+        '--read-only', '--read-only-tmpfs=false',
+        '--no-healthcheck',
+        '--sdnotify=healthy',
+        '--pod', 'web',
+        'nginx:alpine'
+      ]);
+    });
+
+    it('should name the volumes, networks and pods Quadlet units create', () => {
+      const diagnostics = new Diagnostics({ onDiagnostic: () => {} });
+      container.addVolume('data.volume:/data:Z').addVolume('./html:/usr/share/nginx/html');
+      container.network.push('default.network', 'backend.network:ip=10.0.0.5', 'host');
+      container.pod = 'app.pod';
+
+      expect(RunGenerator.generateArgs(container, { unitNames: { 'default.network': 'shop_default' }, diagnostics })).toEqual([
+        'podman', 'run',
+        '--volume', 'systemd-data:/data:Z',
+        '--volume', './html:/usr/share/nginx/html',
+        '--network', 'shop_default',
+        '--network', 'systemd-backend:ip=10.0.0.5',
+        '--network', 'host',
+        '--pod', 'systemd-app',
+        'nginx:alpine'
+      ]);
+      expect(diagnostics.list.map(diagnostic => diagnostic.message)).toEqual([
+        'data.volume is assumed to create the volume systemd-data, pass its name in unitNames if the unit sets VolumeName=',
+        'backend.network is assumed to create the network systemd-backend, pass its name in unitNames if the unit sets NetworkName=',
+        'app.pod is assumed to create the pod systemd-app, pass its name in unitNames if the unit sets PodName='
+      ]);
+    });
+
+    it('should run a root filesystem without an image', () => {
+      const rootfs = new Container();
+      rootfs.rootfs = '/srv/rootfs';
+      rootfs.setExec('/bin/sh');
+
+      expect(RunGenerator.generateCommand(rootfs)).toBe('podman run --rootfs /srv/rootfs /bin/sh');
+      expect(() => RunGenerator.generateCommand(new Container())).toThrow('Image is required');
+    });
+
+    it('should skip and warn about fields docker run cannot express', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      container.userNS = 'keep-id';
+      container.secret.push('token');
+      container.timezone = 'local';
+      container.addCapability.push('NET_ADMIN');
+
+      const command = RunGenerator.generateCommand(container, { engine: 'docker' });
+
+      expect(command).toBe('docker run --cap-add NET_ADMIN nginx:alpine');
+      expect(warn).toHaveBeenCalledWith('Warning: UserNS= cannot be expressed with docker run, skipped');
+      expect(warn).toHaveBeenCalledWith('Warning: Timezone= cannot be expressed with docker run, skipped');
+      expect(warn).toHaveBeenCalledWith('Warning: Secret= cannot be expressed with docker run, skipped');
+      warn.mockRestore();
+    });
+
+    it('should skip PodmanArgs= with docker', () => {
+      const onDiagnostic = jest.fn();
+      container.podmanArgs = '--pod web --memory 512m';
+
+      expect(RunGenerator.generateCommand(container, { engine: 'docker', onDiagnostic })).toBe('docker run nginx:alpine');
+      expect(onDiagnostic).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'unsupported-by-engine',
+        message: 'PodmanArgs= cannot be expressed with docker run, skipped'
+      }));
+      expect(RunGenerator.generateCommand(container)).toBe('podman run --pod web --memory 512m nginx:alpine');
+    });
+
+    it('should reject unknown engines', () => {
+      expect(() => RunGenerator.generateCommand(container, { engine: 'nerdctl' }))
+        .toThrow("Unsupported engine 'nerdctl', expected podman or docker");
+    });
+
+    it('should round-trip through RunParser', () => {
+      const command = 'podman run --name api --publish 8080:8080 --volume data:/data:Z --network backend ' +
+        '--add-host db.local:10.0.0.5 --cap-add NET_ADMIN --workdir /app --sysctl net.core.somaxconn=1024 ' +
+        "--health-cmd 'curl -f localhost' --tz local --secret token --memory 512m quay.io/app/api:1.2 serve --port 8080";
+      const parsed = new RunParser().parse(command);
+
+      expect(new RunParser().parse(RunGenerator.generateCommand(parsed))).toEqual(parsed);
+    });
+  });
+
+  describe('Container.toRunCommand', () => {
+    it('should delegate to RunGenerator', () => {
+      container.setContainerName('web');
+
+      expect(container.toRunCommand()).toBe('podman run --name web nginx:alpine');
+      expect(container.toRunCommand({ engine: 'docker' })).toBe('docker run --name web nginx:alpine');
+    });
+  });
+});
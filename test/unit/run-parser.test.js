@@ -0,0 +1,206 @@
+import { RunParser } from '../../src/run-parser.js';
+
+describe('RunParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new RunParser();
+  });
+
+  describe('parse', () => {
+    it('should parse docker and podman run commands', () => {
+      for (const command of ['docker run nginx:alpine', 'podman run nginx:alpine', 'docker container run nginx:alpine']) {
+        const container = parser.parse(command);
+        expect(container.image).toBe('nginx:alpine');
+        expect(container.containerName).toBe('nginx');
+      }
+    });
+
+    it('should accept an array of arguments', () => {
+      const container = parser.parse(['podman', 'run', '--name', 'web', 'nginx', 'nginx', '-g', 'daemon off;']);
+
+      expect(container.containerName).toBe('web');
+      expect(container.exec).toBe('nginx -g "daemon off;"');
+    });
+
+    it('should support --flag=value, repeated flags and attached short values', () => {
+      const container = parser.parse('docker run --name=web -p8080:80 -p 8443:443 --env=A=1 -e B=2 nginx');
+
+      expect(container.containerName).toBe('web');
+      expect(container.publishPort).toEqual(['8080:80', '8443:443']);
+      expect(container.environment).toEqual(['A=1', 'B=2']);
+    });
+
+    it('should expand combined short flags', () => {
+      const container = parser.parse('docker run -itd -uroot nginx');
+
+      expect(container.podmanArgs).toBe('--interactive --tty');
+      expect(container.user).toBe('root');
+    });
+
+    it('should stop option parsing at the image or --', () => {
+      expect(parser.parse('docker run alpine ls -la').exec).toBe('ls -la');
+      expect(parser.parse('docker run -- alpine --help').exec).toBe('--help');
+    });
+
+    it('should reject unknown options and missing values', () => {
+      expect(() => parser.parse('docker run --invalid-flag nginx')).toThrow("Unknown run option '--invalid-flag'");
+      expect(() => parser.parse('docker run -Z nginx')).toThrow("Unknown run option '-Z'");
+      expect(() => parser.parse('docker run --name')).toThrow("Option '--name' requires a value");
+      expect(() => parser.parse('docker run --read-only=maybe nginx')).toThrow("Option '--read-only' expects true or false");
+    });
+
+    it('should reject commands without run or an image', () => {
+      expect(() => parser.parse('')).toThrow('Expected a docker run or podman run command');
+      expect(() => parser.parse('docker ps')).toThrow('Expected a docker run or podman run command');
+      expect(() => parser.parse('docker run -d')).toThrow('Image is required');
+      expect(() => parser.parse(null)).toThrow('Run command must be a string or an array of arguments');
+    });
+  });
+
+  describe('native Quadlet keys', () => {
+    it('should map networking flags', () => {
+      const container = parser.parse(
+        'docker run --network container:db --network-alias api --ip 10.0.0.2 --add-host db.local:10.0.0.5 ' +
+        '--dns 1.1.1.1 --dns-opt ndots:2 --dns-search example.com -h web --expose 9000 nginx'
+      );
+
+      expect(container.network).toEqual(['container:db']);
+      expect(container.networkAlias).toEqual(['api']);
+      expect(container.ip).toBe('10.0.0.2');
+      expect(container.addHost).toEqual(['db.local:10.0.0.5']);
+      expect(container.dns).toEqual(['1.1.1.1']);
+      expect(container.dnsOption).toEqual(['ndots:2']);
+      expect(container.dnsSearch).toEqual(['example.com']);
+      expect(container.hostName).toBe('web');
+      expect(container.exposeHostPort).toEqual(['9000']);
+    });
+
+    it('should map storage flags', () => {
+      const container = parser.parse(
+        'docker run -v data:/data:Z --mount type=bind,source=/srv,target=/srv --tmpfs /run --device /dev/fuse nginx'
+      );
+
+      expect(container.volume).toEqual(['data:/data:Z']);
+      expect(container.mount).toEqual(['type=bind,source=/srv,target=/srv']);
+      expect(container.tmpfs).toEqual(['/run']);
+      expect(container.addDevice).toEqual(['/dev/fuse']);
+    });
+
+    it('should map user namespace and security flags', () => {
+      const container = parser.parse(
+        'podman run --userns keep-id --uidmap 0:1:1000 --gidmap 0:1:1000 --group-add wheel ' +
+        '--security-opt no-new-privileges --security-opt label=disable --security-opt seccomp=/etc/seccomp.json ' +
+        '--security-opt mask=/proc/kcore:/proc/keys --security-opt apparmor=unconfined nginx'
+      );
+
+      expect(container.userNS).toBe('keep-id');
+      expect(container.uidMap).toEqual(['0:1:1000']);
+      expect(container.gidMap).toEqual(['0:1:1000']);
+      expect(container.groupAdd).toEqual(['wheel']);
+      expect(container.noNewPrivileges).toBe(true);
+      expect(container.securityLabelDisable).toBe(true);
+      expect(container.seccompProfile).toBe('/etc/seccomp.json');
+      expect(container.mask).toEqual(['/proc/kcore', '/proc/keys']);
+      expect(container.podmanArgs).toBe('--security-opt apparmor=unconfined');
+    });
+
+    it('should map resource limits, logging and health check flags', () => {
+      const container = parser.parse(
+        'docker run --sysctl net.core.somaxconn=1024 --ulimit nofile=1024:2048 --pids-limit 100 ' +
+        '--log-driver journald --log-opt tag=web --no-healthcheck --stop-signal SIGINT --shm-size 1g nginx'
+      );
+
+      expect(container.sysctl).toEqual(['net.core.somaxconn=1024']);
+      expect(container.ulimit).toEqual(['nofile=1024:2048']);
+      expect(container.pidsLimit).toBe('100');
+      expect(container.logDriver).toBe('journald');
+      expect(container.logOpt).toEqual(['tag=web']);
+      expect(container.healthCmd).toBe('none');
+      expect(container.stopSignal).toBe('SIGINT');
+      expect(container.shmSize).toBe('1g');
+    });
+
+    it('should map podman-only flags', () => {
+      const container = parser.parse(
+        'podman run --pod web --sdnotify=healthy -l io.containers.autoupdate=registry --tz local --secret token nginx'
+      );
+
+      expect(container.pod).toBeNull();
+      expect(container.podmanArgs).toBe('--pod web');
+      expect(container.notify).toBe('healthy');
+      expect(container.autoUpdate).toBe('registry');
+      expect(container.label).toEqual([]);
+      expect(container.timezone).toBe('local');
+      expect(container.secret).toEqual(['token']);
+    });
+
+    it('should map --mask to Mask=', () => {
+      const container = parser.parse('podman run --mask /proc/kcore:/proc/keys --mask=/sys/firmware nginx');
+
+      expect(container.mask).toEqual(['/proc/kcore', '/proc/keys', '/sys/firmware']);
+    });
+
+    it('should map --unmask to Unmask=', () => {
+      const container = parser.parse('podman run --unmask ALL nginx');
+
+      expect(container.unmask).toBe('ALL');
+    });
+
+    it('should take the first argument as the root filesystem with --rootfs', () => {
+      const container = parser.parse('podman run --rootfs /srv/rootfs /bin/sh');
+
+      expect(container.rootfs).toBe('/srv/rootfs');
+      expect(container.image).toBe('');
+      expect(container.exec).toBe('/bin/sh');
+      expect(container.containerName).toBe('rootfs');
+    });
+
+    it('should map the health check log flags', () => {
+      const container = parser.parse(
+        'podman run --health-log-destination /var/log/web --health-max-log-count 10 --health-max-log-size=1024 nginx'
+      );
+
+      expect(container.healthLogDestination).toBe('/var/log/web');
+      expect(container.healthMaxLogCount).toBe('10');
+      expect(container.healthMaxLogSize).toBe('1024');
+      expect(container.podmanArgs).toBeNull();
+    });
+
+    it('should keep the restart policy for the service section', () => {
+      expect(parser.parse('docker run --restart unless-stopped nginx')._restart).toBe('unless-stopped');
+    });
+  });
+
+  describe('PodmanArgs', () => {
+    it('should add options without a Quadlet key to PodmanArgs', () => {
+      const container = parser.parse('docker run --memory 512m --cpus=1.5 --privileged -e HOME nginx');
+
+      expect(container.podmanArgs).toBe('--memory 512m --cpus 1.5 --privileged --env HOME');
+    });
+
+    it('should add value options without a Quadlet key to PodmanArgs', () => {
+      const container = parser.parse(
+        'podman run --unsetenv TERM --volume-driver local --preserve-fd 3 --hosts-file /etc/web-hosts nginx'
+      );
+
+      expect(container.podmanArgs).toBe('--unsetenv TERM --volume-driver local --preserve-fd 3 --hosts-file /etc/web-hosts');
+    });
+
+    it('should add flags without a Quadlet key to PodmanArgs', () => {
+      const container = parser.parse('podman run --unsetenv-all --no-hostname=false nginx');
+
+      expect(container.podmanArgs).toBe('--unsetenv-all --no-hostname=false');
+    });
+
+    it('should ignore options Quadlet already handles', () => {
+      const container = parser.parse('podman run -d --rm --replace nginx');
+
+      expect(container.podmanArgs).toBeNull();
+    });
+
+    it('should ignore --disable-content-trust', () => {
+      expect(parser.parse('docker run --disable-content-trust nginx').podmanArgs).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,51 @@
+import { splitArgs, joinArgs, quoteArgs } from '../../src/shell-words.js';
+
+describe('shell-words', () => {
+  describe('splitArgs', () => {
+    it('should split on whitespace', () => {
+      expect(splitArgs('  docker run   -d nginx ')).toEqual(['docker', 'run', '-d', 'nginx']);
+    });
+
+    it('should honor single and double quotes', () => {
+      expect(splitArgs(`sh -c 'echo "hi there"' "a b" 'it'"'"'s'`))
+        .toEqual(['sh', '-c', 'echo "hi there"', 'a b', "it's"]);
+    });
+
+    it('should handle backslash escapes and line continuations', () => {
+      expect(splitArgs('echo a\\ b "c \\"d\\"" \\\n  e')).toEqual(['echo', 'a b', 'c "d"', 'e']);
+    });
+
+    it('should keep empty quoted arguments', () => {
+      expect(splitArgs(`printf '' ""`)).toEqual(['printf', '', '']);
+    });
+
+    it('should throw on unterminated quotes', () => {
+      expect(() => splitArgs(`echo 'oops`)).toThrow('Unterminated single quote in command');
+      expect(() => splitArgs('echo "oops')).toThrow('Unterminated double quote in command');
+    });
+  });
+
+  describe('joinArgs', () => {
+    it('should only quote arguments that need it', () => {
+      expect(joinArgs(['nginx', '-g', 'daemon off;'])).toBe('nginx -g "daemon off;"');
+      expect(joinArgs(['echo', 'say "hi"', ''])).toBe('echo "say \\"hi\\"" ""');
+    });
+
+    it('should round-trip through splitArgs', () => {
+      const args = ['sh', '-c', 'echo $HOME && ls "/tmp dir"', 'back\\\\slash', ''];
+      expect(splitArgs(joinArgs(args))).toEqual(args);
+    });
+  });
+
+  describe('quoteArgs', () => {
+    it('should single quote arguments the shell would expand', () => {
+      expect(quoteArgs(['podman', 'run', '-e', 'A=1', 'alpine'])).toBe('podman run -e A=1 alpine');
+      expect(quoteArgs(['sh', '-c', 'echo $HOME', "it's", ''])).toBe(`sh -c 'echo $HOME' 'it'\\''s' ''`);
+    });
+
+    it('should round-trip through splitArgs', () => {
+      const args = ['sh', '-c', 'echo "$HOME" `id` && ls', "don't", 'back\\slash', ''];
+      expect(splitArgs(quoteArgs(args))).toEqual(args);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+import { SystemdParser } from '../../src/systemd-parser.js';
+import { QuadletGenerator } from '../../src/quadlet-generator.js';
+
+// Unit written by podman generate systemd --new --name web
+const GENERATED_UNIT = `# container-web.service
+# autogenerated by Podman 4.9.3
+# Mon Jan 15 10:00:00 UTC 2024
+
+[Unit]
+Description=Podman container-web.service
+Documentation=man:podman-generate-systemd(1)
+Wants=network-online.target
+After=network-online.target db.service
+RequiresMountsFor=%t/containers
+
+[Service]
+Environment=PODMAN_SYSTEMD_UNIT=%n
+Restart=on-failure
+RestartSec=5
+TimeoutStopSec=70
+ExecStart=/usr/bin/podman run \\
+\t--cidfile=%t/%n.ctr-id \\
+\t--cgroups=no-conmon \\
+\t--rm \\
+\t--sdnotify=conmon \\
+\t--replace \\
+\t-d \\
+\t--name web \\
+\t-p 8080:80 \\
+\t-v web-data:/data:Z \\
+\t--memory 512m nginx:alpine nginx -g "daemon off;"
+ExecStop=/usr/bin/podman stop \\
+\t--ignore -t 30 \\
+\t--cidfile=%t/%n.ctr-id
+ExecStopPost=/usr/bin/podman rm \\
+\t-f \\
+\t--ignore -t 30 \\
+\t--cidfile=%t/%n.ctr-id
+Type=notify
+NotifyAccess=all
+
+[Install]
+WantedBy=default.target
+`;
+
+describe('SystemdParser', () => {
+  describe('parse', () => {
+    it('should take the container from the podman run command', () => {
+      const { container } = SystemdParser.parse(GENERATED_UNIT);
+
+      expect(container.containerName).toBe('web');
+      expect(container.image).toBe('nginx:alpine');
+      expect(container.publishPort).toEqual(['8080:80']);
+      expect(container.volume).toEqual(['web-data:/data:Z']);
+      expect(container.exec).toBe('nginx -g "daemon off;"');
+      expect(container.notify).toBe('conmon');
+      expect(container.stopTimeout).toBe('30');
+      expect(container.podmanArgs).toBe('--memory 512m');
+    });
+
+    it('should keep the systemd settings Quadlet does not set itself', () => {
+      const { unit, service, install } = SystemdParser.parse(GENERATED_UNIT);
+
+      expect(unit).toEqual({ after: ['db.service'] });
+      expect(service).toEqual({ restart: 'on-failure', restartSec: '5', TimeoutStopSec: '70' });
+      expect(install).toEqual({ wantedBy: ['default.target'] });
+    });
+
+    it('should generate the equivalent .container file', () => {
+      const parsed = SystemdParser.parse(GENERATED_UNIT);
+
+      expect(QuadletGenerator.generateFile(parsed.container, parsed)).toBe(`[Unit]
+After=db.service
+
+[Container]
+Image=nginx:alpine
+ContainerName=web
+Exec=nginx -g "daemon off;"
+PublishPort=8080:80
+Volume=web-data:/data:Z
+StopTimeout=30
+PodmanArgs=--memory 512m
+
+[Service]
+Restart=on-failure
+RestartSec=5
+TimeoutStopSec=70
+
+[Install]
+WantedBy=default.target
+`);
+    });
+
+    it('should keep a custom description and the other Exec steps', () => {
+      const parsed = SystemdParser.parse(`[Unit]
+Description=Web server
+
+[Service]
+ExecStartPre=/bin/rm -f %t/%n.ctr-id
+ExecStartPre=/usr/local/bin/prepare-web
+ExecStart=/usr/bin/podman container run --cidfile %t/%n.ctr-id --name web nginx
+`);
+
+      expect(parsed.unit).toEqual({ description: 'Web server' });
+      expect(parsed.service).toEqual({ ExecStartPre: '/usr/local/bin/prepare-web' });
+      expect(parsed.container.podmanArgs).toBeNull();
+    });
+
+    it('should join the pod of a generated pod unit', () => {
+      const { container } = SystemdParser.parse(`[Service]
+ExecStart=/usr/bin/podman run --cidfile=%t/%n.ctr-id --pod-id-file %t/pod-app.pod-id --name web nginx
+`);
+
+      expect(container.pod).toBe('app.pod');
+      expect(container.podmanArgs).toBeNull();
+    });
+
+    it('should convert hand-written services wrapping docker run', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const parsed = SystemdParser.parse(`[Unit]
+Description=Redis cache
+After=docker.service network-online.target
+Requires=docker.service
+
+[Service]
+TimeoutStartSec=0
+Restart=always
+RestartSec=10
+ExecStartPre=-/usr/bin/docker stop redis
+ExecStartPre=-/usr/bin/docker rm redis
+ExecStartPre=/usr/bin/docker pull redis:7
+ExecStartPre=-/usr/bin/docker network create cache
+ExecStartPre=/usr/local/bin/check-disk
+ExecStart=/usr/bin/docker run --rm --name redis --network cache -p 6379:6379 redis:7 redis-server --appendonly yes
+ExecStop=/usr/bin/docker stop -t 20 redis
+ExecStopPost=/usr/bin/docker container prune -f
+
+[Install]
+WantedBy=multi-user.target
+`);
+
+      expect(parsed.container.containerName).toBe('redis');
+      expect(parsed.container.network).toEqual(['cache']);
+      expect(parsed.container.exec).toBe('redis-server --appendonly yes');
+      expect(parsed.container.pull).toBe('always');
+      expect(parsed.container.stopTimeout).toBe('20');
+      expect(parsed.unit).toEqual({ description: 'Redis cache' });
+      expect(parsed.service).toEqual({
+        timeoutStartSec: '0',
+        restart: 'always',
+        restartSec: '10',
+        ExecStartPre: '/usr/local/bin/check-disk'
+      });
+      expect(parsed.install).toEqual({ wantedBy: ['multi-user.target'] });
+      expect(parsed.untranslated.map(entry => `${entry.key}=${entry.value}`)).toEqual([
+        'ExecStartPre=-/usr/bin/docker network create cache',
+        'ExecStopPost=/usr/bin/docker container prune -f'
+      ]);
+      expect(warn).toHaveBeenCalledWith(
+        'Warning: ExecStartPre=-/usr/bin/docker network create cache on line 13 cannot be translated to Quadlet, skipped'
+      );
+      warn.mockRestore();
+    });
+
+    it('should reject units that do not run a container', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(() => SystemdParser.parse('[Service]\nExecStart=/usr/bin/podman start web\n'))
+        .toThrow('Unit has no ExecStart= running docker run or podman run');
+      expect(() => SystemdParser.parse('[Service]\nExecStart=/usr/bin/podman run a\n[Timer]\nOnCalendar=daily\n'))
+        .toThrow('Unsupported section [Timer]');
+      expect(() => SystemdParser.parse(null)).toThrow('Systemd unit content must be a string');
+      warn.mockRestore();
+    });
+  });
+
+  describe('optionValue', () => {
+    it('should read separate, attached and equals option values', () => {
+      expect(SystemdParser.optionValue(['podman', 'stop', '-t', '5'], ['-t', '--time'])).toBe('5');
+      expect(SystemdParser.optionValue(['podman', 'stop', '-t5'], ['-t', '--time'])).toBe('5');
+      expect(SystemdParser.optionValue(['podman', 'stop', '--time=5'], ['-t', '--time'])).toBe('5');
+      expect(SystemdParser.optionValue(['podman', 'stop'], ['-t', '--time'])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,17 @@
+import { Volume } from '../../src/volume.js';
+
+describe('Volume', () => {
+  it('should set volume name', () => {
+    const v = new Volume();
+    v.setVolumeName('app-data');
+    expect(v.volumeName).toBe('app-data');
+    expect(() => v.setVolumeName('')).toThrow('Volume name must be a non-empty string');
+  });
+
+  it('should add labels with validation', () => {
+    const v = new Volume();
+    v.addLabel('backup=daily');
+    expect(v.label).toContain('backup=daily');
+    expect(() => v.addLabel('invalid')).toThrow('Label must be in format "key=value"');
+  });
+});